@@ -0,0 +1,204 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import {
+    changeEmail,
+    changePassword,
+    deleteAccount,
+    purgeDeletedAccounts,
+    getUserStorageKeys
+} from '../js/account.js';
+import { createUserRecord, authenticate, getUsers, isUserDeleted } from '../js/credentials.js';
+import { createSession, getSession } from '../js/session.js';
+import { REMEMBERED_EMAIL_KEY, login } from '../js/login.js';
+import { getOrders } from '../js/orders.js';
+import { getOutbox, sendMail } from '../js/outbox.js';
+import { enqueueAction, getQueuedActions } from '../js/offline-queue.js';
+
+// ================================
+// TEST SETUP
+// ================================
+window.NYSTORE_CONFIG = { passwordHashIterations: 1000 };
+
+const email = 'test@test.com';
+const newEmail = 'new@test.com';
+const password = 'secret1';
+const start = new Date(2026, 0, 1, 12, 0).getTime();
+
+beforeEach(async () => {
+    localStorage.clear();
+    sessionStorage.clear();
+    jest.useFakeTimers({ now: start, doNotFake: ['nextTick', 'setImmediate'] });
+    localStorage.setItem('users', JSON.stringify([
+        await createUserRecord({ name: 'Test', email, password, address: '1 Main St' }),
+        await createUserRecord({ name: 'Other', email: 'taken@test.com', password })
+    ]));
+    createSession({ name: 'Test', email, address: '1 Main St' }, { remember: true });
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+// ================================
+// CHANGE EMAIL
+// ================================
+describe('changeEmail', () => {
+    test('moves the cart, orders, checkout and remembered email to the new address', async () => {
+        localStorage.setItem(`fs_cart_${email}`, JSON.stringify([{ id: 1, qty: 2 }]));
+        localStorage.setItem(`fs_orders_${email}`, JSON.stringify([{ id: 'NY-1', email }]));
+        sessionStorage.setItem(`fs_checkout_${email}`, JSON.stringify({ step: 'shipping' }));
+        localStorage.setItem(`fs_wishlist_${email}`, JSON.stringify([{ id: 3, title: 'Lamp' }]));
+        localStorage.setItem('fs_reviews', JSON.stringify([{ productId: 3, email, rating: 4, text: 'Nice' }]));
+        localStorage.setItem(REMEMBERED_EMAIL_KEY, email);
+
+        const result = await changeEmail(email, ` ${newEmail} `, password);
+
+        expect(result).toEqual({ ok: true, user: { name: 'Test', email: newEmail, address: '1 Main St' } });
+        expect(JSON.parse(localStorage.getItem(`fs_cart_${newEmail}`))).toEqual([{ id: 1, qty: 2 }]);
+        expect(getOrders(newEmail)).toEqual([{ id: 'NY-1', email: newEmail }]);
+        expect(sessionStorage.getItem(`fs_checkout_${newEmail}`)).toContain('shipping');
+        expect(localStorage.getItem(`fs_wishlist_${newEmail}`)).toContain('Lamp');
+        expect(JSON.parse(localStorage.getItem('fs_reviews'))[0].email).toBe(newEmail);
+        expect(localStorage.getItem(REMEMBERED_EMAIL_KEY)).toBe(newEmail);
+        getUserStorageKeys(email).forEach(({ storage, key }) => expect(storage.getItem(key)).toBeNull());
+
+        expect(getSession().user.email).toBe(newEmail);
+        await expect(authenticate(newEmail, password)).resolves.not.toBeNull();
+        await expect(authenticate(email, password)).resolves.toBeNull();
+    });
+
+    test('orders queued offline move to the new address', async () => {
+        enqueueAction('place-order', { id: 'ORD-1', email });
+        enqueueAction('place-order', { id: 'ORD-2', email: 'taken@test.com' });
+
+        await changeEmail(email, newEmail, password);
+
+        expect(getQueuedActions().map(a => a.payload.email)).toEqual([newEmail, 'taken@test.com']);
+    });
+
+    test('rejects taken, invalid or unchanged addresses', async () => {
+        expect((await changeEmail(email, 'Taken@test.com', password)).error).toMatch(/already exists/);
+        expect((await changeEmail(email, 'nope', password)).error).toMatch(/valid email/);
+        expect((await changeEmail(email, email, password)).error).toMatch(/already your email/);
+        expect(getUsers().map(u => u.email)).toEqual([email, 'taken@test.com']);
+    });
+
+    test('the letter case of one\'s own email can be changed', async () => {
+        expect(await changeEmail(email, 'Test@test.com', password)).toMatchObject({ ok: true });
+        expect(getUsers().map(u => u.email)).toEqual(['Test@test.com', 'taken@test.com']);
+    });
+
+    test('requires the current password', async () => {
+        expect(await changeEmail(email, newEmail, 'wrong')).toEqual({
+            ok: false,
+            error: 'Your current password is incorrect.'
+        });
+        expect(getSession().user.email).toBe(email);
+    });
+});
+
+// ================================
+// CHANGE PASSWORD
+// ================================
+describe('changePassword', () => {
+    test('sets the new password and keeps the current session signed in', async () => {
+        const before = getSession().token;
+        jest.setSystemTime(start + 1000);
+
+        await expect(changePassword(email, password, 'n3w-secret')).resolves.toEqual({ ok: true });
+
+        await expect(authenticate(email, 'n3w-secret')).resolves.not.toBeNull();
+        expect(getSession()).toMatchObject({ remember: true, user: { email } });
+        expect(getSession().token).not.toBe(before);
+    });
+
+    test('checks the current password and the policy', async () => {
+        expect((await changePassword(email, 'wrong', 'n3w-secret')).error).toMatch(/current password/);
+        expect((await changePassword(email, password, 'short1')).error).toMatch(/at least 8/);
+        expect((await changePassword(email, password, password)).error).toMatch(/different/);
+        await expect(authenticate(email, password)).resolves.not.toBeNull();
+    });
+
+    test('trims both passwords, as login does', async () => {
+        await expect(changePassword(email, ` ${password} `, ' n3w-secret ')).resolves.toEqual({ ok: true });
+
+        const result = await login({ email, password: 'n3w-secret' });
+        expect(result.ok).toBe(true);
+        expect(await changeEmail(email, newEmail, ' n3w-secret ')).toMatchObject({ ok: true });
+        expect(await deleteAccount(newEmail, 'n3w-secret\n')).toMatchObject({ ok: true });
+    });
+});
+
+// ================================
+// DELETE ACCOUNT
+// ================================
+describe('deleteAccount', () => {
+    const day = 24 * 60 * 60 * 1000;
+
+    beforeEach(() => {
+        localStorage.setItem(`fs_cart_${email}`, JSON.stringify([{ id: 1, qty: 1 }]));
+        localStorage.setItem(`fs_orders_${email}`, JSON.stringify([{ id: 'NY-1', email }]));
+        sessionStorage.setItem(`fs_checkout_${email}`, JSON.stringify({ step: 'review' }));
+        localStorage.setItem(REMEMBERED_EMAIL_KEY, email);
+    });
+
+    test('requires the password', async () => {
+        expect(await deleteAccount(email, 'wrong')).toEqual({ ok: false, error: 'Your password is incorrect.' });
+        expect(isUserDeleted(email)).toBe(false);
+        expect(getSession()).not.toBeNull();
+    });
+
+    test('signs the user out and keeps the cart and orders during the restore window', async () => {
+        expect(await deleteAccount(email, password)).toEqual({ ok: true, purgeAt: start + 14 * day });
+
+        expect(getSession()).toBeNull();
+        expect(isUserDeleted(email)).toBe(true);
+        expect(localStorage.getItem(REMEMBERED_EMAIL_KEY)).toBeNull();
+        expect(sessionStorage.getItem(`fs_checkout_${email}`)).toBeNull();
+        expect(getOrders(email)).toHaveLength(1);
+
+        jest.setSystemTime(start + 13 * day);
+        expect(purgeDeletedAccounts()).toEqual([]);
+    });
+
+    test('logging in within the window restores the account', async () => {
+        await deleteAccount(email, password);
+        jest.setSystemTime(start + 13 * day);
+
+        const result = await login({ email, password });
+
+        expect(result).toMatchObject({ ok: true, restored: true });
+        expect(isUserDeleted(email)).toBe(false);
+        expect(JSON.parse(localStorage.getItem(`fs_cart_${email}`))).toHaveLength(1);
+    });
+
+    test('after the window every trace of the account is purged', async () => {
+        sendMail({ to: email, subject: 'Hi', body: '' });
+        sendMail({ to: 'taken@test.com', subject: 'Hi', body: '' });
+        await deleteAccount(email, password);
+        jest.setSystemTime(start + 14 * day);
+
+        expect((await login({ email, password })).ok).toBe(false);
+        expect(purgeDeletedAccounts()).toEqual([email]);
+
+        expect(getUsers().map(u => u.email)).toEqual(['taken@test.com']);
+        getUserStorageKeys(email).forEach(({ storage, key }) => expect(storage.getItem(key)).toBeNull());
+        expect(getOutbox().map(m => m.to)).toEqual(['taken@test.com']);
+    });
+
+    test('orders queued offline are dropped with the account', async () => {
+        enqueueAction('place-order', { id: 'ORD-1', email, shippingAddress: { street: '1 Main St' } });
+        enqueueAction('place-order', { id: 'ORD-2', email: 'taken@test.com' });
+        await deleteAccount(email, password);
+        jest.setSystemTime(start + 14 * day);
+
+        purgeDeletedAccounts();
+
+        expect(getQueuedActions().map(a => a.payload.id)).toEqual(['ORD-2']);
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import {
+    GUEST_CART_KEY,
+    getCartKeyFor,
+    readCart,
+    writeCart,
+    mergeCartItems,
+    mergeGuestCart,
+    describeGuestCartMerge,
+    installGuestCartMerge,
+    removeCartItems,
+    watchCart
+} from '../js/cart-store.js';
+import { completeLogin } from '../js/login.js';
+
+// ================================
+// TEST SETUP
+// ================================
+window.NYSTORE_CONFIG = { defaultProductStock: 50 };
+
+const email = 'test@test.com';
+const item = (id, qty, stock) => ({ id, title: `Item ${id}`, price: 10, qty, ...(stock != null && { stock }) });
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+// ================================
+// STORAGE
+// ================================
+describe('Cart storage', () => {
+    test('keys carts by email, with a guest fallback', () => {
+        expect(getCartKeyFor(email)).toBe(`fs_cart_${email}`);
+        expect(getCartKeyFor(null)).toBe(GUEST_CART_KEY);
+
+        writeCart(email, [item(1, 2)]);
+        expect(readCart(email)).toEqual([item(1, 2)]);
+        expect(readCart(null)).toEqual([]);
+    });
+});
+
+// ================================
+// MERGING
+// ================================
+describe('mergeCartItems', () => {
+    test('sums quantities without changing the inputs', () => {
+        const cart = [item(1, 1)];
+        const merged = mergeCartItems(cart, [item(1, 2), item(2, 1)]);
+
+        expect(merged).toEqual([item(1, 3), item(2, 1)]);
+        expect(cart).toEqual([item(1, 1)]);
+    });
+
+    test('caps quantities and drops items limited to zero', () => {
+        const limit = i => i.stock;
+        expect(mergeCartItems([item(1, 4, 5)], [item(1, 3, 5), item(2, 1, 0)], { limit }))
+            .toEqual([item(1, 5, 5)]);
+    });
+});
+
+describe('mergeGuestCart', () => {
+    test('moves the guest cart into the user cart and empties it', () => {
+        writeCart(email, [item(1, 1)]);
+        writeCart(null, [item(1, 2), item(2, 1)]);
+
+        expect(mergeGuestCart(email)).toEqual({ merged: 2, capped: [] });
+        expect(readCart(email)).toEqual([item(1, 3), item(2, 1)]);
+        expect(localStorage.getItem(GUEST_CART_KEY)).toBeNull();
+    });
+
+    test('duplicate items are capped by stock', () => {
+        writeCart(email, [item(1, 3, 4)]);
+        writeCart(null, [item(1, 3, 4)]);
+
+        const result = mergeGuestCart(email);
+
+        expect(result).toEqual({ merged: 1, capped: ['Item 1'] });
+        expect(readCart(email)).toEqual([item(1, 4, 4)]);
+        expect(describeGuestCartMerge(result)).toBe(
+            'We added 1 item from your guest cart. Quantities were capped by stock or per-order limits for: Item 1.'
+        );
+    });
+
+    test('does nothing without a guest cart', () => {
+        writeCart(email, [item(1, 1)]);
+
+        expect(mergeGuestCart(email)).toEqual({ merged: 0, capped: [] });
+        expect(describeGuestCartMerge({ merged: 0, capped: [] })).toBe('');
+        expect(readCart(email)).toEqual([item(1, 1)]);
+    });
+
+    test('runs as an afterLogin hook and reports the merge', async () => {
+        writeCart(null, [item(1, 2)]);
+        installGuestCartMerge();
+        const detach = installGuestCartMerge();
+
+        const notes = await completeLogin({ email });
+
+        expect(notes).toEqual(['We added 1 item from your guest cart.']);
+        expect(readCart(email)).toEqual([item(1, 2)]);
+        detach();
+    });
+});
+
+// ================================
+// CONCURRENT EDITS
+// ================================
+describe('Cross-tab carts', () => {
+    test('placing an order keeps items added meanwhile', () => {
+        const ordered = [item(1, 2)];
+        writeCart(email, [item(1, 3), item(2, 1)]);
+
+        expect(removeCartItems(email, ordered)).toEqual([item(1, 1), item(2, 1)]);
+        expect(removeCartItems(email, [item(1, 1), item(2, 1)])).toEqual([]);
+    });
+
+    test('watchCart reports changes to the current user\'s cart only', () => {
+        const handler = jest.fn();
+        const stop = watchCart(() => email, handler);
+
+        writeCart(email, [item(1, 2)]);
+        window.dispatchEvent(new StorageEvent('storage', { key: 'fs_cart_other@test.com' }));
+        expect(handler).not.toHaveBeenCalled();
+
+        window.dispatchEvent(new StorageEvent('storage', { key: getCartKeyFor(email) }));
+        expect(handler).toHaveBeenCalledWith([item(1, 2)]);
+
+        stop();
+        window.dispatchEvent(new StorageEvent('storage', { key: getCartKeyFor(email) }));
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+});
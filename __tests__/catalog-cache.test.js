@@ -0,0 +1,168 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import {
+    readCache,
+    writeCache,
+    clearCatalogCache,
+    staleWhileRevalidate,
+    withCache
+} from '../js/catalog-cache.js';
+
+// ================================
+// HELPERS
+// ================================
+const TTL = 1000;
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const products = [
+    { id: 1, title: 'Backpack', description: 'Fits a laptop', category: 'bags' },
+    { id: 2, title: 'Ring', description: 'Gold', category: 'jewelery' }
+];
+
+const mockProvider = () => ({
+    name: 'mock',
+    list: jest.fn().mockResolvedValue(products),
+    get: jest.fn().mockResolvedValue(products[0]),
+    categories: jest.fn().mockResolvedValue(['bags', 'jewelery']),
+    search: jest.fn()
+});
+
+// ================================
+// RESET STATE BEFORE EACH TEST
+// ================================
+beforeEach(() => {
+    localStorage.clear();
+    jest.restoreAllMocks();
+});
+
+// ================================
+// STORAGE
+// ================================
+describe('Catalog cache storage', () => {
+    test('writeCache and readCache round-trip with a timestamp', () => {
+        jest.spyOn(Date, 'now').mockReturnValue(500);
+        writeCache('k', [1, 2]);
+
+        expect(readCache('k')).toEqual({ data: [1, 2], savedAt: 500 });
+    });
+
+    test('readCache returns null for missing or corrupt entries', () => {
+        localStorage.setItem('fs_catalog_bad', '{oops');
+        expect(readCache('missing')).toBeNull();
+        expect(readCache('bad')).toBeNull();
+    });
+
+    test('clearCatalogCache only removes catalog keys', () => {
+        writeCache('k', 1);
+        localStorage.setItem('activeUser', '{}');
+        clearCatalogCache();
+
+        expect(readCache('k')).toBeNull();
+        expect(localStorage.getItem('activeUser')).toBe('{}');
+    });
+});
+
+// ================================
+// STALE-WHILE-REVALIDATE
+// ================================
+describe('staleWhileRevalidate', () => {
+    test('fetches and caches when nothing is cached', async () => {
+        const fetcher = jest.fn().mockResolvedValue('fresh');
+
+        expect(await staleWhileRevalidate('k', fetcher, { ttl: TTL })).toBe('fresh');
+        expect(readCache('k').data).toBe('fresh');
+    });
+
+    test('serves fresh cache without fetching', async () => {
+        writeCache('k', 'cached');
+        const fetcher = jest.fn();
+
+        expect(await staleWhileRevalidate('k', fetcher, { ttl: TTL })).toBe('cached');
+        expect(fetcher).not.toHaveBeenCalled();
+    });
+
+    test('serves stale cache instantly and notifies when refreshed data differs', async () => {
+        jest.spyOn(Date, 'now').mockReturnValue(0);
+        writeCache('k', 'old');
+        Date.now.mockReturnValue(TTL + 1);
+
+        const fetcher = jest.fn().mockResolvedValue('new');
+        const onUpdate = jest.fn();
+
+        expect(await staleWhileRevalidate('k', fetcher, { ttl: TTL, onUpdate })).toBe('old');
+        await flush();
+
+        expect(onUpdate).toHaveBeenCalledWith('new');
+        expect(readCache('k').data).toBe('new');
+    });
+
+    test('keeps stale data when the background refresh fails', async () => {
+        jest.spyOn(Date, 'now').mockReturnValue(0);
+        writeCache('k', 'old');
+        Date.now.mockReturnValue(TTL + 1);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const onUpdate = jest.fn();
+        const fetcher = jest.fn().mockRejectedValue(new Error('offline'));
+
+        expect(await staleWhileRevalidate('k', fetcher, { ttl: TTL, onUpdate })).toBe('old');
+        await flush();
+
+        expect(onUpdate).not.toHaveBeenCalled();
+        expect(readCache('k').data).toBe('old');
+    });
+});
+
+// ================================
+// CACHED PROVIDER
+// ================================
+describe('withCache', () => {
+    test('list is only fetched once while fresh', async () => {
+        const provider = mockProvider();
+        const cached = withCache(provider, { ttl: TTL });
+
+        await cached.list();
+        await cached.list();
+
+        expect(provider.list).toHaveBeenCalledTimes(1);
+    });
+
+    test('list with fresh skips the cache but still updates it', async () => {
+        const provider = mockProvider();
+        const cached = withCache(provider, { ttl: TTL });
+
+        await cached.list();
+        provider.list.mockResolvedValue([products[0]]);
+
+        expect(await cached.list({ fresh: true })).toEqual([products[0]]);
+        expect(await cached.list()).toEqual([products[0]]);
+        expect(provider.list).toHaveBeenCalledTimes(2);
+    });
+
+    test('get is served from a cached list without a request', async () => {
+        const provider = mockProvider();
+        const cached = withCache(provider, { ttl: TTL });
+
+        await cached.list();
+        expect(await cached.get(2)).toEqual(products[1]);
+        expect(provider.get).not.toHaveBeenCalled();
+    });
+
+    test('get falls back to the provider when not cached', async () => {
+        const provider = mockProvider();
+        const cached = withCache(provider, { ttl: TTL });
+
+        expect(await cached.get(1)).toEqual(products[0]);
+        expect(provider.get).toHaveBeenCalledWith(1);
+    });
+
+    test('search filters the cached list', async () => {
+        const cached = withCache(mockProvider(), { ttl: TTL });
+        expect((await cached.search('laptop')).map(p => p.id)).toEqual([1]);
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import {
+    createFakeStoreProvider,
+    createLocalProvider,
+    getCatalog,
+    setCatalogProvider
+} from '../js/catalog.js';
+
+// ================================
+// TEST DATA
+// ================================
+const products = [
+    { id: 1, title: 'Backpack', description: 'Fits a laptop', price: 59.95, category: "men's clothing" },
+    { id: 2, title: 'Silver Pendant', description: 'Gift boxed', price: 89, category: 'jewelery' },
+    { id: 3, title: 'Portable SSD', description: 'USB-C storage', price: 99.99, category: 'electronics' }
+];
+
+// ================================
+// RESET STATE BEFORE EACH TEST
+// ================================
+beforeEach(() => {
+    delete window.NYSTORE_CONFIG;
+    delete global.axios;
+    setCatalogProvider(null);
+});
+
+// ================================
+// LOCAL PROVIDER
+// ================================
+describe('Local catalog provider', () => {
+    const provider = createLocalProvider({ products });
+
+    test('list returns all products or one category', async () => {
+        expect(await provider.list()).toHaveLength(3);
+        expect((await provider.list({ category: 'jewelery' })).map(p => p.id)).toEqual([2]);
+    });
+
+    test('get finds by numeric or string id and returns null when missing', async () => {
+        expect((await provider.get('3')).title).toBe('Portable SSD');
+        expect(await provider.get(42)).toBeNull();
+    });
+
+    test('categories returns unique category names', async () => {
+        expect(await provider.categories()).toEqual(["men's clothing", 'jewelery', 'electronics']);
+    });
+
+    test('search matches title and description', async () => {
+        expect((await provider.search('usb')).map(p => p.id)).toEqual([3]);
+    });
+
+    test('loads products from the JSON file once', async () => {
+        global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => products });
+        const fileProvider = createLocalProvider({ url: 'data/products.json' });
+
+        await fileProvider.list();
+        await fileProvider.get(1);
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(global.fetch).toHaveBeenCalledWith('data/products.json');
+        delete global.fetch;
+    });
+});
+
+// ================================
+// FAKE STORE PROVIDER
+// ================================
+describe('Fake Store provider', () => {
+    test('calls the category endpoint when a category is given', async () => {
+        global.axios = { get: jest.fn().mockResolvedValue({ data: [products[1]] }) };
+        const provider = createFakeStoreProvider({ baseUrl: 'https://api.test' });
+
+        await provider.list({ category: 'jewelery' });
+
+        expect(global.axios.get).toHaveBeenCalledWith('https://api.test/products/category/jewelery');
+    });
+
+    test('get returns null for an empty response', async () => {
+        global.axios = { get: jest.fn().mockResolvedValue({ data: '' }) };
+        const provider = createFakeStoreProvider({ baseUrl: 'https://api.test' });
+
+        expect(await provider.get(999)).toBeNull();
+    });
+});
+
+// ================================
+// PROVIDER SELECTION
+// ================================
+describe('getCatalog', () => {
+    test('uses the Fake Store provider by default', () => {
+        expect(getCatalog().name).toBe('fakestore');
+    });
+
+    test('uses the provider named in configuration', () => {
+        window.NYSTORE_CONFIG = { catalogProvider: 'local' };
+        expect(getCatalog().name).toBe('local');
+    });
+
+    test('falls back to Fake Store for an unknown provider', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        window.NYSTORE_CONFIG = { catalogProvider: 'nope' };
+
+        expect(getCatalog().name).toBe('fakestore');
+        warn.mockRestore();
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import {
+    parseAddress,
+    formatAddress,
+    createCheckoutState,
+    loadCheckoutState,
+    saveCheckoutState,
+    clearCheckoutState,
+    moveStep,
+    validateStep
+} from '../js/checkout-flow.js';
+
+// ================================
+// TEST DATA
+// ================================
+const user = { name: 'Test User', email: 'test@test.com', address: '1 Main St, Albany, NY 12207' };
+
+// ================================
+// RESET STATE BEFORE EACH TEST
+// ================================
+beforeEach(() => {
+    sessionStorage.clear();
+});
+
+// ================================
+// ADDRESS HELPERS
+// ================================
+describe('Address helpers', () => {
+    test('parseAddress splits "Street, City, State ZIP"', () => {
+        expect(parseAddress('1 Main St, Albany, NY 12207'))
+            .toEqual({ street: '1 Main St', city: 'Albany', state: 'NY', zip: '12207' });
+    });
+
+    test('parseAddress handles a separate ZIP part and partial input', () => {
+        expect(parseAddress('Apt 2, 5 Elm Rd, Austin, TX, 73301-1234'))
+            .toEqual({ street: 'Apt 2, 5 Elm Rd', city: 'Austin', state: 'TX', zip: '73301-1234' });
+        expect(parseAddress('Somewhere')).toEqual({ street: 'Somewhere', city: '', state: '', zip: '' });
+        expect(parseAddress('')).toEqual({ street: '', city: '', state: '', zip: '' });
+    });
+
+    test('formatAddress joins fields and passes text through', () => {
+        expect(formatAddress(parseAddress(user.address))).toBe(user.address);
+        expect(formatAddress('legacy text')).toBe('legacy text');
+    });
+});
+
+// ================================
+// STATE & NAVIGATION
+// ================================
+describe('Checkout state', () => {
+    test('createCheckoutState prefills shipping from the profile', () => {
+        const state = createCheckoutState(user);
+
+        expect(state.step).toBe('cart');
+        expect(state.shipping).toEqual({
+            fullName: 'Test User', street: '1 Main St', city: 'Albany', state: 'NY', zip: '12207'
+        });
+    });
+
+    test('saveCheckoutState never stores card details', () => {
+        const state = createCheckoutState(user);
+        state.step = 'delivery';
+        state.payment.cardNumber = '4242424242424242';
+        state.payment.cvc = '123';
+        saveCheckoutState(user.email, state);
+
+        const stored = sessionStorage.getItem(`fs_checkout_${user.email}`);
+        expect(stored).not.toContain('4242');
+        expect(loadCheckoutState(user).step).toBe('delivery');
+
+        clearCheckoutState(user.email);
+        expect(loadCheckoutState(user).step).toBe('cart');
+    });
+
+    test('loadCheckoutState returns to payment when card details were dropped', () => {
+        const state = createCheckoutState(user);
+        state.step = 'review';
+        saveCheckoutState(user.email, state);
+
+        expect(loadCheckoutState(user).step).toBe('payment');
+    });
+
+    test('moveStep advances, goes back and clamps', () => {
+        expect(moveStep('cart', 1)).toBe('shipping');
+        expect(moveStep('review', -1)).toBe('payment');
+        expect(moveStep('cart', -1)).toBe('cart');
+        expect(moveStep('review', 1)).toBe('review');
+    });
+});
+
+// ================================
+// VALIDATION
+// ================================
+describe('validateStep', () => {
+    test('cart step requires items', () => {
+        expect(validateStep('cart', createCheckoutState(user), [])).toHaveProperty('cart');
+        expect(validateStep('cart', createCheckoutState(user), [{ id: 1, qty: 1 }])).toEqual({});
+    });
+
+    test('shipping step requires every field and a valid ZIP', () => {
+        const state = createCheckoutState({ ...user, address: '' });
+        state.shipping.zip = '12';
+
+        expect(Object.keys(validateStep('shipping', state)))
+            .toEqual(['street', 'city', 'state', 'zip']);
+        expect(validateStep('shipping', createCheckoutState(user))).toEqual({});
+    });
+
+    test('payment step checks card fields only for card payments', () => {
+        const state = createCheckoutState(user);
+        state.payment = { method: 'card', cardName: 'T', cardNumber: '4242 4242 4242 4242', expiry: '13/30', cvc: '12' };
+
+        expect(Object.keys(validateStep('payment', state))).toEqual(['expiry', 'cvc']);
+
+        state.payment.method = 'cod';
+        expect(validateStep('payment', state)).toEqual({});
+    });
+});
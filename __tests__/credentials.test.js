@@ -0,0 +1,111 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import {
+    HASH_ALGORITHM,
+    hashPassword,
+    verifyPassword,
+    toPublicUser,
+    createUserRecord,
+    authenticate,
+    setPassword
+} from '../js/credentials.js';
+
+// ================================
+// TEST SETUP
+// ================================
+// Keep hashing fast in tests
+window.NYSTORE_CONFIG = { passwordHashIterations: 1000 };
+
+const readUsers = () => JSON.parse(localStorage.getItem('users') || '[]');
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+// ================================
+// HASHING
+// ================================
+describe('Password hashing', () => {
+    test('hashPassword produces a salted PBKDF2 credential', async () => {
+        const first = await hashPassword('secret1');
+        const second = await hashPassword('secret1');
+
+        expect(first).toMatchObject({ algorithm: HASH_ALGORITHM, iterations: 1000 });
+        expect(first.hash).not.toContain('secret1');
+        expect(first.salt).not.toBe(second.salt);
+        expect(first.hash).not.toBe(second.hash);
+    });
+
+    test('verifyPassword accepts only the original password', async () => {
+        const credential = await hashPassword('secret1');
+
+        await expect(verifyPassword('secret1', credential)).resolves.toBe(true);
+        await expect(verifyPassword('secret2', credential)).resolves.toBe(false);
+        await expect(verifyPassword('secret1', { ...credential, algorithm: 'md5' })).resolves.toBe(false);
+    });
+
+    test('verifyPassword uses the iteration count stored with the hash', async () => {
+        const credential = await hashPassword('secret1', { iterations: 2000 });
+        await expect(verifyPassword('secret1', credential)).resolves.toBe(true);
+    });
+});
+
+// ================================
+// USER RECORDS
+// ================================
+describe('User records', () => {
+    test('createUserRecord hashes the password and toPublicUser strips secrets', async () => {
+        const record = await createUserRecord({ name: 'A', email: 'a@test.com', password: 'secret1', address: 'X' });
+
+        expect(record.password).toBeUndefined();
+        expect(record.credential.algorithm).toBe(HASH_ALGORITHM);
+        expect(toPublicUser(record)).toEqual({ name: 'A', email: 'a@test.com', address: 'X' });
+    });
+
+    test('authenticate verifies hashed users', async () => {
+        const record = await createUserRecord({ name: 'A', email: 'a@test.com', password: 'secret1' });
+        localStorage.setItem('users', JSON.stringify([record]));
+
+        await expect(authenticate('a@test.com', 'secret1')).resolves.toEqual({ name: 'A', email: 'a@test.com' });
+        await expect(authenticate('a@test.com', 'wrong')).resolves.toBeNull();
+        await expect(authenticate('b@test.com', 'secret1')).resolves.toBeNull();
+    });
+
+    test('authenticate migrates plaintext users on successful login', async () => {
+        localStorage.setItem('users', JSON.stringify([{ name: 'A', email: 'a@test.com', password: 'secret1' }]));
+
+        await expect(authenticate('a@test.com', 'wrong')).resolves.toBeNull();
+        expect(readUsers()[0].password).toBe('secret1');
+
+        const user = await authenticate('a@test.com', 'secret1');
+        expect(user).toEqual({ name: 'A', email: 'a@test.com' });
+        expect(readUsers()[0].password).toBeUndefined();
+        await expect(verifyPassword('secret1', readUsers()[0].credential)).resolves.toBe(true);
+    });
+
+    test('setPassword replaces the stored hash', async () => {
+        localStorage.setItem('users', JSON.stringify([{ email: 'a@test.com', password: 'old-pass' }]));
+
+        await expect(setPassword('a@test.com', 'new-pass')).resolves.toBe(true);
+        await expect(setPassword('b@test.com', 'new-pass')).resolves.toBe(false);
+        await expect(authenticate('a@test.com', 'old-pass')).resolves.toBeNull();
+        await expect(authenticate('a@test.com', 'new-pass')).resolves.not.toBeNull();
+    });
+
+    test('writes made while a password is hashed are kept', async () => {
+        localStorage.setItem('users', JSON.stringify([{ email: 'a@test.com', password: 'old-pass' }]));
+
+        const pending = Promise.all([authenticate('a@test.com', 'old-pass'), setPassword('a@test.com', 'new-pass')]);
+        localStorage.setItem('users', JSON.stringify([...readUsers(), { email: 'b@test.com', password: 'secret1' }]));
+        await pending;
+
+        expect(readUsers().map(u => u.email)).toEqual(['a@test.com', 'b@test.com']);
+        await expect(authenticate('a@test.com', 'old-pass')).resolves.toBeNull();
+        await expect(authenticate('a@test.com', 'new-pass')).resolves.not.toBeNull();
+    });
+});
@@ -0,0 +1,222 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import {
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    exportUserData,
+    getExportFilename,
+    parseUserData,
+    importUserData
+} from '../js/data-export.js';
+import { createUserRecord, getUsers } from '../js/credentials.js';
+import { createSession, getSession } from '../js/session.js';
+import { getOrders } from '../js/orders.js';
+import { readCart, writeCart } from '../js/cart-store.js';
+import { toggleWishlist, readWishlist, mergeSavedItems, readSavedItems } from '../js/wishlist.js';
+
+// ================================
+// TEST SETUP
+// ================================
+window.NYSTORE_CONFIG = { passwordHashIterations: 1000 };
+
+const email = 'test@test.com';
+const item = (id, qty = 1) => ({ id, title: `Item ${id}`, price: 10, image: '', category: 'books', qty });
+const order = (id, createdAt) => ({
+    id, email, items: [item(1)], totals: { subtotal: 10, total: 10 }, createdAt, status: 'placed'
+});
+
+/** Builds a valid export document */
+const exportDoc = (overrides = {}) => ({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: '2026-01-01T00:00:00.000Z',
+    profile: { name: 'Seeded', email: 'seed@test.com', address: '9 Seed St' },
+    cart: [],
+    orders: [],
+    ...overrides
+});
+
+beforeEach(async () => {
+    localStorage.clear();
+    sessionStorage.clear();
+    localStorage.setItem('users', JSON.stringify([
+        await createUserRecord({ name: 'Test', email, password: 'secret1', address: '' })
+    ]));
+});
+
+// ================================
+// EXPORT
+// ================================
+describe('exportUserData', () => {
+    test('exports profile, cart and orders without secrets', () => {
+        writeCart(email, [item(1, 2)]);
+        localStorage.setItem(`fs_orders_${email}`, JSON.stringify([order('NY-1', '2026-01-02T00:00:00Z')]));
+
+        const data = exportUserData(email);
+
+        expect(data).toMatchObject({
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            profile: { name: 'Test', email, address: '' },
+            cart: [item(1, 2)],
+            orders: [{ id: 'NY-1' }],
+            preferences: { rememberEmail: false }
+        });
+        expect(JSON.stringify(data)).not.toMatch(/credential|hash|salt/);
+        expect(exportUserData('nobody@test.com')).toBeNull();
+    });
+
+    test('names files by date', () => {
+        expect(getExportFilename(new Date('2026-03-04T10:00:00Z'))).toBe('nystore-data-2026-03-04.json');
+    });
+});
+
+// ================================
+// VALIDATION
+// ================================
+describe('parseUserData', () => {
+    test('accepts an export and rejects other files', () => {
+        expect(parseUserData(JSON.stringify(exportDoc())).ok).toBe(true);
+        expect(parseUserData('{not json').error).toMatch(/not valid JSON/);
+        expect(parseUserData('{"hello": 1}').error).toMatch(/not an NY Store data file/);
+    });
+
+    test('rejects newer versions and reports where data is wrong', () => {
+        const parse = doc => parseUserData(JSON.stringify(doc)).error;
+
+        expect(parse(exportDoc({ version: EXPORT_VERSION + 1 }))).toMatch(/newer version/);
+        expect(parse(exportDoc({ cart: {} }))).toBe('cart must be a list.');
+        expect(parse(exportDoc({ cart: [item(1), { ...item(2), qty: 0 }] }))).toMatch(/^cart\[1\]\.qty/);
+        expect(parse(exportDoc({ orders: [{ ...order('NY-1', 'soon') }] }))).toMatch(/^orders\[0\]\.createdAt/);
+        expect(parse(exportDoc({ wishlist: [{ id: 1, title: 'Item 1' }] }))).toMatch(/^wishlist\[0\]\.price/);
+        expect(parse(exportDoc({ wishlist: [{ id: 1, title: 'Item 1', price: 10 }] }))).toBeUndefined();
+    });
+
+    test('checks the full shape of orders', () => {
+        const parse = fields => parseUserData(JSON.stringify(exportDoc({
+            orders: [{ ...order('NY-1', '2026-01-02T00:00:00Z'), ...fields }]
+        }))).error;
+
+        expect(parse({ id: '<img src=x id=pwn>' })).toMatch(/^orders\[0\]\.id/);
+        expect(parse({ status: 'shipped' })).toMatch(/^orders\[0\]\.status/);
+        expect(parse({ totals: { total: 10 } })).toBe('orders[0].totals.subtotal must be a positive number.');
+        expect(parse({ totals: { subtotal: 10, tax: '1', total: 11 } })).toMatch(/^orders\[0\]\.totals\.tax/);
+        expect(parse({ items: [] })).toMatch(/^orders\[0\]\.items/);
+        expect(parse({ items: [{ ...item(1), id: '1' }] })).toMatch(/^orders\[0\]\.items\[0\]\.id/);
+        expect(parse({ shippingAddress: { street: ['1 Main St'] } })).toMatch(/^orders\[0\]\.shippingAddress\.street/);
+        expect(parse({ delivery: { id: 'standard' } })).toMatch(/^orders\[0\]\.delivery\.label/);
+        expect(parse({ payment: { method: 'card', last4: '<b>' } })).toMatch(/^orders\[0\]\.payment\.last4/);
+        expect(parse({ coupon: { code: 'SAVE10' } })).toMatch(/^orders\[0\]\.coupon/);
+        expect(parse({
+            shippingAddress: { fullName: 'Test', street: '1 Main St' },
+            delivery: { id: 'standard', label: 'Standard', cost: 0 },
+            payment: { method: 'card', brand: 'visa', last4: '4242' },
+            coupon: 'SAVE10'
+        })).toBeUndefined();
+    });
+
+    test('products must be in the catalog when one is given', () => {
+        const products = [{ id: 1 }];
+        const doc = JSON.stringify(exportDoc({ wishlist: [{ ...item(2), qty: undefined }] }));
+
+        expect(parseUserData(doc).ok).toBe(true);
+        expect(parseUserData(doc, { products }).error).toBe('wishlist[0].id is not a product in the catalog.');
+    });
+});
+
+// ================================
+// IMPORT
+// ================================
+describe('importUserData', () => {
+    test('merges cart, orders and missing profile fields into the account', () => {
+        createSession({ name: 'Test', email, address: '' });
+        writeCart(email, [item(1, 1)]);
+        localStorage.setItem(`fs_orders_${email}`, JSON.stringify([order('NY-1', '2026-01-02T00:00:00Z')]));
+
+        const result = importUserData(email, exportDoc({
+            cart: [item(1, 2), { ...item(2), password: 'leak' }],
+            orders: [order('NY-1', '2026-01-02T00:00:00Z'), order('NY-2', '2026-01-05T00:00:00Z')]
+        }));
+
+        expect(result).toEqual({
+            ok: true,
+            imported: { profile: true, cart: 2, orders: 1, wishlist: 0, savedForLater: 0, preferences: false }
+        });
+        expect(readCart(email)).toEqual([item(1, 3), item(2)]);
+        expect(getOrders(email).map(o => [o.id, o.email])).toEqual([['NY-2', email], ['NY-1', email]]);
+
+        // Name is kept, the empty address is filled in, the email never changes
+        expect(getUsers()[0]).toMatchObject({ name: 'Test', email, address: '9 Seed St' });
+        expect(getSession().user.address).toBe('9 Seed St');
+    });
+
+    test('a round trip into another account copies everything', async () => {
+        writeCart(email, [item(3, 4)]);
+        toggleWishlist(email, item(5));
+        mergeSavedItems(email, [item(6, 2)]);
+        localStorage.setItem(`fs_orders_${email}`, JSON.stringify([order('NY-9', '2026-01-02T00:00:00Z')]));
+        localStorage.setItem('users', JSON.stringify([
+            ...getUsers(),
+            await createUserRecord({ name: 'QA', email: 'qa@test.com', password: 'secret1' })
+        ]));
+
+        importUserData('qa@test.com', parseUserData(JSON.stringify(exportUserData(email))).data);
+
+        expect(readCart('qa@test.com')).toEqual([item(3, 4)]);
+        expect(getOrders('qa@test.com')[0]).toMatchObject({ id: 'NY-9', email: 'qa@test.com' });
+        expect(readWishlist('qa@test.com')).toEqual([expect.objectContaining({ id: 5, title: 'Item 5' })]);
+        expect(readSavedItems('qa@test.com')).toEqual([expect.objectContaining({ id: 6, qty: 2 })]);
+    });
+
+    test('cart quantities are capped by the catalog\'s limits', () => {
+        const products = [{ id: 1, stock: 3 }, { id: 2, stock: 0 }];
+        writeCart(email, [item(1, 2)]);
+
+        const result = importUserData(email, exportDoc({ cart: [{ ...item(1, 5), stock: 99 }, item(2)] }), { products });
+
+        expect(result.imported.cart).toBe(1);
+        expect(readCart(email)).toEqual([item(1, 3)]);
+    });
+
+    test('item details come from the catalog, not the file', () => {
+        const products = [{ id: 1, title: 'Backpack', price: 12, image: 'bag.png', category: 'bags', stock: 5 }];
+        const html = '<img src=x id=pwn>';
+
+        importUserData(email, exportDoc({
+            cart: [{ ...item(1, 2), title: html, image: html }],
+            wishlist: [{ id: 1, title: html, price: 1, addedAt: '2026-01-01T00:00:00.000Z' }],
+            savedForLater: [{ ...item(1), description: html, savedAt: '2026-01-02T00:00:00.000Z' }]
+        }), { products });
+
+        expect(readCart(email)).toEqual([{ ...products[0], pricedAt: expect.any(String), qty: 2 }]);
+        expect(readWishlist(email)).toEqual([{
+            id: 1, title: 'Backpack', price: 12, image: 'bag.png', category: 'bags', addedAt: '2026-01-01T00:00:00.000Z'
+        }]);
+        expect(readSavedItems(email)).toEqual([{
+            ...products[0], pricedAt: expect.any(String), qty: 1, savedAt: '2026-01-02T00:00:00.000Z'
+        }]);
+    });
+
+    test('remembers the email only if no other is remembered', () => {
+        const doc = exportDoc({ preferences: { rememberEmail: true } });
+        localStorage.setItem('rememberedEmail', 'other@test.com');
+
+        expect(importUserData(email, doc).imported.preferences).toBe(false);
+        expect(localStorage.getItem('rememberedEmail')).toBe('other@test.com');
+
+        localStorage.removeItem('rememberedEmail');
+        expect(importUserData(email, doc).imported.preferences).toBe(true);
+        expect(localStorage.getItem('rememberedEmail')).toBe(email);
+        expect(exportUserData(email).preferences).toEqual({ rememberEmail: true });
+    });
+
+    test('invalid documents change nothing', () => {
+        expect(importUserData(email, exportDoc({ cart: [{ id: 1 }] })).ok).toBe(false);
+        expect(readCart(email)).toEqual([]);
+    });
+});
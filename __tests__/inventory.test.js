@@ -0,0 +1,81 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import {
+    getStockLevel,
+    getMaxPerOrder,
+    getQuantityLimit,
+    describeQuantityLimit,
+    clampQuantity,
+    reconcileCart
+} from '../js/inventory.js';
+
+// ================================
+// TEST SETUP
+// ================================
+window.NYSTORE_CONFIG = { defaultProductStock: 50, defaultMaxPerOrder: 10 };
+
+const product = (fields = {}) => ({ id: 1, title: 'Lamp', price: 20, ...fields });
+
+// ================================
+// LIMITS
+// ================================
+describe('Quantity limits', () => {
+    test('uses catalog limits, or the configured defaults', () => {
+        expect(getStockLevel(product({ stock: 0 }))).toBe(0);
+        expect(getStockLevel(product({ stock: -1 }))).toBe(50);
+        expect(getMaxPerOrder(product({ maxPerOrder: 2 }))).toBe(2);
+        expect(getMaxPerOrder(product({ maxPerOrder: 0 }))).toBe(10);
+        expect(getQuantityLimit(product())).toEqual({ max: 10, reason: 'maxPerOrder' });
+        expect(getQuantityLimit(product({ stock: 4 }))).toEqual({ max: 4, reason: 'stock' });
+    });
+
+    test('describes which limit applies', () => {
+        expect(describeQuantityLimit(product({ stock: 0 }))).toBe('"Lamp" is out of stock.');
+        expect(describeQuantityLimit(product({ stock: 3 }))).toBe('Only 3 of "Lamp" in stock.');
+        expect(describeQuantityLimit(product({ maxPerOrder: 2 })))
+            .toBe('You can order up to 2 of "Lamp" at a time.');
+    });
+
+    test('clampQuantity caps at the limit and says why', () => {
+        expect(clampQuantity(product({ stock: 3 }), 2)).toEqual({ qty: 2, message: null });
+        expect(clampQuantity(product({ stock: 3 }), 5)).toEqual({ qty: 3, message: 'Only 3 of "Lamp" in stock.' });
+    });
+});
+
+// ================================
+// RE-CHECKING THE CART
+// ================================
+describe('reconcileCart', () => {
+    test('applies new stock data and reduces quantities above it', () => {
+        const cart = [
+            product({ stock: 10, qty: 5 }),
+            { ...product({ id: 2, title: 'Desk', stock: 4 }), qty: 1 },
+            { ...product({ id: 3, title: 'Chair' }), qty: 2 }
+        ];
+        const fresh = [product({ stock: 3 }), product({ id: 2, title: 'Desk', stock: 0 })];
+
+        const result = reconcileCart(cart, fresh);
+
+        expect(result.cart).toEqual([product({ stock: 3, qty: 3 }), cart[2]]);
+        expect(result.changed).toBe(true);
+        expect(result.messages).toEqual([
+            'Only 3 of "Lamp" can be ordered now, so your cart was updated.',
+            '"Desk" is now out of stock and was removed from your cart.'
+        ]);
+    });
+
+    test('reports no change when the catalog agrees with the cart', () => {
+        const cart = [product({ stock: 10, qty: 2 })];
+        expect(reconcileCart(cart, [product({ stock: 10 })])).toEqual({ cart, changed: false, messages: [] });
+    });
+
+    test('silently refreshes limits that still fit', () => {
+        const result = reconcileCart([product({ stock: 10, qty: 2 })], [product({ stock: 8 })]);
+        expect(result).toEqual({ cart: [product({ stock: 8, qty: 2 })], changed: true, messages: [] });
+    });
+});
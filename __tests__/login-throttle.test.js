@@ -0,0 +1,132 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import {
+    LOGIN_ATTEMPTS_KEY,
+    getLoginStatus,
+    recordLoginFailure,
+    clearLoginAttempts,
+    describeLoginBlock,
+    installLoginThrottle
+} from '../js/login-throttle.js';
+import { LOGIN_FAILURE, login, clearLoginHooks } from '../js/login.js';
+import { createUserRecord } from '../js/credentials.js';
+
+// ================================
+// TEST SETUP
+// ================================
+window.NYSTORE_CONFIG = {
+    passwordHashIterations: 1000,
+    loginThrottle: { freeAttempts: 2, baseDelay: 1000, maxDelay: 4000, lockoutThreshold: 5 }
+};
+
+const email = 'test@test.com';
+const password = 'secret1';
+const start = new Date(2026, 0, 1, 12, 0).getTime();
+
+/** Records several failures in a row */
+const fail = (times, address = email) => {
+    for (let i = 0; i < times; i++) recordLoginFailure(address);
+};
+
+beforeEach(async () => {
+    localStorage.clear();
+    sessionStorage.clear();
+    clearLoginHooks();
+    jest.useFakeTimers({ now: start, doNotFake: ['nextTick', 'setImmediate'] });
+    localStorage.setItem('users', JSON.stringify([
+        await createUserRecord({ name: 'Test', email, password })
+    ]));
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+// ================================
+// BACKOFF AND LOCKOUT
+// ================================
+describe('recordLoginFailure', () => {
+    test('allows a few free attempts', () => {
+        fail(1);
+        expect(getLoginStatus(email)).toEqual({
+            allowed: true, locked: false, retryAt: null, failures: 1, attemptsLeft: 4
+        });
+    });
+
+    test('doubles the wait after each further failure, up to the maximum', () => {
+        fail(2);
+        expect(getLoginStatus(email).retryAt).toBe(start + 1000);
+        fail(1);
+        expect(getLoginStatus(email).retryAt).toBe(start + 2000);
+        fail(1);
+        expect(getLoginStatus(email).retryAt).toBe(start + 4000);
+
+        jest.setSystemTime(start + 4000);
+        expect(getLoginStatus(email).allowed).toBe(true);
+    });
+
+    test('locks the account at the threshold for the lockout duration', () => {
+        fail(5);
+        const status = getLoginStatus(email);
+        expect(status).toMatchObject({ allowed: false, locked: true, retryAt: start + 15 * 60 * 1000 });
+        expect(describeLoginBlock(status)).toMatch(/locked for 15 minutes.*Reset your password/);
+
+        jest.setSystemTime(start + 15 * 60 * 1000);
+        expect(getLoginStatus(email).allowed).toBe(true);
+
+        // The count starts over once a lockout has ended
+        fail(1);
+        expect(getLoginStatus(email)).toMatchObject({ locked: false, failures: 1 });
+    });
+
+    test('tracks emails separately and case-insensitively', () => {
+        fail(5, 'Test@Test.com ');
+        expect(getLoginStatus(email).locked).toBe(true);
+        expect(getLoginStatus('other@test.com').failures).toBe(0);
+
+        clearLoginAttempts(email);
+        expect(JSON.parse(localStorage.getItem(LOGIN_ATTEMPTS_KEY))).toEqual({});
+    });
+});
+
+// ================================
+// LOGIN CONTROLLER HOOKS
+// ================================
+describe('installLoginThrottle', () => {
+    test('counts wrong passwords and blocks logins while waiting', async () => {
+        installLoginThrottle();
+        await login({ email, password: 'wrong' });
+        await login({ email, password: 'wrong' });
+
+        const blocked = await login({ email, password });
+        expect(blocked).toMatchObject({ ok: false, reason: LOGIN_FAILURE.CANCELLED });
+        expect(blocked.error).toMatch(/wait 1 second/);
+        expect(getLoginStatus(email).failures).toBe(2);
+
+        jest.setSystemTime(start + 1000);
+        expect((await login({ email, password })).ok).toBe(true);
+        expect(getLoginStatus(email).failures).toBe(0);
+    });
+
+    test('ignores validation errors and can be detached', async () => {
+        const detach = installLoginThrottle();
+        await login({ email, password: '' });
+        expect(getLoginStatus(email).failures).toBe(0);
+
+        detach();
+        await login({ email, password: 'wrong' });
+        expect(getLoginStatus(email).failures).toBe(0);
+    });
+
+    test('installing twice does not count failures twice', async () => {
+        installLoginThrottle();
+        installLoginThrottle();
+        await login({ email, password: 'wrong' });
+        expect(getLoginStatus(email).failures).toBe(1);
+    });
+});
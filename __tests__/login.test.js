@@ -0,0 +1,122 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import {
+    LOGIN_FAILURE,
+    REMEMBERED_EMAIL_KEY,
+    login,
+    completeLogin,
+    onLogin,
+    clearLoginHooks
+} from '../js/login.js';
+import { createUserRecord } from '../js/credentials.js';
+import { getSession } from '../js/session.js';
+
+// ================================
+// TEST SETUP
+// ================================
+window.NYSTORE_CONFIG = { passwordHashIterations: 1000 };
+
+const email = 'test@test.com';
+const password = 'secret1';
+
+beforeEach(async () => {
+    localStorage.clear();
+    sessionStorage.clear();
+    clearLoginHooks();
+    localStorage.setItem('users', JSON.stringify([
+        await createUserRecord({ name: 'Test', email, password, address: '1 Main St' })
+    ]));
+});
+
+// ================================
+// LOGIN FLOW
+// ================================
+describe('login', () => {
+    test('starts a session and remembers the email when asked', async () => {
+        const result = await login({ email: ` ${email} `, password, remember: true });
+
+        expect(result).toEqual({
+            ok: true, user: { name: 'Test', email, address: '1 Main St' }, restored: false, notes: []
+        });
+        expect(getSession()).toMatchObject({ remember: true, user: { email } });
+        expect(localStorage.getItem(REMEMBERED_EMAIL_KEY)).toBe(email);
+    });
+
+    test('a session-only login forgets the remembered email', async () => {
+        localStorage.setItem(REMEMBERED_EMAIL_KEY, email);
+        await login({ email, password });
+
+        expect(getSession().remember).toBe(false);
+        expect(localStorage.getItem(REMEMBERED_EMAIL_KEY)).toBeNull();
+    });
+
+    test('reports why a login failed', async () => {
+        expect((await login({ email, password: '' })).reason).toBe(LOGIN_FAILURE.MISSING_FIELDS);
+        expect((await login({ email: 'nope', password })).reason).toBe(LOGIN_FAILURE.INVALID_EMAIL);
+        expect(await login({ email, password: 'wrong' })).toEqual({
+            ok: false,
+            reason: LOGIN_FAILURE.INVALID_CREDENTIALS,
+            error: 'Invalid email or password.'
+        });
+        expect(getSession()).toBeNull();
+    });
+});
+
+// ================================
+// HOOKS
+// ================================
+describe('Login hooks', () => {
+    test('run before and after a successful login', async () => {
+        const calls = [];
+        onLogin('beforeLogin', ({ email: e }) => calls.push(['before', e]));
+        onLogin('afterLogin', async ({ user }) => calls.push(['after', user.email]));
+
+        await login({ email, password });
+        expect(calls).toEqual([['before', email], ['after', email]]);
+    });
+
+    test('a throwing beforeLogin hook cancels the login', async () => {
+        const failed = jest.fn();
+        onLogin('beforeLogin', () => {
+            throw new Error('Too many attempts.');
+        });
+        onLogin('loginFailed', failed);
+
+        const result = await login({ email, password });
+
+        expect(result).toMatchObject({ ok: false, reason: LOGIN_FAILURE.CANCELLED, error: 'Too many attempts.' });
+        expect(failed).toHaveBeenCalledWith(expect.objectContaining({ email, reason: LOGIN_FAILURE.CANCELLED }));
+        expect(getSession()).toBeNull();
+    });
+
+    test('loginFailed receives wrong-password attempts and handlers can be removed', async () => {
+        const failed = jest.fn();
+        const remove = onLogin('loginFailed', failed);
+
+        await login({ email, password: 'wrong' });
+        remove();
+        await login({ email, password: 'wrong' });
+
+        expect(failed).toHaveBeenCalledTimes(1);
+        expect(failed.mock.calls[0][0].reason).toBe(LOGIN_FAILURE.INVALID_CREDENTIALS);
+    });
+
+    test('afterLogin hooks can leave notes, also when registration completes the login', async () => {
+        onLogin('afterLogin', ({ user, notes }) => notes.push(`Hello ${user.name}`));
+
+        expect((await login({ email, password })).notes).toEqual(['Hello Test']);
+
+        const notes = await completeLogin({ name: 'New', email: 'new@test.com' }, { remember: true });
+        expect(notes).toEqual(['Hello New']);
+        expect(getSession()).toMatchObject({ remember: true, user: { email: 'new@test.com' } });
+    });
+
+    test('unknown hook names are rejected', () => {
+        expect(() => onLogin('onLogout', () => {})).toThrow(/Unknown login hook/);
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import {
+    getQueuedActions,
+    enqueueAction,
+    registerActionHandler,
+    flushQueue
+} from '../js/offline-queue.js';
+
+// ================================
+// RESET STATE BEFORE EACH TEST
+// ================================
+beforeEach(() => {
+    localStorage.clear();
+});
+
+// ================================
+// OFFLINE QUEUE TESTS
+// ================================
+describe('Offline action queue', () => {
+    test('enqueueAction persists actions in order', () => {
+        enqueueAction('place-order', { total: '10.00' });
+        enqueueAction('place-order', { total: '20.00' });
+
+        const actions = getQueuedActions();
+        expect(actions).toHaveLength(2);
+        expect(actions.map(a => a.payload.total)).toEqual(['10.00', '20.00']);
+        expect(actions[0]).toHaveProperty('queuedAt');
+    });
+
+    test('flushQueue replays actions through their handler and removes them', async () => {
+        const handler = jest.fn().mockResolvedValue();
+        registerActionHandler('test-ok', handler);
+
+        enqueueAction('test-ok', { n: 1 });
+        enqueueAction('test-ok', { n: 2 });
+
+        expect(await flushQueue()).toEqual({ replayed: 2, remaining: 0 });
+        expect(handler.mock.calls.map(([payload]) => payload.n)).toEqual([1, 2]);
+    });
+
+    test('flushQueue stops at the first failure and keeps the rest', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        registerActionHandler('test-fail', jest.fn().mockRejectedValue(new Error('offline')));
+        registerActionHandler('test-later', jest.fn());
+
+        enqueueAction('test-fail', {});
+        enqueueAction('test-later', {});
+
+        expect(await flushQueue()).toEqual({ replayed: 0, remaining: 2 });
+        console.warn.mockRestore();
+    });
+
+    test('actions without a handler stay queued', async () => {
+        enqueueAction('unknown-type', {});
+        expect(await flushQueue()).toEqual({ replayed: 0, remaining: 1 });
+    });
+});
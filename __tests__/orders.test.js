@@ -0,0 +1,103 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import {
+    ORDER_STATUS,
+    createOrder,
+    saveOrder,
+    getOrders,
+    getOrder,
+    getOrdersKey,
+    updateOrderStatus
+} from '../js/orders.js';
+
+// ================================
+// TEST DATA
+// ================================
+const email = 'test@test.com';
+const cart = [
+    { id: 1, title: 'Backpack', image: 'a.png', category: 'bags', description: 'long text', price: 10.5, qty: 2 },
+    { id: 2, title: 'Ring', image: 'b.png', category: 'jewelery', description: 'long text', price: 4.25, qty: 1 }
+];
+
+// ================================
+// RESET STATE BEFORE EACH TEST
+// ================================
+beforeEach(() => {
+    localStorage.clear();
+});
+
+// ================================
+// ORDERS MODULE TESTS
+// ================================
+describe('Orders Module', () => {
+    test('createOrder snapshots line items and totals', () => {
+        const order = createOrder({ email, items: cart, shippingAddress: '1 Main St' });
+
+        expect(order.id).toMatch(/^ORD-/);
+        expect(order.status).toBe(ORDER_STATUS.PLACED);
+        expect(order.totals).toEqual({ subtotal: 25.25, discount: 0, shipping: 0, tax: 0, total: 25.25 });
+        expect(order.items[0]).toEqual({
+            id: 1, title: 'Backpack', image: 'a.png', category: 'bags', price: 10.5, qty: 2
+        });
+        expect(order.shippingAddress).toBe('1 Main St');
+        expect(Date.parse(order.createdAt)).not.toBeNaN();
+    });
+
+    test('createOrder adds shipping and sales tax to the total', () => {
+        const order = createOrder({
+            email,
+            items: cart,
+            shippingAddress: { fullName: 'Test', street: '1 Main St', city: 'Albany', state: 'NY', zip: '12207' },
+            delivery: { id: 'express', label: 'Express', description: '1–2 days' },
+            payment: { method: 'card', last4: '4242' }
+        });
+
+        expect(order.totals).toEqual({ subtotal: 25.25, discount: 0, shipping: 14.99, tax: 1.01, total: 41.25 });
+        expect(order.delivery).toEqual({ id: 'express', label: 'Express', cost: 14.99 });
+        expect(order.payment).toEqual({ method: 'card', last4: '4242' });
+    });
+
+    test('createOrder applies a coupon discount and free shipping', () => {
+        const order = createOrder({
+            email,
+            items: cart,
+            shippingAddress: '1 Main St',
+            delivery: { id: 'standard', label: 'Standard' },
+            coupon: { code: 'FREESHIP', discount: 5, freeShipping: true }
+        });
+
+        expect(order.totals).toEqual({ subtotal: 25.25, discount: 5, shipping: 0, tax: 0, total: 20.25 });
+        expect(order.coupon).toBe('FREESHIP');
+    });
+
+    test('saveOrder stores orders per user, newest first', () => {
+        const first = saveOrder(createOrder({ email, items: cart, shippingAddress: '' }));
+        const second = saveOrder(createOrder({ email, items: cart, shippingAddress: '' }));
+
+        expect(getOrders(email).map(o => o.id)).toEqual([second.id, first.id]);
+        expect(getOrders('other@test.com')).toEqual([]);
+        expect(localStorage.getItem(getOrdersKey(email))).not.toBeNull();
+    });
+
+    test('getOrder finds an order by id', () => {
+        const order = saveOrder(createOrder({ email, items: cart, shippingAddress: '' }));
+
+        expect(getOrder(email, order.id)).toEqual(order);
+        expect(getOrder(email, 'missing')).toBeNull();
+    });
+
+    test('updateOrderStatus changes status of an existing order', () => {
+        const order = saveOrder(createOrder({
+            email, items: cart, shippingAddress: '', status: ORDER_STATUS.PENDING
+        }));
+
+        expect(updateOrderStatus(email, order.id, ORDER_STATUS.PLACED).status).toBe('placed');
+        expect(getOrder(email, order.id).status).toBe('placed');
+        expect(updateOrderStatus(email, 'missing', ORDER_STATUS.PLACED)).toBeNull();
+    });
+});
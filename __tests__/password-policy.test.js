@@ -0,0 +1,85 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import { checkPassword, validatePassword, getPasswordPolicy } from '../js/password-policy.js';
+import { attachPasswordMeter } from '../js/password-meter.js';
+
+// ================================
+// RESET STATE BEFORE EACH TEST
+// ================================
+beforeEach(() => {
+    delete window.NYSTORE_CONFIG;
+    document.body.innerHTML = '';
+});
+
+// ================================
+// POLICY RULES
+// ================================
+describe('Password policy', () => {
+    test('default policy requires length, a lowercase letter and a number', () => {
+        expect(checkPassword('short1').errors).toEqual(['Password must be at least 8 characters.']);
+        expect(validatePassword('NOLOWERCASE1')).toBe('Password must include a lowercase letter.');
+        expect(validatePassword('nodigitshere')).toBe('Password must include a number.');
+        expect(validatePassword('tall-giraffe-42')).toBeNull();
+    });
+
+    test('overrides are merged with the defaults', () => {
+        window.NYSTORE_CONFIG = { passwordPolicy: { minLength: 12, requireSymbol: true } };
+
+        expect(getPasswordPolicy()).toMatchObject({ minLength: 12, requireDigit: true, requireSymbol: true });
+        expect(checkPassword('giraffe42ab').errors).toEqual([
+            'Password must be at least 12 characters.',
+            'Password must include a symbol (e.g. ! @ #).'
+        ]);
+    });
+
+    test('common passwords are rejected', () => {
+        const result = checkPassword('Password123');
+        expect(result.valid).toBe(false);
+        expect(result.errors).toContain('This password is too common.');
+        expect(result.score).toBe(0);
+    });
+
+    test('passwords matching the email or name are rejected', () => {
+        const context = { email: 'jane99@test.com', name: 'Jane Doe' };
+
+        expect(validatePassword('Jane99', { ...context, email: 'jane99@x.io' })).not.toBeNull();
+        expect(checkPassword('jane99@test.com', context).errors).toContain('Password must not be your email or name.');
+        expect(checkPassword('janedoe1', { name: 'Janedoe1' }).valid).toBe(false);
+        expect(checkPassword('janedoe-rocks1', context).valid).toBe(true);
+    });
+
+    test('strength grows with length and variety', () => {
+        expect(checkPassword('').strength).toBe('Very weak');
+        expect(checkPassword('abcdefg1').score).toBeLessThan(checkPassword('Abcdefg1!xyz').score);
+        expect(checkPassword('Abcdefg1!xyz').strength).toBe('Strong');
+        expect(checkPassword('aaaaaaaa1').score).toBeLessThan(checkPassword('abcdefgh1').score);
+    });
+});
+
+// ================================
+// STRENGTH METER
+// ================================
+describe('Password strength meter', () => {
+    test('updates the checklist and strength as the user types', () => {
+        document.body.innerHTML = `<input id="pw">`;
+        const input = document.getElementById('pw');
+        const meter = attachPasswordMeter(input, () => ({ email: 'jane@test.com' }));
+
+        expect(meter.querySelector('[data-requirement="length"]').className).toContain('text-muted');
+
+        input.value = 'giraffe-42x';
+        input.dispatchEvent(new Event('input'));
+
+        expect(meter.querySelector('[data-requirement="length"]').className).toContain('text-success');
+        expect(meter.querySelector('.password-strength').textContent).toContain('Good');
+
+        input.value = 'jane@test.com';
+        input.dispatchEvent(new Event('input'));
+        expect(meter.textContent).toContain('must not be your email or name');
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import { requestPasswordReset, verifyResetToken, resetPassword } from '../js/password-reset.js';
+import { createUserRecord, authenticate, getUsers } from '../js/credentials.js';
+import { createSession, getSession } from '../js/session.js';
+import { getOutbox } from '../js/outbox.js';
+import { recordLoginFailure, getLoginStatus } from '../js/login-throttle.js';
+
+// ================================
+// TEST SETUP
+// ================================
+window.NYSTORE_CONFIG = { passwordHashIterations: 1000, resetTokenTtl: 30 * 60 * 1000 };
+
+const email = 'test@test.com';
+const start = new Date(2026, 0, 1, 12, 0).getTime();
+
+/** Reads the token from the last reset link in the outbox */
+const lastToken = () => new URL(getOutbox(email)[0].link, 'http://localhost').searchParams.get('token');
+
+beforeEach(async () => {
+    localStorage.clear();
+    sessionStorage.clear();
+    jest.useFakeTimers({ now: start, doNotFake: ['nextTick', 'setImmediate'] });
+    localStorage.setItem('users', JSON.stringify([
+        await createUserRecord({ name: 'Test', email, password: 'old-pass' })
+    ]));
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+// ================================
+// REQUESTING A RESET
+// ================================
+describe('requestPasswordReset', () => {
+    test('sends a tokenized link to the outbox and stores only a hash', async () => {
+        await expect(requestPasswordReset(email)).resolves.toBe(true);
+
+        const token = lastToken();
+        expect(token).toMatch(/^[0-9a-f]{64}$/);
+        expect(getOutbox(email)[0].link).not.toContain(email);
+        expect(localStorage.getItem('users')).not.toContain(token);
+        await expect(verifyResetToken(token)).resolves.toBe(email);
+    });
+
+    test('does nothing for unknown accounts', async () => {
+        await expect(requestPasswordReset('nobody@test.com')).resolves.toBe(false);
+        expect(getOutbox()).toEqual([]);
+    });
+
+    test('a new request replaces the previous token', async () => {
+        await requestPasswordReset(email);
+        const first = lastToken();
+        await requestPasswordReset(email);
+
+        await expect(verifyResetToken(first)).resolves.toBeNull();
+        await expect(verifyResetToken(lastToken())).resolves.toBe(email);
+    });
+});
+
+// ================================
+// USING A TOKEN
+// ================================
+describe('resetPassword', () => {
+    test('tokens expire', async () => {
+        await requestPasswordReset(email);
+        jest.setSystemTime(start + 30 * 60 * 1000);
+
+        await expect(verifyResetToken(lastToken())).resolves.toBeNull();
+        expect((await resetPassword(lastToken(), 'new-pass1')).ok).toBe(false);
+    });
+
+    test('applies the password policy', async () => {
+        await requestPasswordReset(email);
+        const result = await resetPassword(lastToken(), '123');
+
+        expect(result).toEqual({ ok: false, error: expect.stringMatching(/at least 8/) });
+        await expect(verifyResetToken(lastToken())).resolves.toBe(email);
+    });
+
+    test('sets the password once and ends existing sessions', async () => {
+        createSession({ name: 'Test', email }, { remember: true });
+        await requestPasswordReset(email);
+        const token = lastToken();
+
+        jest.setSystemTime(start + 1000);
+        await expect(resetPassword(token, 'new-pass1')).resolves.toEqual({ ok: true });
+
+        expect(getSession()).toBeNull();
+        expect(getUsers()[0].passwordReset).toBeUndefined();
+        await expect(authenticate(email, 'new-pass1')).resolves.not.toBeNull();
+        expect((await resetPassword(token, 'other-pass')).ok).toBe(false);
+    });
+
+    test('unlocks an account locked by failed logins', async () => {
+        for (let i = 0; i < 8; i++) recordLoginFailure(email);
+        expect(getLoginStatus(email).locked).toBe(true);
+
+        await requestPasswordReset(email);
+        await resetPassword(lastToken(), 'new-pass1');
+
+        expect(getLoginStatus(email)).toMatchObject({ allowed: true, locked: false, failures: 0 });
+    });
+
+    test('rejects malformed tokens', async () => {
+        await expect(verifyResetToken(null)).resolves.toBeNull();
+        await expect(verifyResetToken('abc')).resolves.toBeNull();
+    });
+});
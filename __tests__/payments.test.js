@@ -0,0 +1,100 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import {
+    PAYMENT_STATUS,
+    luhnCheck,
+    detectCardBrand,
+    isExpired,
+    validateCard,
+    createMockGateway
+} from '../js/payments.js';
+
+// ================================
+// TEST DATA
+// ================================
+const now = new Date(2026, 5, 15); // 15 June 2026
+const validCard = { cardName: 'Test User', cardNumber: '4242 4242 4242 4242', expiry: '12/30', cvc: '123' };
+
+// ================================
+// CARD VALIDATION
+// ================================
+describe('Card validation', () => {
+    test('luhnCheck accepts valid numbers and rejects others', () => {
+        expect(luhnCheck('4242 4242 4242 4242')).toBe(true);
+        expect(luhnCheck('378282246310005')).toBe(true);
+        expect(luhnCheck('4242424242424241')).toBe(false);
+        expect(luhnCheck('1234')).toBe(false);
+    });
+
+    test('detectCardBrand recognizes common prefixes', () => {
+        expect(detectCardBrand('4242424242424242')).toBe('visa');
+        expect(detectCardBrand('5555555555554444')).toBe('mastercard');
+        expect(detectCardBrand('378282246310005')).toBe('amex');
+        expect(detectCardBrand('9999')).toBe('unknown');
+    });
+
+    test('isExpired treats the expiry month as still valid', () => {
+        expect(isExpired('06/26', now)).toBe(false);
+        expect(isExpired('05/26', now)).toBe(true);
+    });
+
+    test('validateCard reports each invalid field', () => {
+        expect(validateCard(validCard, now)).toEqual({});
+
+        const errors = validateCard({ cardName: '', cardNumber: '4242424242424241', expiry: '01/20', cvc: '1' }, now);
+        expect(Object.keys(errors)).toEqual(['cardName', 'cardNumber', 'expiry', 'cvc']);
+        expect(errors.expiry).toBe('This card has expired.');
+    });
+
+    test('validateCard requires a 4-digit CVC for Amex', () => {
+        const amex = { ...validCard, cardNumber: '378282246310005', cvc: '123' };
+        expect(validateCard(amex, now)).toHaveProperty('cvc');
+        expect(validateCard({ ...amex, cvc: '1234' }, now)).toEqual({});
+    });
+});
+
+// ================================
+// MOCK GATEWAY
+// ================================
+describe('Mock payment gateway', () => {
+    const gateway = createMockGateway({ delay: 0 });
+    const charge = (cardNumber) => gateway.charge({ amount: 25, card: { ...validCard, cardNumber } });
+
+    test('succeeds for the success test card and unknown valid cards', async () => {
+        expect((await charge('4242424242424242')).status).toBe(PAYMENT_STATUS.SUCCEEDED);
+        expect((await charge('5555555555554444')).status).toBe(PAYMENT_STATUS.SUCCEEDED);
+    });
+
+    test('declines the decline test cards with a code', async () => {
+        const result = await charge('4000000000000002');
+        expect(result.status).toBe(PAYMENT_STATUS.DECLINED);
+        expect(result.declineCode).toBe('card_declined');
+        expect((await charge('4000000000009995')).declineCode).toBe('insufficient_funds');
+    });
+
+    test('declines invalid card details', async () => {
+        const result = await charge('4242424242424241');
+        expect(result.status).toBe(PAYMENT_STATUS.DECLINED);
+        expect(result.declineCode).toBe('invalid_card');
+    });
+
+    test('requires 3-D Secure and resolves through confirmAction', async () => {
+        const first = await charge('4000000000003220');
+        expect(first.status).toBe(PAYMENT_STATUS.REQUIRES_ACTION);
+        expect((await gateway.confirmAction(first.id, true)).status).toBe(PAYMENT_STATUS.SUCCEEDED);
+
+        const second = await charge('4000000000003220');
+        const failed = await gateway.confirmAction(second.id, false);
+        expect(failed.status).toBe(PAYMENT_STATUS.DECLINED);
+        expect(failed.declineCode).toBe('authentication_failed');
+    });
+
+    test('confirmAction rejects unknown payments', async () => {
+        expect((await gateway.confirmAction('nope', true)).declineCode).toBe('unknown_payment');
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import {
+    CART_CHANGE,
+    snapshotPrice,
+    checkCartPrices,
+    describeCartChange
+} from '../js/price-check.js';
+
+// ================================
+// TEST SETUP
+// ================================
+window.NYSTORE_CONFIG = { defaultProductStock: 50, defaultMaxPerOrder: 10 };
+
+const ADDED = Date.parse('2026-01-10T12:00:00Z');
+const NOW = Date.parse('2026-01-12T09:30:00Z');
+
+const item = (fields = {}) => ({ id: 1, title: 'Lamp', price: 20, pricedAt: new Date(ADDED).toISOString(), qty: 2, ...fields });
+const product = (fields = {}) => ({ id: 1, title: 'Lamp', price: 20, ...fields });
+
+// ================================
+// SNAPSHOTS
+// ================================
+describe('snapshotPrice', () => {
+    test('records the price with an ISO timestamp', () => {
+        expect(snapshotPrice(product(), ADDED)).toEqual({ price: 20, pricedAt: '2026-01-10T12:00:00.000Z' });
+    });
+});
+
+// ================================
+// CHECKING A CART
+// ================================
+describe('checkCartPrices', () => {
+    test('reports nothing when prices and stock are unchanged', () => {
+        const { cart, changes } = checkCartPrices([item()], [product({ price: 20.001 })], NOW);
+
+        expect(changes).toEqual([]);
+        expect(cart[0].qty).toBe(2);
+    });
+
+    test('reports a price change and takes a new snapshot', () => {
+        const { cart, changes } = checkCartPrices([item()], [product({ price: 24.5 })], NOW);
+
+        expect(changes).toEqual([{
+            type: CART_CHANGE.PRICE, id: 1, title: 'Lamp',
+            oldPrice: 20, newPrice: 24.5, pricedAt: '2026-01-10T12:00:00.000Z'
+        }]);
+        expect(cart[0]).toMatchObject({ price: 24.5, pricedAt: '2026-01-12T09:30:00.000Z', qty: 2 });
+    });
+
+    test('removes products that are no longer sold or are sold out', () => {
+        const cart = [item(), item({ id: 2, title: 'Desk' }), item({ id: 3, title: 'Chair' })];
+        const products = [product({ id: 2, title: 'Desk', stock: 0 }), product({ id: 3, title: 'Chair' })];
+
+        const result = checkCartPrices(cart, products, NOW);
+
+        expect(result.cart.map(i => i.id)).toEqual([3]);
+        expect(result.changes).toEqual([
+            { type: CART_CHANGE.REMOVED, id: 1, title: 'Lamp', reason: 'discontinued' },
+            { type: CART_CHANGE.REMOVED, id: 2, title: 'Desk', reason: 'soldOut' }
+        ]);
+    });
+
+    test('caps quantities above the current limit', () => {
+        const { cart, changes } = checkCartPrices([item({ qty: 5 })], [product({ stock: 3 })], NOW);
+
+        expect(cart[0].qty).toBe(3);
+        expect(changes).toEqual([{ type: CART_CHANGE.QUANTITY, id: 1, title: 'Lamp', oldQty: 5, newQty: 3 }]);
+    });
+
+    test('items without a snapshot time are still checked', () => {
+        const { changes } = checkCartPrices([item({ pricedAt: undefined })], [product({ price: 18 })], NOW);
+        expect(changes[0]).toMatchObject({ type: CART_CHANGE.PRICE, pricedAt: null });
+    });
+});
+
+// ================================
+// MESSAGES
+// ================================
+describe('describeCartChange', () => {
+    test('describes each kind of change', () => {
+        expect(describeCartChange({ type: CART_CHANGE.PRICE, title: 'Lamp', oldPrice: 20, newPrice: 18 }))
+            .toBe('The price of "Lamp" has gone down from $20.00 to $18.00.');
+        expect(describeCartChange({ type: CART_CHANGE.QUANTITY, title: 'Lamp', oldQty: 5, newQty: 3 }))
+            .toBe('Only 3 of "Lamp" can be ordered now (you had 5).');
+        expect(describeCartChange({ type: CART_CHANGE.REMOVED, title: 'Lamp', reason: 'soldOut' }))
+            .toBe('"Lamp" is sold out and will be removed.');
+        expect(describeCartChange({ type: CART_CHANGE.REMOVED, title: 'Lamp', reason: 'discontinued' }))
+            .toBe('"Lamp" is no longer sold and will be removed.');
+    });
+});
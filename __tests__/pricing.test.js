@@ -0,0 +1,109 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import {
+    getItemWeight,
+    cartWeight,
+    calculateShipping,
+    stateFromZip,
+    resolveState,
+    getTaxRate,
+    calculateTotals
+} from '../js/pricing.js';
+
+// ================================
+// TEST DATA
+// ================================
+const shirt = { id: 1, category: "men's clothing", price: 20, qty: 1 };
+const laptop = { id: 2, category: 'electronics', price: 60, qty: 1 };
+const heavy = { id: 3, category: 'misc', price: 10, qty: 1, weight: 6 };
+
+// ================================
+// SHIPPING
+// ================================
+describe('Shipping', () => {
+    test('weights come from the product or its category', () => {
+        expect(getItemWeight(heavy)).toBe(6);
+        expect(getItemWeight(laptop)).toBe(1.5);
+        expect(getItemWeight({ category: 'unknown' })).toBe(0.5);
+        expect(cartWeight([{ ...shirt, qty: 3 }, laptop])).toBeCloseTo(2.7);
+    });
+
+    test('standard delivery uses weight tiers', () => {
+        expect(calculateShipping('standard', [shirt])).toBe(4.99);
+        expect(calculateShipping('standard', [laptop])).toBe(7.99);
+        expect(calculateShipping('standard', [heavy])).toBe(12.99);
+    });
+
+    test('standard delivery is free above the threshold', () => {
+        expect(calculateShipping('standard', [shirt, laptop])).toBe(0);
+        expect(calculateShipping('standard', [shirt, laptop], { amount: 70 })).toBe(7.99);
+    });
+
+    test('flat rates and remote surcharges', () => {
+        expect(calculateShipping('express', [shirt])).toBe(14.99);
+        expect(calculateShipping('express', [shirt], { state: 'HI' })).toBe(24.99);
+        expect(calculateShipping('pickup', [shirt], { state: 'HI' })).toBe(0);
+        expect(calculateShipping('unknown', [shirt])).toBe(0);
+        expect(calculateShipping('express', [])).toBe(0);
+    });
+});
+
+// ================================
+// TAX
+// ================================
+describe('Sales tax', () => {
+    test('stateFromZip maps ZIP prefixes to states', () => {
+        expect(stateFromZip('10001')).toBe('NY');
+        expect(stateFromZip('94105-1234')).toBe('CA');
+        expect(stateFromZip('02108')).toBe('MA');
+        expect(stateFromZip('abc')).toBeNull();
+    });
+
+    test('resolveState prefers the state field, then the ZIP', () => {
+        expect(resolveState({ state: 'tx', zip: '10001' })).toBe('TX');
+        expect(resolveState({ state: 'Somewhere', zip: '10001' })).toBe('NY');
+        expect(resolveState('1 Main St, Albany, NY 12207')).toBe('NY');
+        expect(resolveState('')).toBeNull();
+    });
+
+    test('getTaxRate returns 0 for unknown or tax-free states', () => {
+        expect(getTaxRate({ state: 'CA' })).toBe(0.0725);
+        expect(getTaxRate({ state: 'OR' })).toBe(0);
+        expect(getTaxRate({})).toBe(0);
+    });
+});
+
+// ================================
+// TOTALS
+// ================================
+describe('calculateTotals', () => {
+    test('breaks down subtotal, shipping, tax and total', () => {
+        const totals = calculateTotals({
+            items: [shirt],
+            deliveryId: 'standard',
+            address: { state: 'NY', zip: '10001' }
+        });
+
+        expect(totals).toEqual({
+            subtotal: 20, discount: 0, shipping: 4.99, tax: 0.8, taxRate: 0.04, state: 'NY', total: 25.79
+        });
+    });
+
+    test('taxes the discounted amount and honours free-shipping coupons', () => {
+        const totals = calculateTotals({
+            items: [shirt, laptop],
+            deliveryId: 'express',
+            address: { state: 'CA' },
+            coupon: { discount: 20, freeShipping: true }
+        });
+
+        expect(totals.shipping).toBe(0);
+        expect(totals.tax).toBe(4.35);
+        expect(totals.total).toBe(64.35);
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import { findCoupon, evaluateCoupon } from '../js/promotions.js';
+import { COUPON_CAMPAIGNS } from '../js/coupon-campaigns.js';
+
+// ================================
+// TEST DATA
+// ================================
+const now = new Date(2026, 5, 15); // 15 June 2026
+
+const campaigns = [
+    { code: 'PCT10', description: '10% off', type: 'percent', value: 10, maxDiscount: 5 },
+    { code: 'FIVE', description: '$5 off', type: 'fixed', value: 5, minSpend: 30 },
+    { code: 'SHIPFREE', description: 'Free delivery', type: 'free_shipping' },
+    { code: 'BAGS50', description: '50% off bags', type: 'percent', value: 50, categories: ['bags'] },
+    { code: 'B2G1', description: 'Buy 2 get 1', type: 'bxgy', buy: 2, get: 1 },
+    { code: 'JUNE', description: 'June only', type: 'fixed', value: 1, startsAt: '2026-06-01', expiresAt: '2026-06-15' }
+];
+
+const cart = [
+    { id: 1, category: 'bags', price: 20, qty: 1 },
+    { id: 2, category: 'shoes', price: 10, qty: 2 }
+];
+
+const evaluate = (code, items = cart, at = now) => evaluateCoupon(code, items, { now: at, campaigns });
+
+// ================================
+// LOOKUP
+// ================================
+describe('findCoupon', () => {
+    test('matches codes case-insensitively', () => {
+        expect(findCoupon(' pct10 ', campaigns).code).toBe('PCT10');
+        expect(findCoupon('NOPE', campaigns)).toBeNull();
+    });
+
+    test('shipped campaigns have unique codes', () => {
+        const codes = COUPON_CAMPAIGNS.map(c => c.code.toUpperCase());
+        expect(new Set(codes).size).toBe(codes.length);
+    });
+});
+
+// ================================
+// DISCOUNT RULES
+// ================================
+describe('evaluateCoupon', () => {
+    test('rejects unknown codes', () => {
+        expect(evaluate('NOPE')).toMatchObject({ valid: false, discount: 0 });
+    });
+
+    test('percentage discount respects its cap', () => {
+        expect(evaluate('PCT10')).toMatchObject({ valid: true, discount: 4 });
+        expect(evaluate('PCT10', [{ category: 'bags', price: 100, qty: 1 }]).discount).toBe(5);
+    });
+
+    test('fixed discount needs the minimum spend', () => {
+        expect(evaluate('FIVE')).toMatchObject({ valid: true, discount: 5 });
+        expect(evaluate('FIVE', [{ category: 'bags', price: 20, qty: 1 }]))
+            .toMatchObject({ valid: false, error: expect.stringMatching(/\$30\.00/) });
+    });
+
+    test('free shipping has no item discount', () => {
+        expect(evaluate('SHIPFREE')).toEqual(expect.objectContaining({ valid: true, discount: 0, freeShipping: true }));
+    });
+
+    test('category codes only discount matching items', () => {
+        expect(evaluate('BAGS50').discount).toBe(10);
+        expect(evaluate('BAGS50', [{ category: 'shoes', price: 10, qty: 1 }]).valid).toBe(false);
+    });
+
+    test('buy-X-get-Y makes the cheapest unit in each group free', () => {
+        expect(evaluate('B2G1').discount).toBe(10);
+        expect(evaluate('B2G1', [{ category: 'bags', price: 20, qty: 2 }]).valid).toBe(false);
+    });
+
+    test('codes are only valid between their start and expiry dates', () => {
+        expect(evaluate('JUNE').valid).toBe(true);
+        expect(evaluate('JUNE', cart, new Date(2026, 5, 15, 23, 59)).valid).toBe(true);
+        expect(evaluate('JUNE', cart, new Date(2026, 5, 16)).error).toMatch(/expired/);
+        expect(evaluate('JUNE', cart, new Date(2026, 4, 31)).error).toMatch(/not active/);
+    });
+});
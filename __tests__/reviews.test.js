@@ -0,0 +1,168 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import {
+    MAX_REVIEW_LENGTH,
+    validateReview,
+    hasPurchased,
+    canReview,
+    submitReview,
+    deleteReview,
+    sortReviews,
+    getProductReviews,
+    combineRating,
+    getRatingSummaries
+} from '../js/reviews.js';
+import {
+    REVIEWS_KEY,
+    createLocalReviewStore,
+    getReviewStore,
+    setReviewStore
+} from '../js/review-store.js';
+
+// ================================
+// TEST SETUP
+// ================================
+const alice = { name: 'Alice', email: 'alice@test.com' };
+const bob = { name: 'Bob', email: 'bob@test.com' };
+
+const review = (fields = {}) => ({
+    productId: 1, email: 'a@test.com', name: 'A', rating: 3, text: 'Fine',
+    createdAt: '2026-01-01T00:00:00.000Z', updatedAt: null, ...fields
+});
+
+beforeEach(() => {
+    localStorage.clear();
+    window.NYSTORE_CONFIG = {};
+    setReviewStore(null);
+});
+
+// ================================
+// RULES
+// ================================
+describe('Review rules', () => {
+    test('validates the rating and text', () => {
+        expect(validateReview({ rating: 0, text: 'Nice' })).toMatch(/1 to 5 stars/);
+        expect(validateReview({ rating: 4.5, text: 'Nice' })).toMatch(/1 to 5 stars/);
+        expect(validateReview({ rating: 5, text: '   ' })).toMatch(/few words/);
+        expect(validateReview({ rating: 5, text: 'x'.repeat(MAX_REVIEW_LENGTH + 1) })).toMatch(/up to/);
+        expect(validateReview({ rating: 5, text: 'Nice' })).toBeNull();
+    });
+
+    test('guests cannot review, and a purchase can be required', () => {
+        expect(canReview(null, 1)).toEqual({ ok: false, error: 'Log in to write a review.' });
+        expect(canReview(alice, 1)).toEqual({ ok: true });
+
+        window.NYSTORE_CONFIG = { reviewsRequirePurchase: true };
+        expect(canReview(alice, 1).ok).toBe(false);
+
+        localStorage.setItem(`fs_orders_${alice.email}`, JSON.stringify([{ id: 'NY-1', items: [{ id: 1, qty: 1 }] }]));
+        expect(hasPurchased(alice.email, 1)).toBe(true);
+        expect(canReview(alice, 1)).toEqual({ ok: true });
+        expect(canReview(alice, 2).ok).toBe(false);
+    });
+});
+
+// ================================
+// WRITING REVIEWS
+// ================================
+describe('Submitting and deleting', () => {
+    test('one review per user per product; submitting again edits it', async () => {
+        const first = await submitReview(alice, 1, { rating: 4, text: '  Good bag ' });
+        expect(first).toMatchObject({ ok: true, edited: false, review: { text: 'Good bag', updatedAt: null } });
+
+        const second = await submitReview(alice, 1, { rating: 2, text: 'Strap broke' });
+        expect(second.edited).toBe(true);
+        expect(second.review.createdAt).toBe(first.review.createdAt);
+        expect(second.review.updatedAt).not.toBeNull();
+
+        await submitReview(bob, 1, { rating: 5, text: 'Love it' });
+        expect((await getProductReviews(1)).map(r => [r.email, r.rating]))
+            .toEqual(expect.arrayContaining([[alice.email, 2], [bob.email, 5]]));
+        expect(await getProductReviews(1)).toHaveLength(2);
+    });
+
+    test('invalid or unauthorized reviews are not stored', async () => {
+        expect((await submitReview(alice, 1, { rating: 9, text: 'Hm' })).ok).toBe(false);
+        expect((await submitReview(null, 1, { rating: 5, text: 'Hm' })).ok).toBe(false);
+        expect(localStorage.getItem(REVIEWS_KEY)).toBeNull();
+    });
+
+    test('users can only delete their own review', async () => {
+        await submitReview(alice, 1, { rating: 4, text: 'Good' });
+
+        expect(await deleteReview(bob, 1)).toEqual({ ok: false, error: 'You have not reviewed this product.' });
+        expect(await deleteReview(alice, 1)).toEqual({ ok: true });
+        expect(await getProductReviews(1)).toEqual([]);
+    });
+});
+
+// ================================
+// SORTING & RATINGS
+// ================================
+describe('Sorting and ratings', () => {
+    const reviews = [
+        review({ email: 'old@test.com', rating: 5, createdAt: '2026-01-01T00:00:00.000Z' }),
+        review({ email: 'new@test.com', rating: 1, createdAt: '2026-03-01T00:00:00.000Z' }),
+        review({ email: 'mid@test.com', rating: 5, createdAt: '2026-02-01T00:00:00.000Z' })
+    ];
+    const order = (sort) => sortReviews(reviews, sort).map(r => r.email.split('@')[0]);
+
+    test('sorts by date or rating, newest first on ties', () => {
+        expect(order('newest')).toEqual(['new', 'mid', 'old']);
+        expect(order('oldest')).toEqual(['old', 'mid', 'new']);
+        expect(order('highest')).toEqual(['mid', 'old', 'new']);
+        expect(order('lowest')).toEqual(['new', 'mid', 'old']);
+        expect(order('unknown')).toEqual(['new', 'mid', 'old']);
+    });
+
+    test('combines the catalog rating with store reviews', () => {
+        expect(combineRating({ rate: 4, count: 3 }, { average: 2, count: 1 })).toEqual({ average: 3.5, count: 4 });
+        expect(combineRating(undefined, { average: 5, count: 2 })).toEqual({ average: 5, count: 2 });
+        expect(combineRating()).toEqual({ average: 0, count: 0 });
+    });
+
+    test('summarizes several products at once', async () => {
+        await submitReview(alice, 1, { rating: 2, text: 'Meh' });
+
+        const summaries = await getRatingSummaries([
+            { id: 1, rating: { rate: 4, count: 1 } },
+            { id: 2 }
+        ]);
+
+        expect(summaries).toEqual({ 1: { average: 3, count: 2 }, 2: { average: 0, count: 0 } });
+    });
+});
+
+// ================================
+// STORAGE ADAPTER
+// ================================
+describe('Review store', () => {
+    test('defaults to the local adapter and can be replaced', async () => {
+        expect(getReviewStore().name).toBe('local');
+
+        const custom = { ...createLocalReviewStore({ key: 'other_reviews' }), name: 'custom' };
+        setReviewStore(custom);
+        await submitReview(alice, 1, { rating: 4, text: 'Good' });
+
+        expect(localStorage.getItem('other_reviews')).toContain('Good');
+        expect(localStorage.getItem(REVIEWS_KEY)).toBeNull();
+    });
+
+    test('reassigns and removes a user\'s reviews', async () => {
+        const store = createLocalReviewStore();
+        await store.save(review({ email: alice.email }));
+        await store.save(review({ productId: 2, email: alice.email }));
+        await store.save(review({ email: bob.email }));
+
+        await store.reassign(alice.email, 'alice@new.com');
+        expect(await store.get(2, 'alice@new.com')).not.toBeNull();
+
+        await store.removeByUser('alice@new.com');
+        expect((await store.list(1)).map(r => r.email)).toEqual([bob.email]);
+    });
+});
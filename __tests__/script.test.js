@@ -14,6 +14,10 @@ beforeAll(() => {
 // ================================
 import * as AuthModule from '../js/auth.js';
 import * as ScriptModule from '../js/script.js';
+import { createMockGateway, setPaymentGateway } from '../js/payments.js';
+import { createSession } from '../js/session.js';
+import { createUserRecord } from '../js/credentials.js';
+import { setCatalogProvider } from '../js/catalog.js';
 
 // ================================
 // RESET STATE BEFORE EACH TEST
@@ -32,6 +36,28 @@ describe('Auth Module', () => {
         expect(AuthModule.getCurrentUser()).toBeNull();
     });
 
+    test('getCurrentUser upgrades a legacy activeUser and drops its password', () => {
+        localStorage.setItem(
+            'activeUser',
+            JSON.stringify({ name: 'test', email: 'test@test.com', password: 'secret1' })
+        );
+
+        expect(AuthModule.getCurrentUser()).toEqual({ name: 'test', email: 'test@test.com' });
+        expect(localStorage.getItem('activeUser')).toBeNull();
+        expect(localStorage.getItem('fs_session')).not.toContain('secret1');
+    });
+
+    test('getCurrentUser reads sessions kept in sessionStorage', () => {
+        createSession({ name: 'test', email: 'tab@test.com' }, { remember: false });
+
+        expect(localStorage.getItem('fs_session')).toBeNull();
+        expect(AuthModule.getCurrentUser().email).toBe('tab@test.com');
+        expect(ScriptModule.getCartKey()).toBe('fs_cart_tab@test.com');
+
+        AuthModule.logout();
+        expect(sessionStorage.getItem('fs_session')).toBeNull();
+    });
+
     test('logout removes activeUser and navigates to login.html', () => {
         localStorage.setItem(
             'activeUser',
@@ -49,6 +75,79 @@ describe('Auth Module', () => {
         expect(AuthModule.getCurrentUser()).toBeNull();
         expect(window.mockHref).toBe('login.html');
     });
+
+    test('profile page changes the email and carries the cart over', async () => {
+        window.NYSTORE_CONFIG = { passwordHashIterations: 1000 };
+        localStorage.setItem('users', JSON.stringify([
+            await createUserRecord({ name: 'test', email: 'old@test.com', password: 'secret1', address: '' })
+        ]));
+        localStorage.setItem('fs_cart_old@test.com', JSON.stringify([{ id: 1, qty: 1 }]));
+        createSession({ name: 'test', email: 'old@test.com', address: '' }, { remember: true });
+
+        document.body.innerHTML = `
+            <span id="nav-welcome"></span>
+            <h3 id="profile-name-display"></h3><p id="profile-email-display"></p>
+            <input id="profile-name"><input id="profile-email"><textarea id="profile-address"></textarea>
+            <form id="change-email-form">
+                <div id="change-email-msg"></div>
+                <input id="new-email" value="new@test.com"><input id="change-email-password" value="secret1">
+                <button type="submit"></button>
+            </form>`;
+        AuthModule.setupProfilePage();
+
+        document.getElementById('change-email-form').dispatchEvent(new Event('submit'));
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(document.getElementById('profile-email-display').textContent).toBe('new@test.com');
+        expect(document.querySelector('#change-email-msg .alert-success')).not.toBeNull();
+        expect(ScriptModule.getCartKey()).toBe('fs_cart_new@test.com');
+        expect(ScriptModule.cartCount()).toBe(1);
+    });
+
+    test('registering twice at once creates one account and merges the guest cart', async () => {
+        window.NYSTORE_CONFIG = { passwordHashIterations: 1000 };
+        localStorage.setItem('fs_cart_guest', JSON.stringify([{ id: 1, title: 'Item 1', price: 10, qty: 1 }]));
+        document.body.innerHTML = `
+            <form id="register-form">
+                <div id="msg"></div>
+                <input id="reg-name" value="Test"><input id="reg-email" value="new@test.com">
+                <input id="reg-password" value="Secret-pass1"><input id="reg-address" value="1 Main St">
+                <button type="submit"></button>
+            </form>`;
+        AuthModule.setupRegisterPage();
+
+        const form = document.getElementById('register-form');
+        form.dispatchEvent(new Event('submit'));
+        expect(form.querySelector('button').disabled).toBe(true);
+        form.dispatchEvent(new Event('submit'));
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(JSON.parse(localStorage.getItem('users')).map(u => u.email)).toEqual(['new@test.com']);
+        expect(AuthModule.getCurrentUser().email).toBe('new@test.com');
+        expect(document.getElementById('msg').textContent).toContain('Registration successful!');
+        expect(ScriptModule.cartCount()).toBe(1);
+        expect(document.getElementById('msg').textContent).toContain('from your guest cart');
+    });
+
+    test('registration checks the email again after hashing', async () => {
+        window.NYSTORE_CONFIG = { passwordHashIterations: 1000 };
+        document.body.innerHTML = `
+            <form id="register-form">
+                <div id="msg"></div>
+                <input id="reg-name" value="Test"><input id="reg-email" value="new@test.com">
+                <input id="reg-password" value="Secret-pass1"><input id="reg-address" value="1 Main St">
+                <button type="submit"></button>
+            </form>`;
+        AuthModule.setupRegisterPage();
+
+        document.getElementById('register-form').dispatchEvent(new Event('submit'));
+        localStorage.setItem('users', JSON.stringify([{ name: 'Other tab', email: 'new@test.com' }]));
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(JSON.parse(localStorage.getItem('users'))).toEqual([{ name: 'Other tab', email: 'new@test.com' }]);
+        expect(document.getElementById('msg').textContent).toBe('Email already registered!');
+        expect(document.querySelector('#register-form button').disabled).toBe(false);
+    });
 });
 
 // ================================
@@ -108,6 +207,56 @@ describe('Cart Module', () => {
         localStorage.removeItem(getCartKey());
         expect(cartCount()).toBe(0);
     });
+
+    test('the badge follows cart changes made in another tab', () => {
+        localStorage.setItem('fs_cart_guest', JSON.stringify([{ id: 1, qty: 4 }]));
+        window.dispatchEvent(new StorageEvent('storage', { key: 'fs_cart_guest' }));
+
+        expect(Number(document.getElementById('cart-count').innerText)).toBe(4);
+    });
+
+    test('adding a product already in the cart increases its quantity up to the stock', () => {
+        document.body.innerHTML += '<div id="floating-message"></div>';
+        const product = { id: 3, title: 'Lamp', price: 20, stock: 3 };
+
+        ScriptModule.addToCart(product, 2);
+        ScriptModule.addToCart(product, 2);
+        expect(cartCount()).toBe(3);
+        expect(document.getElementById('floating-message').textContent)
+            .toBe('Added 1 to your cart. Only 3 of "Lamp" in stock.');
+
+        ScriptModule.addToCart(product);
+        expect(cartCount()).toBe(3);
+        expect(document.getElementById('floating-message').textContent).toBe('Only 3 of "Lamp" in stock.');
+    });
+
+    test('adding more of a product keeps the price already in the cart', () => {
+        ScriptModule.addToCart({ id: 4, title: 'Desk', price: 120 });
+        const [{ pricedAt }] = ScriptModule.getCart();
+
+        ScriptModule.addToCart({ id: 4, title: 'Desk', price: 150 });
+        expect(ScriptModule.getCart()).toEqual([
+            { id: 4, title: 'Desk', price: 120, pricedAt, qty: 2 }
+        ]);
+    });
+
+    test('setQuantity respects the per-order limit and removes at zero', () => {
+        saveCart([{ id: 5, title: 'Ring', price: 99, maxPerOrder: 2, qty: 1 }]);
+
+        ScriptModule.setQuantity(5, 6);
+        expect(cartCount()).toBe(2);
+
+        ScriptModule.setQuantity(5, 0);
+        expect(ScriptModule.getCart()).toEqual([]);
+    });
+
+    test('guests can add to the guest cart', () => {
+        ScriptModule.addToCart({ id: 7, title: 'Mug', price: 5 }, 2);
+
+        expect(JSON.parse(localStorage.getItem('fs_cart_guest'))).toEqual([
+            { id: 7, title: 'Mug', price: 5, pricedAt: expect.any(String), qty: 2 }
+        ]);
+    });
 });
 
 // ================================
@@ -139,4 +288,392 @@ describe('Checkout / Render Functions', () => {
 
         expect(window.mockHref).toBe('login.html');
     });
-});
\ No newline at end of file
+});
+
+// ================================
+// STORE PAGE
+// ================================
+describe('Store Page', () => {
+    const { loadStoreProducts } = ScriptModule;
+    const product = { id: 3, title: 'Lamp', price: 20, image: 'a.png', category: 'home', description: 'Bright',
+        rating: { rate: 4, count: 1 } };
+
+    afterEach(() => setCatalogProvider(null));
+
+    test('Add to Cart reports a product that is gone or cannot be loaded', async () => {
+        const get = jest.fn().mockResolvedValueOnce(null).mockRejectedValueOnce(new Error('Network Error'));
+        setCatalogProvider({ name: 'test', list: jest.fn().mockResolvedValue([product]), get });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        document.body.innerHTML = `<div id="product-list"></div><div id="floating-message"></div>`;
+        await loadStoreProducts();
+        const addToCart = async () => {
+            document.querySelector('.btn-add').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            return document.getElementById('floating-message').textContent;
+        };
+
+        expect(await addToCart()).toBe('This product is no longer available.');
+        expect(await addToCart()).toBe('This product could not be loaded. Please try again.');
+        expect(localStorage.getItem('fs_cart_guest')).toBeNull();
+        console.error.mockRestore();
+    });
+});
+
+// ================================
+// PRODUCT DETAIL PAGE
+// ================================
+describe('Product Detail Page', () => {
+    const { loadProductDetail } = ScriptModule;
+
+    test('loadProductDetail does nothing without a detail container', async () => {
+        await expect(loadProductDetail()).resolves.toBeUndefined();
+    });
+
+    test('loadProductDetail shows an error when id is missing', async () => {
+        document.body.innerHTML = `<div id="product-detail"></div>`;
+        await loadProductDetail();
+
+        expect(document.getElementById('product-detail').textContent)
+            .toContain('Invalid or missing product.');
+    });
+
+    test('logged-in users can write, edit and delete their review', async () => {
+        const product = { id: 3, title: 'Lamp', price: 20, image: 'a.png', category: 'home', description: 'Bright',
+            rating: { rate: 4, count: 1 } };
+        setCatalogProvider({ name: 'test', get: jest.fn().mockResolvedValue(product) });
+        localStorage.setItem('activeUser', JSON.stringify({ name: '<b>Ann</b>', email: 'ann@test.com' }));
+        window.history.pushState({}, '', '/product.html?id=3');
+        document.body.innerHTML = `<div id="product-detail"></div><div id="floating-message"></div>`;
+        const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+        await loadProductDetail();
+        const submit = async (stars, text) => {
+            document.getElementById(`review-rating-${stars}`).checked = true;
+            document.getElementById('review-text').value = text;
+            document.querySelector('.review-form').dispatchEvent(new Event('submit', { cancelable: true }));
+            await flush();
+        };
+
+        await submit(2, 'Too dim <script>');
+        expect(document.querySelector('.review-author').innerHTML).toBe('&lt;b&gt;Ann&lt;/b&gt;');
+        expect(document.querySelector('.review-text').textContent).toBe('Too dim <script>');
+        expect(document.querySelector('.detail-rating').textContent).toContain('3.0');
+        expect(document.querySelector('.review-form')).toBeNull();
+
+        document.querySelector('.review-edit').click();
+        await flush();
+        await submit(5, 'Fine after all');
+        expect(document.querySelector('.review-text').textContent).toBe('Fine after all');
+        expect(document.querySelector('.review').textContent).toContain('edited');
+
+        document.querySelector('.review-delete').click();
+        await flush();
+        expect(document.querySelector('.review')).toBeNull();
+        expect(document.querySelector('.review-form')).not.toBeNull();
+
+        setCatalogProvider(null);
+        window.history.pushState({}, '', '/');
+    });
+});
+
+// ================================
+// ORDER HISTORY
+// ================================
+describe('Order History', () => {
+    const { renderOrderHistory, reorder, getCart } = ScriptModule;
+    const user = { name: 'test', email: 'test@test.com' };
+    const order = {
+        id: 'ORD-1',
+        email: user.email,
+        items: [{ id: 1, title: 'Backpack', price: 10, qty: 2 }],
+        totals: { subtotal: 20, total: 20 },
+        shippingAddress: '1 Main St',
+        createdAt: new Date().toISOString(),
+        status: 'placed'
+    };
+
+    beforeEach(() => {
+        localStorage.setItem('activeUser', JSON.stringify(user));
+    });
+
+    test('renderOrderHistory shows an empty state', () => {
+        document.body.innerHTML = `<div id="order-history"></div><div id="order-detail"></div>`;
+        renderOrderHistory();
+
+        expect(document.getElementById('order-history').textContent).toContain('no orders yet');
+    });
+
+    test('renderOrderHistory lists orders and opens the detail view', () => {
+        localStorage.setItem(`fs_orders_${user.email}`, JSON.stringify([order]));
+        document.body.innerHTML = `<div id="order-history"></div><div id="order-detail" class="d-none"></div>`;
+        renderOrderHistory();
+
+        document.querySelector('.order-view').click();
+        const detail = document.getElementById('order-detail');
+
+        expect(detail.classList.contains('d-none')).toBe(false);
+        expect(detail.textContent).toContain('1 Main St');
+    });
+
+    test('order text is escaped, not rendered as HTML', () => {
+        const html = '<img src=x id=pwn>';
+        localStorage.setItem(`fs_orders_${user.email}`, JSON.stringify([{
+            ...order,
+            id: html,
+            items: [{ ...order.items[0], title: html }],
+            shippingAddress: { fullName: html, street: html },
+            delivery: { label: html },
+            coupon: html,
+            totals: { ...order.totals, discount: 1 }
+        }]));
+        document.body.innerHTML = `<div id="order-history"></div><div id="order-detail" class="d-none"></div>`;
+        renderOrderHistory();
+        document.querySelector('.order-view').click();
+
+        expect(document.getElementById('pwn')).toBeNull();
+        expect(document.getElementById('order-detail').textContent).toContain(`Order ${html}`);
+    });
+
+    test('reorder adds order items to the cart, summing quantities', () => {
+        localStorage.setItem(`fs_cart_${user.email}`, JSON.stringify([{ id: 1, price: 10, qty: 1 }]));
+        reorder(order);
+
+        expect(getCart()).toEqual([{ id: 1, price: 10, qty: 3 }]);
+    });
+});
+
+// ================================
+// WISHLIST
+// ================================
+describe('Wishlist', () => {
+    const { renderWishlist } = ScriptModule;
+    const user = { name: 'test', email: 'test@test.com' };
+
+    beforeEach(() => {
+        localStorage.setItem('activeUser', JSON.stringify(user));
+        document.body.innerHTML = `<div id="wishlist"></div><div id="floating-message"></div>`;
+    });
+
+    test('renderWishlist shows an empty state', () => {
+        renderWishlist();
+        expect(document.getElementById('wishlist').textContent).toContain('Your wishlist is empty');
+    });
+
+    test('renderWishlist lists saved products and removes them', () => {
+        localStorage.setItem(`fs_wishlist_${user.email}`, JSON.stringify([
+            { id: 4, title: 'Lamp', price: 25, image: 'a.png', addedAt: '2026-01-01T00:00:00.000Z' }
+        ]));
+        renderWishlist();
+
+        expect(document.getElementById('wishlist').textContent).toContain('$25.00');
+
+        document.querySelector('.wishlist-remove').click();
+        expect(localStorage.getItem(`fs_wishlist_${user.email}`)).toBeNull();
+        expect(document.getElementById('wishlist').textContent).toContain('Your wishlist is empty');
+    });
+
+    test('Add to Cart reports a product that cannot be loaded', async () => {
+        localStorage.setItem(`fs_wishlist_${user.email}`, JSON.stringify([
+            { id: 4, title: 'Lamp', price: 25, image: 'a.png', addedAt: '2026-01-01T00:00:00.000Z' }
+        ]));
+        setCatalogProvider({ name: 'test', get: jest.fn().mockRejectedValue(new ReferenceError('axios is not defined')) });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        renderWishlist();
+
+        document.querySelector('.wishlist-add').click();
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(document.getElementById('floating-message').textContent).toContain('could not be loaded');
+        expect(localStorage.getItem(`fs_cart_${user.email}`)).toBeNull();
+        console.error.mockRestore();
+        setCatalogProvider(null);
+    });
+
+    test('product text from an imported file is escaped in the wishlist and at checkout', () => {
+        localStorage.setItem(`fs_wishlist_${user.email}`, JSON.stringify([
+            { id: 4, title: '<img src=x id=pwn>', price: 25, image: 'a.png', addedAt: '2026-01-01T00:00:00.000Z' }
+        ]));
+        localStorage.setItem(`fs_cart_${user.email}`, JSON.stringify([
+            { id: 5, title: '<b id=pwn2>', description: '<i id=pwn3>', image: '"><b id=pwn4>', price: 10, qty: 1 }
+        ]));
+        document.body.innerHTML += `<div id="checkout-container"></div>`;
+
+        renderWishlist();
+        ScriptModule.renderCheckout();
+
+        ['pwn', 'pwn2', 'pwn3', 'pwn4'].forEach(id => expect(document.getElementById(id)).toBeNull());
+        expect(document.getElementById('wishlist').textContent).toContain('<img src=x id=pwn>');
+        expect(document.getElementById('checkout-container').textContent).toContain('<b id=pwn2>');
+    });
+});
+
+// ================================
+// MULTI-STEP CHECKOUT
+// ================================
+describe('Multi-step Checkout', () => {
+    const { renderCheckout } = ScriptModule;
+    let user;
+    let run = 0;
+
+    beforeEach(() => {
+        // Fresh email per test so in-memory checkout state is not shared
+        user = { name: 'Test User', email: `step${++run}@test.com`, address: '1 Main St, Albany, NY 12207' };
+        sessionStorage.clear();
+        localStorage.setItem('activeUser', JSON.stringify(user));
+        localStorage.setItem(`fs_cart_${user.email}`, JSON.stringify([
+            { id: 1, title: 'Backpack', description: 'Bag', image: 'a.png', price: 10, qty: 1 }
+        ]));
+        document.body.innerHTML = `<div id="checkout-container"></div>`;
+        setCatalogProvider({ name: 'test', list: jest.fn().mockResolvedValue([{ id: 1, title: 'Backpack', price: 10 }]) });
+    });
+
+    afterEach(() => setCatalogProvider(null));
+
+    const submitStep = () => document.querySelector('.checkout-panel')
+        .dispatchEvent(new Event('submit', { cancelable: true }));
+
+    test('moves from cart to a prefilled shipping step', () => {
+        renderCheckout();
+        document.querySelector('.checkout-next').click();
+
+        expect(document.querySelector('[name="shipping.city"]').value).toBe('Albany');
+        expect(document.querySelector('.checkout-stepper .active').textContent).toContain('Shipping');
+    });
+
+    test('shows validation errors and keeps edits when going back', () => {
+        renderCheckout();
+        document.querySelector('.checkout-next').click();
+
+        document.querySelector('[name="shipping.zip"]').value = 'abc';
+        submitStep();
+        expect(document.querySelector('[name="shipping.zip"]').classList.contains('is-invalid')).toBe(true);
+
+        document.querySelector('[name="shipping.zip"]').value = '10001';
+        submitStep();
+        expect(document.querySelector('[name="delivery"]')).not.toBeNull();
+
+        document.querySelector('.checkout-back').click();
+        expect(document.querySelector('[name="shipping.zip"]').value).toBe('10001');
+    });
+
+    test('the quantity input sets the quantity and + stops at the limit', () => {
+        localStorage.setItem(`fs_cart_${user.email}`, JSON.stringify([
+            { id: 1, title: 'Backpack', description: 'Bag', image: 'a.png', price: 10, stock: 4, qty: 1 }
+        ]));
+        renderCheckout();
+
+        const input = document.querySelector('.cart-qty-input');
+        input.value = '4';
+        input.dispatchEvent(new Event('change'));
+
+        expect(document.querySelector('.cart-qty-input').value).toBe('4');
+        expect(document.querySelector('.qty-increase').disabled).toBe(true);
+        expect(document.querySelector('.cart-qty-limit').textContent).toContain('Only 4');
+    });
+
+    test('save for later moves an item below the cart and back', () => {
+        renderCheckout();
+        document.querySelector('.save-later-btn').click();
+
+        expect(document.getElementById('checkout-container').textContent).toContain('Your cart is empty.');
+        expect(document.querySelector('.saved-items').textContent).toContain('Saved for Later (1)');
+
+        document.querySelector('.move-to-cart-btn').click();
+        expect(ScriptModule.getCart().map(item => item.id)).toEqual([1]);
+        expect(document.querySelector('.saved-items')).toBeNull();
+    });
+
+    test('applies a promo code in the cart summary', () => {
+        renderCheckout();
+        const applyCode = (code) => {
+            document.getElementById('promo-code').value = code;
+            document.querySelector('.promo-form').dispatchEvent(new Event('submit', { cancelable: true }));
+        };
+
+        applyCode('NOT-A-CODE');
+        expect(document.getElementById('promo-msg').textContent).toContain('does not exist');
+
+        applyCode('welcome10');
+        expect(document.querySelector('.promo-discount').textContent).toContain('$1.00');
+        expect(document.querySelector('.checkout-tax').textContent).toContain('$0.36');
+        expect(document.querySelector('.checkout-total').textContent).toContain('$14.35');
+
+        document.querySelector('.promo-remove').click();
+        expect(document.querySelector('.promo-discount').textContent).toContain('$0.00');
+    });
+
+    test('delivery options are priced like the order totals', () => {
+        localStorage.setItem(`fs_cart_${user.email}`, JSON.stringify([
+            { id: 1, title: 'Backpack', description: 'Bag', image: 'a.png', price: 80, qty: 1 }
+        ]));
+        const deliveryPrices = () => [...document.querySelectorAll('[name="delivery"]')]
+            .map(input => input.closest('label').querySelector('.fw-bold').textContent);
+        const reachDeliveryWith = (code) => {
+            document.getElementById('promo-code').value = code;
+            document.querySelector('.promo-form').dispatchEvent(new Event('submit', { cancelable: true }));
+            document.querySelector('.checkout-next').click();  // cart → shipping
+            submitStep();                                      // shipping → delivery
+        };
+        renderCheckout();
+
+        // $80 less 10% is under the free standard shipping threshold
+        reachDeliveryWith('WELCOME10');
+        expect(deliveryPrices()).toEqual(['$4.99', '$14.99', 'Free']);
+
+        document.querySelector('.checkout-back').click();      // delivery → shipping
+        document.querySelector('.checkout-back').click();      // shipping → cart
+        reachDeliveryWith('FREESHIP');
+        expect(deliveryPrices()).toEqual(['Free', 'Free', 'Free']);
+    });
+
+    test('a price change must be accepted before the order is placed', async () => {
+        setCatalogProvider({ name: 'test', list: jest.fn().mockResolvedValue([{ id: 1, title: 'Backpack', price: 12 }]) });
+
+        renderCheckout();
+        document.querySelector('.checkout-next').click();  // cart → shipping
+        submitStep();                                      // shipping → delivery
+        submitStep();                                      // delivery → payment
+        document.querySelector('[name="payment.method"][value="cod"]').checked = true;
+        submitStep();                                      // payment → review
+
+        document.getElementById('place-order-btn').click();
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        expect(document.getElementById('price-changes').textContent).toContain('from $10.00 to $12.00');
+        expect(document.getElementById('place-order-btn').disabled).toBe(true);
+        expect(localStorage.getItem(`fs_orders_${user.email}`)).toBeNull();
+
+        document.querySelector('.accept-changes').click();
+        expect(ScriptModule.getCart()[0].price).toBe(12);
+        expect(document.getElementById('price-changes').textContent).toBe('');
+
+        document.getElementById('place-order-btn').click();
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        const [order] = JSON.parse(localStorage.getItem(`fs_orders_${user.email}`));
+        expect(order.items[0].price).toBe(12);
+    });
+
+    test('a declined card shows the outcome and leaves the cart untouched', async () => {
+        setPaymentGateway(createMockGateway({ delay: 0 }));
+        const cartBefore = localStorage.getItem(`fs_cart_${user.email}`);
+
+        renderCheckout();
+        document.querySelector('.checkout-next').click();  // cart → shipping
+        submitStep();                                      // shipping → delivery
+        submitStep();                                      // delivery → payment
+
+        document.querySelector('[name="payment.cardNumber"]').value = '4000 0000 0000 0002';
+        document.querySelector('[name="payment.expiry"]').value = '12/99';
+        document.querySelector('[name="payment.cvc"]').value = '123';
+        submitStep();                                      // payment → review
+
+        document.getElementById('place-order-btn').click();
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        expect(document.getElementById('payment-msg').textContent).toContain('declined');
+        expect(localStorage.getItem(`fs_cart_${user.email}`)).toBe(cartBefore);
+        expect(localStorage.getItem(`fs_orders_${user.email}`)).toBeNull();
+        setPaymentGateway(null);
+    });
+});
@@ -0,0 +1,180 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import {
+    SESSION_KEY,
+    LOGOUT_SIGNAL_KEY,
+    createSession,
+    getSession,
+    getSessionUser,
+    updateSessionUser,
+    endSession,
+    watchSession
+} from '../js/session.js';
+
+// ================================
+// TEST DATA
+// ================================
+const user = { name: 'Test', email: 'test@test.com', address: '1 Main St' };
+const start = new Date(2026, 0, 1, 12, 0).getTime();
+
+beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+    jest.useFakeTimers({ now: start });
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+// ================================
+// CREATING SESSIONS
+// ================================
+describe('createSession', () => {
+    test('"Remember Me" sessions live in localStorage, others in sessionStorage', () => {
+        createSession(user, { remember: true });
+        expect(localStorage.getItem(SESSION_KEY)).not.toBeNull();
+        expect(sessionStorage.getItem(SESSION_KEY)).toBeNull();
+
+        createSession(user, { remember: false });
+        expect(localStorage.getItem(SESSION_KEY)).toBeNull();
+        expect(sessionStorage.getItem(SESSION_KEY)).not.toBeNull();
+    });
+
+    test('a tab-only login keeps another user\'s remembered session', () => {
+        const other = { name: 'Other', email: 'other@test.com' };
+        createSession(other, { remember: true });
+
+        createSession(user, { remember: false });
+        expect(getSessionUser().email).toBe(user.email);
+        expect(JSON.parse(localStorage.getItem(SESSION_KEY)).user.email).toBe(other.email);
+
+        endSession();
+        expect(getSessionUser().email).toBe(other.email);
+    });
+
+    test('issues a random token and never stores secrets', () => {
+        const first = createSession({ ...user, password: 'x', credential: {} });
+        const second = createSession(user);
+
+        expect(first.token).toMatch(/^[0-9a-f]{32}$/);
+        expect(first.token).not.toBe(second.token);
+        expect(first.user).toEqual(user);
+    });
+});
+
+// ================================
+// EXPIRY
+// ================================
+describe('Session expiry', () => {
+    test('sessions end after their lifetime', () => {
+        createSession(user, { remember: true, ttl: 60 * 60 * 1000 });
+
+        jest.setSystemTime(start + 59 * 60 * 1000);
+        expect(getSessionUser()).toEqual(user);
+
+        jest.setSystemTime(start + 60 * 60 * 1000);
+        expect(getSession()).toBeNull();
+        expect(localStorage.getItem(SESSION_KEY)).toBeNull();
+    });
+
+    test('activity keeps an idle-limited session alive', () => {
+        createSession(user, { idleTimeout: 10 * 60 * 1000 });
+
+        jest.setSystemTime(start + 8 * 60 * 1000);
+        expect(getSession()).not.toBeNull();
+
+        jest.setSystemTime(start + 16 * 60 * 1000);
+        expect(getSession()).not.toBeNull();
+
+        jest.setSystemTime(start + 27 * 60 * 1000);
+        expect(getSession()).toBeNull();
+    });
+
+    test('remembered sessions have no idle timeout by default', () => {
+        createSession(user, { remember: true });
+
+        jest.setSystemTime(start + 5 * 24 * 60 * 60 * 1000);
+        expect(getSessionUser()).toEqual(user);
+    });
+});
+
+// ================================
+// UPDATING & ENDING
+// ================================
+describe('Session updates', () => {
+    test('updateSessionUser replaces the stored user', () => {
+        expect(updateSessionUser(user)).toBe(false);
+
+        createSession(user);
+        updateSessionUser({ ...user, name: 'Renamed' });
+        expect(getSessionUser().name).toBe('Renamed');
+    });
+
+    test('endSession clears both storages', () => {
+        createSession(user, { remember: true });
+        endSession();
+        expect(getSession()).toBeNull();
+    });
+
+    test('a legacy activeUser becomes a session', () => {
+        sessionStorage.setItem('activeUser', JSON.stringify(user));
+
+        expect(getSession()).toMatchObject({ user, remember: false });
+        expect(sessionStorage.getItem('activeUser')).toBeNull();
+    });
+});
+
+// ================================
+// OTHER TABS
+// ================================
+describe('Cross-tab sessions', () => {
+    /** Simulates a storage event raised by another tab */
+    const fromOtherTab = (key, newValue) => {
+        if (newValue === null) localStorage.removeItem(key); else localStorage.setItem(key, newValue);
+        window.dispatchEvent(new StorageEvent('storage', { key, newValue }));
+    };
+
+    test('a logout everywhere leaves a signal for other tabs', () => {
+        createSession(user);
+        endSession({ everywhere: true });
+
+        expect(JSON.parse(localStorage.getItem(LOGOUT_SIGNAL_KEY))).toEqual({ email: user.email, at: start });
+    });
+
+    test('a logout signal ends this tab\'s session for the same user', () => {
+        const handler = jest.fn();
+        const stop = watchSession(handler);
+        createSession(user);
+
+        fromOtherTab(LOGOUT_SIGNAL_KEY, JSON.stringify({ email: 'other@test.com', at: start }));
+        expect(getSession()).not.toBeNull();
+        expect(handler).not.toHaveBeenCalled();
+
+        fromOtherTab(LOGOUT_SIGNAL_KEY, JSON.stringify({ email: user.email, at: start }));
+        expect(getSession()).toBeNull();
+        expect(handler).toHaveBeenCalledWith({ loggedOut: true });
+        stop();
+    });
+
+    test('reports logins and logouts of a shared session', () => {
+        const handler = jest.fn();
+        const stop = watchSession(handler);
+
+        createSession(user, { remember: true });
+        fromOtherTab(SESSION_KEY, localStorage.getItem(SESSION_KEY));
+        expect(handler).toHaveBeenLastCalledWith({ loggedOut: false });
+
+        fromOtherTab(SESSION_KEY, null);
+        expect(handler).toHaveBeenLastCalledWith({ loggedOut: true });
+
+        stop();
+        fromOtherTab(SESSION_KEY, null);
+        expect(handler).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import {
+    DEFAULT_FILTERS,
+    readFiltersFromQuery,
+    writeFiltersToQuery,
+    applyFilters,
+    paginate
+} from '../js/store-filters.js';
+
+// ================================
+// TEST DATA
+// ================================
+const products = [
+    { id: 1, title: 'Backpack', description: 'Fits a laptop', price: 109.95, category: "men's clothing", rating: { rate: 3.9 } },
+    { id: 2, title: 'Gold Ring', description: 'Classic jewelry', price: 9.99, category: 'jewelery', rating: { rate: 4.6 } },
+    { id: 3, title: 'SSD Drive', description: 'Fast storage', price: 64, category: 'electronics', rating: { rate: 2.9 } },
+    { id: 4, title: 'Cotton Jacket', description: 'Warm laptop-free jacket', price: 55.99, category: "men's clothing", rating: { rate: 4.7 } }
+];
+
+// ================================
+// URL STATE
+// ================================
+describe('Filter URL state', () => {
+    test('readFiltersFromQuery returns defaults for empty query', () => {
+        expect(readFiltersFromQuery('')).toEqual(DEFAULT_FILTERS);
+    });
+
+    test('readFiltersFromQuery parses values and drops invalid ones', () => {
+        const filters = readFiltersFromQuery('?q=ring&minPrice=5&maxPrice=abc&sort=bogus&page=-2');
+
+        expect(filters.q).toBe('ring');
+        expect(filters.minPrice).toBe(5);
+        expect(filters.maxPrice).toBeNull();
+        expect(filters.sort).toBe('');
+        expect(filters.page).toBe(1);
+    });
+
+    test('writeFiltersToQuery omits defaults and round-trips', () => {
+        const filters = { ...DEFAULT_FILTERS, category: 'jewelery', minRating: 4, page: 2 };
+        const query = writeFiltersToQuery(filters);
+
+        expect(query).toBe('?category=jewelery&minRating=4&page=2');
+        expect(readFiltersFromQuery(query)).toEqual(filters);
+        expect(writeFiltersToQuery(DEFAULT_FILTERS)).toBe('');
+    });
+});
+
+// ================================
+// FILTERING & SORTING
+// ================================
+describe('applyFilters', () => {
+    test('searches title and description case-insensitively', () => {
+        const result = applyFilters(products, { ...DEFAULT_FILTERS, q: 'LAPTOP' });
+        expect(result.map(p => p.id)).toEqual([1, 4]);
+    });
+
+    test('filters by category, price range and rating', () => {
+        const result = applyFilters(products, {
+            ...DEFAULT_FILTERS,
+            category: "men's clothing",
+            maxPrice: 100,
+            minRating: 4
+        });
+        expect(result.map(p => p.id)).toEqual([4]);
+    });
+
+    test('sorts by price and name without mutating the input', () => {
+        const byPrice = applyFilters(products, { ...DEFAULT_FILTERS, sort: 'price-asc' });
+        const byName = applyFilters(products, { ...DEFAULT_FILTERS, sort: 'name-desc' });
+
+        expect(byPrice.map(p => p.id)).toEqual([2, 4, 3, 1]);
+        expect(byName.map(p => p.id)).toEqual([3, 2, 4, 1]);
+        expect(products.map(p => p.id)).toEqual([1, 2, 3, 4]);
+    });
+});
+
+// ================================
+// PAGINATION
+// ================================
+describe('paginate', () => {
+    test('returns the requested page slice', () => {
+        const result = paginate([1, 2, 3, 4, 5], 2, 2);
+        expect(result).toEqual({ items: [3, 4], page: 2, totalPages: 3 });
+    });
+
+    test('clamps out-of-range pages', () => {
+        expect(paginate([1, 2, 3], 9, 2).page).toBe(2);
+        expect(paginate([], 3, 2)).toEqual({ items: [], page: 1, totalPages: 1 });
+    });
+});
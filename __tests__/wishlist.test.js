@@ -0,0 +1,124 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// ================================
+// IMPORT MODULES
+// ================================
+import {
+    GUEST_WISHLIST_KEY,
+    getWishlistKeyFor,
+    readWishlist,
+    isInWishlist,
+    toggleWishlist,
+    removeFromWishlist,
+    mergeGuestWishlist,
+    getSavedKeyFor,
+    readSavedItems,
+    saveForLater,
+    moveToCart,
+    removeSavedItem
+} from '../js/wishlist.js';
+import { readCart, writeCart } from '../js/cart-store.js';
+
+// ================================
+// TEST SETUP
+// ================================
+window.NYSTORE_CONFIG = { defaultProductStock: 50, defaultMaxPerOrder: 10 };
+
+const email = 'test@test.com';
+const product = (id, fields = {}) => ({ id, title: `Item ${id}`, price: 10, image: 'a.png', description: 'Long text', ...fields });
+const line = (id, qty, fields = {}) => ({ ...product(id, fields), qty });
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+// ================================
+// WISHLIST
+// ================================
+describe('Wishlist', () => {
+    test('keys wishlists like carts, with a guest fallback', () => {
+        expect(getWishlistKeyFor(email)).toBe(`fs_wishlist_${email}`);
+        expect(getWishlistKeyFor(null)).toBe(GUEST_WISHLIST_KEY);
+        expect(getSavedKeyFor(email)).toBe(`fs_saved_${email}`);
+    });
+
+    test('toggling adds a product, newest first, and removes it again', () => {
+        expect(toggleWishlist(email, product(1))).toBe(true);
+        expect(toggleWishlist(email, product(2))).toBe(true);
+
+        expect(readWishlist(email).map(i => i.id)).toEqual([2, 1]);
+        expect(readWishlist(email)[0]).toEqual({
+            id: 2, title: 'Item 2', price: 10, image: 'a.png', addedAt: expect.any(String)
+        });
+        expect(isInWishlist(email, 1)).toBe(true);
+
+        expect(toggleWishlist(email, product(1))).toBe(false);
+        removeFromWishlist(email, 2);
+        expect(readWishlist(email)).toEqual([]);
+        expect(localStorage.getItem(`fs_wishlist_${email}`)).toBeNull();
+    });
+
+    test('the guest wishlist is merged into the account at login', () => {
+        toggleWishlist(email, product(1));
+        toggleWishlist(null, product(1));
+        toggleWishlist(null, product(2));
+
+        expect(mergeGuestWishlist(email)).toBe(1);
+        expect(readWishlist(email).map(i => i.id).sort()).toEqual([1, 2]);
+        expect(localStorage.getItem(GUEST_WISHLIST_KEY)).toBeNull();
+    });
+});
+
+// ================================
+// SAVE FOR LATER
+// ================================
+describe('Save for later', () => {
+    test('moves a cart line out of the cart and back', () => {
+        writeCart(email, [line(1, 2), line(2, 1)]);
+
+        expect(saveForLater(email, 1)).toBe(true);
+        expect(readCart(email).map(i => i.id)).toEqual([2]);
+        expect(readSavedItems(email)).toEqual([{ ...line(1, 2), savedAt: expect.any(String) }]);
+
+        expect(moveToCart(email, 1)).toEqual({ ok: true, moved: 2 });
+        expect(readCart(email)).toEqual([line(2, 1), line(1, 2)]);
+        expect(readSavedItems(email)).toEqual([]);
+    });
+
+    test('saving a product twice adds to its saved quantity', () => {
+        writeCart(email, [line(1, 2)]);
+        saveForLater(email, 1);
+        writeCart(email, [line(1, 1)]);
+        saveForLater(email, 1);
+
+        expect(readSavedItems(email)[0].qty).toBe(3);
+        expect(saveForLater(email, 9)).toBe(false);
+    });
+
+    test('moving back is capped by stock, the rest stays saved', () => {
+        writeCart(email, [line(1, 3, { stock: 4 }), line(2, 1, { stock: 0 })]);
+        saveForLater(email, 1);
+        saveForLater(email, 2);
+        writeCart(email, [line(1, 2, { stock: 4 })]);
+
+        expect(moveToCart(email, 1)).toEqual({
+            ok: true,
+            moved: 2,
+            message: 'Only 4 of "Item 1" in stock. Moved 2 to your cart; 1 still saved for later.'
+        });
+        expect(readCart(email)[0].qty).toBe(4);
+        expect(readSavedItems(email).map(i => [i.id, i.qty])).toEqual([[1, 1], [2, 1]]);
+
+        expect(moveToCart(email, 1)).toEqual({
+            ok: false,
+            error: 'Only 4 of "Item 1" in stock. Your cart already holds that many.'
+        });
+        expect(moveToCart(email, 2)).toEqual({ ok: false, error: '"Item 2" is out of stock.' });
+        expect(readSavedItems(email).map(i => i.id)).toEqual([1, 2]);
+
+        removeSavedItem(email, 2);
+        expect(readSavedItems(email).map(i => i.id)).toEqual([1]);
+    });
+});
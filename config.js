@@ -0,0 +1,10 @@
+/* ============================================================================
+   DEPLOYMENT CONFIGURATION
+   ----------------------------------------------------------------------------
+   Loaded as a classic script before js/script.js.
+   Set `catalogProvider: 'local'` to serve the catalog from data/products.json
+   with no network access. See js/config.js for all available keys.
+============================================================================ */
+window.NYSTORE_CONFIG = {
+    catalogProvider: 'fakestore'
+};
@@ -1,5 +1,6 @@
 /** @type {import('jest').Config} */
 module.exports = {
     testEnvironment: 'jsdom',
+    setupFiles: ['<rootDir>/jest.setup.cjs'],
     verbose: true,
 };
\ No newline at end of file
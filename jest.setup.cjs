@@ -0,0 +1,6 @@
+// jsdom has no SubtleCrypto or TextEncoder; use Node's implementations
+const { webcrypto } = require('node:crypto');
+const { TextEncoder } = require('node:util');
+
+Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+globalThis.TextEncoder = TextEncoder;
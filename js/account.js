@@ -0,0 +1,248 @@
+/* ============================================================================
+   ACCOUNT MODULE
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Changing the sign-in email (unique check, moving per-user data)
+   - Changing the password (current password required)
+   - Deleting the account (password required) with a restore window
+   - Purging every trace of an account once that window ends
+   - Listing the storage keys that belong to a user
+
+   Per-user data is keyed by email (`fs_cart_<email>`, `fs_orders_<email>`,
+   `fs_checkout_<email>`, `fs_wishlist_<email>`, `fs_saved_<email>`), so an
+   email change has to move every key. Reviews live in the review store
+   (review-store.js) and are reassigned or removed through it. Orders
+   queued while offline (offline-queue.js) carry the email and address too,
+   and are dropped at purge.
+   No DOM access; the profile page is bound in auth.js.
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { getConfig } from './config.js';
+import {
+    getUsers,
+    saveUsers,
+    authenticate,
+    setPassword,
+    toPublicUser,
+    markUserDeleted
+} from './credentials.js';
+import { validatePassword } from './password-policy.js';
+import { getSession, createSession, updateSessionUser, endSession } from './session.js';
+import { REMEMBERED_EMAIL_KEY } from './login.js';
+import { clearLoginAttempts } from './login-throttle.js';
+import { clearOutbox } from './outbox.js';
+import { getOrdersKey } from './orders.js';
+import { getCheckoutKey } from './checkout-flow.js';
+import { getCartKeyFor } from './cart-store.js';
+import { getWishlistKeyFor, getSavedKeyFor } from './wishlist.js';
+import { getReviewStore } from './review-store.js';
+import { updateQueuedActions, removeQueuedActions } from './offline-queue.js';
+
+/* ============================================================================
+   PER-USER STORAGE
+============================================================================ */
+
+/**
+ * Returns every storage entry that belongs to a user.
+ *
+ * @param {string} email
+ * @returns {Array<{storage: Storage, key: string}>}
+ */
+export function getUserStorageKeys(email) {
+    return [
+        { storage: localStorage, key: getCartKeyFor(email) },
+        { storage: localStorage, key: getOrdersKey(email) },
+        { storage: sessionStorage, key: getCheckoutKey(email) },
+        { storage: localStorage, key: getWishlistKeyFor(email) },
+        { storage: localStorage, key: getSavedKeyFor(email) }
+    ];
+}
+
+/**
+ * Moves a user's stored data from one email to another.
+ * Orders, including those queued offline, keep their own `email` field, so
+ * it is rewritten too.
+ *
+ * @param {string} fromEmail
+ * @param {string} toEmail
+ */
+function moveUserData(fromEmail, toEmail) {
+    const targets = getUserStorageKeys(toEmail);
+
+    getUserStorageKeys(fromEmail).forEach(({ storage, key }, i) => {
+        const value = storage.getItem(key);
+        if (value === null) return;
+
+        storage.setItem(targets[i].key, value);
+        storage.removeItem(key);
+    });
+
+    const ordersKey = getOrdersKey(toEmail);
+    const orders = JSON.parse(localStorage.getItem(ordersKey) || '[]');
+    if (orders.length) {
+        localStorage.setItem(ordersKey, JSON.stringify(orders.map(order => ({ ...order, email: toEmail }))));
+    }
+
+    // Orders queued offline are replayed under the email they carry
+    updateQueuedActions(action => (action.payload?.email === fromEmail
+        ? { ...action, payload: { ...action.payload, email: toEmail } }
+        : action));
+
+    if (localStorage.getItem(REMEMBERED_EMAIL_KEY) === fromEmail) {
+        localStorage.setItem(REMEMBERED_EMAIL_KEY, toEmail);
+    }
+}
+
+/**
+ * Forgets the remembered login email if it belongs to this user.
+ *
+ * @param {string} email
+ */
+function forgetRememberedEmail(email) {
+    if (localStorage.getItem(REMEMBERED_EMAIL_KEY) === email) {
+        localStorage.removeItem(REMEMBERED_EMAIL_KEY);
+    }
+}
+
+/**
+ * Removes every stored entry linked to a user, apart from the user record.
+ *
+ * @param {string} email
+ */
+function purgeUserData(email) {
+    getUserStorageKeys(email).forEach(({ storage, key }) => storage.removeItem(key));
+    forgetRememberedEmail(email);
+    clearLoginAttempts(email);
+    clearOutbox(email);
+    removeQueuedActions(action => action.payload?.email === email);
+    getReviewStore().removeByUser(email)
+        .catch(error => console.warn('Could not remove reviews:', error));
+}
+
+/* ============================================================================
+   PUBLIC API
+============================================================================ */
+
+/**
+ * Changes a user's sign-in email and moves their cart, orders, checkout
+ * progress, reviews and remembered email to it. The active session follows along.
+ *
+ * @param {string} email - Current email
+ * @param {string} newEmail
+ * @param {string} password - Current password, to confirm the change
+ * @returns {Promise<{ok: boolean, error?: string, user?: Object}>}
+ */
+export async function changeEmail(email, newEmail, password) {
+    newEmail = newEmail?.trim() || '';
+    password = password?.trim() || '';
+
+    if (!/\S+@\S+\.\S+/.test(newEmail)) {
+        return { ok: false, error: 'Please enter a valid email address.' };
+    }
+    if (newEmail === email) {
+        return { ok: false, error: 'That is already your email address.' };
+    }
+    if (!(await authenticate(email, password))) {
+        return { ok: false, error: 'Your current password is incorrect.' };
+    }
+
+    // Changing only the letter case of one's own email is allowed
+    const users = getUsers();
+    const user = users.find(u => u.email === email);
+    if (users.some(u => u !== user && u.email.toLowerCase() === newEmail.toLowerCase())) {
+        return { ok: false, error: 'An account with this email already exists.' };
+    }
+
+    user.email = newEmail;
+    saveUsers(users);
+    moveUserData(email, newEmail);
+    await getReviewStore().reassign(email, newEmail);
+
+    const session = getSession();
+    if (session?.user.email === email) {
+        updateSessionUser({ ...session.user, email: newEmail });
+    }
+
+    return { ok: true, user: toPublicUser(user) };
+}
+
+/**
+ * Changes a user's password after checking the current one.
+ * Other sessions end; the caller's session is renewed so it stays signed in.
+ * Passwords are trimmed, as at login and registration.
+ *
+ * @param {string} email
+ * @param {string} currentPassword
+ * @param {string} newPassword
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+export async function changePassword(email, currentPassword, newPassword) {
+    currentPassword = currentPassword?.trim() || '';
+    newPassword = newPassword?.trim() || '';
+
+    const user = await authenticate(email, currentPassword);
+    if (!user) return { ok: false, error: 'Your current password is incorrect.' };
+
+    if (newPassword === currentPassword) {
+        return { ok: false, error: 'The new password must be different from the current one.' };
+    }
+
+    const policyError = validatePassword(newPassword, { email: user.email, name: user.name });
+    if (policyError) return { ok: false, error: policyError };
+
+    const session = getSession();
+    await setPassword(email, newPassword);
+
+    if (session?.user.email === email) {
+        createSession(session.user, { remember: session.remember });
+    }
+
+    return { ok: true };
+}
+
+/**
+ * Deletes an account after checking its password. The user is signed out
+ * at once; the cart and orders are kept until the restore window
+ * (`accountDeletionGracePeriod`) ends, and logging in before then restores
+ * the account.
+ *
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<{ok: boolean, error?: string, purgeAt?: number}>}
+ */
+export async function deleteAccount(email, password) {
+    if (!(await authenticate(email, password?.trim() || ''))) {
+        return { ok: false, error: 'Your password is incorrect.' };
+    }
+
+    const purgeAt = Date.now() + getConfig().accountDeletionGracePeriod;
+    markUserDeleted(email, purgeAt);
+
+    sessionStorage.removeItem(getCheckoutKey(email));
+    forgetRememberedEmail(email);
+    clearLoginAttempts(email);
+    endSession({ everywhere: true });
+
+    return { ok: true, purgeAt };
+}
+
+/**
+ * Permanently removes deleted accounts whose restore window has ended,
+ * together with all of their stored data.
+ *
+ * @returns {Array<string>} Emails of the purged accounts
+ */
+export function purgeDeletedAccounts() {
+    const users = getUsers();
+    const now = Date.now();
+    const expired = users.filter(u => u.deletion && now >= u.deletion.purgeAt);
+    if (!expired.length) return [];
+
+    expired.forEach(u => purgeUserData(u.email));
+    saveUsers(users.filter(u => !expired.includes(u)));
+
+    return expired.map(u => u.email);
+}
@@ -4,11 +4,26 @@
    Responsibilities:
    - Page navigation abstraction (test-friendly)
    - Authentication state management
-   - Registration & login flows
+   - Registration flow (login lives in login.js)
    - Navbar access control
-   - Profile management (update & delete)
+   - Profile management (update, email/password change, data export/import & delete)
 ============================================================================ */
 
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { createUserRecord, getUsers, saveUsers, toPublicUser } from './credentials.js';
+import { validatePassword } from './password-policy.js';
+import { attachPasswordMeter } from './password-meter.js';
+import { getSessionUser, updateSessionUser, endSession } from './session.js';
+import { completeLogin } from './login.js';
+import { getConfig } from './config.js';
+import { changeEmail, changePassword, deleteAccount, purgeDeletedAccounts } from './account.js';
+import { exportUserData, getExportFilename, parseUserData, importUserData } from './data-export.js';
+import { installGuestCartMerge } from './cart-store.js';
+import { installGuestWishlistMerge } from './wishlist.js';
+import { getCatalog } from './catalog.js';
+
 /* ============================================================================
    NAVIGATION
 ============================================================================ */
@@ -32,19 +47,19 @@ export function navigateTo(url) {
 ============================================================================ */
 
 /**
- * Retrieves the currently authenticated user from localStorage.
+ * Retrieves the user of the active session (see session.js).
  *
  * @returns {Object|null} Active user or null if not logged in
  */
 export function getCurrentUser() {
-    return JSON.parse(localStorage.getItem('activeUser') || 'null');
+    return getSessionUser();
 }
 
 /**
- * Logs the current user out and redirects to login.
+ * Ends the session in every tab and redirects to login.
  */
 export function logout() {
-    localStorage.removeItem('activeUser');
+    endSession({ everywhere: true });
     navigateTo('login.html');
 }
 
@@ -75,6 +90,38 @@ function validateEmail(email) {
     return /\S+@\S+\.\S+/.test(email);
 }
 
+/**
+ * Shows a Bootstrap alert inside a container.
+ *
+ * @param {HTMLElement} container
+ * @param {string} text
+ * @param {'success'|'danger'} [type='success']
+ */
+function showAlert(container, text, type = 'success') {
+    if (!container) return;
+    container.innerHTML = `<div class="alert alert-${type} py-2 small"></div>`;
+    container.firstElementChild.textContent = text;
+}
+
+/**
+ * Offers a value as a JSON file download.
+ *
+ * @param {string} filename
+ * @param {*} data
+ */
+function downloadJson(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Toggles a loading spinner inside a button.
  *
@@ -94,15 +141,27 @@ function toggleButtonSpinner(button, show = true) {
 
 /**
  * Initializes the registration page logic.
- * Handles validation, persistence, and auto-login.
+ * Handles validation and persistence, then signs the new user in through the
+ * login controller, whose afterLogin hooks merge the guest cart and wishlist.
  */
 export function setupRegisterPage() {
     const form = document.getElementById('register-form');
     const msg = document.getElementById('msg');
     if (!form) return;
 
-    form.addEventListener('submit', (e) => {
+    installGuestCartMerge();
+    installGuestWishlistMerge();
+
+    attachPasswordMeter(document.getElementById('reg-password'), () => ({
+        email: document.getElementById('reg-email')?.value.trim(),
+        name: document.getElementById('reg-name')?.value.trim()
+    }));
+
+    const submitBtn = form.querySelector('[type="submit"]');
+
+    form.addEventListener('submit', async (e) => {
         e.preventDefault();
+        if (submitBtn?.disabled) return;
 
         const name = document.getElementById('reg-name')?.value.trim();
         const email = document.getElementById('reg-email')?.value.trim();
@@ -117,78 +176,31 @@ export function setupRegisterPage() {
             return showMessage(msg, 'Invalid email format!', 'error');
         }
 
-        if (password.length < 6) {
-            return showMessage(msg, 'Password must be at least 6 characters!', 'error');
+        const passwordError = validatePassword(password, { email, name });
+        if (passwordError) {
+            return showMessage(msg, passwordError, 'error');
         }
 
-        const users = JSON.parse(localStorage.getItem('users') || '[]');
-
-        if (users.some(u => u.email === email)) {
+        const isRegistered = () => getUsers().some(u => u.email === email);
+        if (isRegistered()) {
             return showMessage(msg, 'Email already registered!', 'error');
         }
 
-        const newUser = { name, email, password, address };
-        users.push(newUser);
-
-        localStorage.setItem('users', JSON.stringify(users));
-        localStorage.setItem('activeUser', JSON.stringify(newUser));
-
-        showMessage(msg, 'Registration successful! Redirecting...');
-        setTimeout(() => navigateTo('index.html'), 1500);
-    });
-}
-
-/* ============================================================================
-   LOGIN PAGE
-============================================================================ */
-
-/**
- * Initializes login page logic.
- * Supports email remembering and authentication.
- */
-export function setupLoginPage() {
-    const form = document.getElementById('login-form');
-    const msg = document.getElementById('msg');
-    const rememberMe = document.getElementById('remember-me');
-    if (!form) return;
-
-    const rememberedEmail = localStorage.getItem('rememberedEmail');
-    if (rememberedEmail) {
-        document.getElementById('login-email').value = rememberedEmail;
-        rememberMe.checked = true;
-    }
-
-    form.addEventListener('submit', (e) => {
-        e.preventDefault();
-
-        const email = document.getElementById('login-email')?.value.trim();
-        const password = document.getElementById('login-password')?.value.trim();
-
-        if (!email || !password) {
-            return showMessage(msg, 'Both fields are required!', 'error');
-        }
-
-        if (!validateEmail(email)) {
-            return showMessage(msg, 'Invalid email!', 'error');
-        }
-
-        const users = JSON.parse(localStorage.getItem('users') || '[]');
-        const user = users.find(u => u.email === email && u.password === password);
+        // Hashing is slow: block a second submit, and check again afterwards
+        // in case another tab registered the email meanwhile
+        if (submitBtn) submitBtn.disabled = true;
+        const newUser = await createUserRecord({ name, email, password, address });
 
-        if (!user) {
-            return showMessage(msg, 'Incorrect email or password!', 'error');
+        if (isRegistered()) {
+            if (submitBtn) submitBtn.disabled = false;
+            return showMessage(msg, 'Email already registered!', 'error');
         }
 
-        localStorage.setItem('activeUser', JSON.stringify(user));
-
-        if (rememberMe?.checked) {
-            localStorage.setItem('rememberedEmail', email);
-        } else {
-            localStorage.removeItem('rememberedEmail');
-        }
+        saveUsers([...getUsers(), newUser]);
+        const notes = await completeLogin(toPublicUser(newUser), { remember: true });
 
-        showMessage(msg, 'Login successful! Redirecting...');
-        setTimeout(() => navigateTo('index.html'), 1500);
+        showMessage(msg, ['Registration successful!', ...notes, 'Redirecting...'].join(' '));
+        setTimeout(() => navigateTo('index.html'), notes.length ? 3000 : 1500);
     });
 }
 
@@ -227,7 +239,7 @@ export function setupNavbarLogic() {
         navWelcome?.classList.add('d-none');
         navProfile?.classList.add('d-none');
         navCheckout?.classList.add('d-none');
-        navCart?.classList.add('d-none');
+        navCart?.classList.remove('d-none');
     }
 
     const protectedPages = ['checkout.html', 'cart.html', 'profile.html'];
@@ -244,10 +256,11 @@ export function setupNavbarLogic() {
 
 /**
  * Initializes profile page logic.
- * Handles updates and account deletion.
+ * Handles updates, email and password changes, data export/import and
+ * account deletion.
  */
 export function setupProfilePage() {
-    const user = getCurrentUser();
+    let user = getCurrentUser();
     if (!user) return navigateTo('login.html');
 
     const nameInput = document.getElementById('profile-name');
@@ -292,12 +305,15 @@ export function setupProfilePage() {
             address: addressInput.value.trim()
         };
 
-        localStorage.setItem('activeUser', JSON.stringify(updatedUser));
+        updateSessionUser(updatedUser);
+        user = updatedUser;
 
         const users = JSON.parse(localStorage.getItem('users') || '[]');
         localStorage.setItem(
             'users',
-            JSON.stringify(users.map(u => u.email === updatedUser.email ? updatedUser : u))
+            JSON.stringify(users.map(u => u.email === updatedUser.email
+                ? { ...u, name: updatedUser.name, address: updatedUser.address }
+                : u))
         );
 
         displayName.textContent = updatedUser.name;
@@ -307,19 +323,121 @@ export function setupProfilePage() {
         setTimeout(() => toggleButtonSpinner(updateBtn, false), 1500);
     });
 
+    const emailForm = document.getElementById('change-email-form');
+    emailForm?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const newEmailInput = document.getElementById('new-email');
+        const passwordInput = document.getElementById('change-email-password');
+        const emailMsg = document.getElementById('change-email-msg');
+        const submitBtn = emailForm.querySelector('[type="submit"]');
+
+        submitBtn.disabled = true;
+        const result = await changeEmail(user.email, newEmailInput.value, passwordInput.value);
+        submitBtn.disabled = false;
+
+        if (!result.ok) return showAlert(emailMsg, result.error, 'danger');
+
+        user = { ...user, email: result.user.email };
+        emailInput.value = user.email;
+        displayEmail.textContent = user.email;
+        emailForm.reset();
+        showAlert(emailMsg, 'Your email has been changed. Use it the next time you log in.');
+    });
+
+    const passwordForm = document.getElementById('change-password-form');
+    const newPasswordInput = document.getElementById('new-password');
+    attachPasswordMeter(newPasswordInput, () => ({ email: user.email, name: user.name }));
+
+    passwordForm?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const currentInput = document.getElementById('current-password');
+        const confirmInput = document.getElementById('confirm-new-password');
+        const passwordMsg = document.getElementById('change-password-msg');
+        const submitBtn = passwordForm.querySelector('[type="submit"]');
+
+        if (newPasswordInput.value.trim() !== confirmInput.value.trim()) {
+            return showAlert(passwordMsg, 'New passwords do not match.', 'danger');
+        }
+
+        submitBtn.disabled = true;
+        const result = await changePassword(user.email, currentInput.value, newPasswordInput.value);
+        submitBtn.disabled = false;
+
+        if (!result.ok) return showAlert(passwordMsg, result.error, 'danger');
+
+        passwordForm.reset();
+        newPasswordInput.dispatchEvent(new Event('input'));
+        showAlert(passwordMsg, 'Your password has been changed. Other devices have been signed out.');
+    });
+
+    const dataMsg = document.getElementById('data-msg');
+    document.getElementById('btn-export-data')?.addEventListener('click', () => {
+        downloadJson(getExportFilename(), exportUserData(user.email));
+    });
+
+    const importInput = document.getElementById('import-data-file');
+    importInput?.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if (!file) return;
+
+        const text = await file.text();
+        importInput.value = '';
+
+        // Imported products must exist in the catalog, which also supplies their stock limits
+        let products;
+        try {
+            products = await getCatalog().list();
+        } catch (error) {
+            console.error(error);
+            return showAlert(dataMsg, 'Import failed: the product catalog could not be loaded. Please try again.', 'danger');
+        }
+
+        const parsed = parseUserData(text, { products });
+        const result = parsed.ok ? importUserData(user.email, parsed.data, { products }) : parsed;
+
+        if (!result.ok) return showAlert(dataMsg, `Import failed: ${result.error}`, 'danger');
+
+        const { cart, savedForLater, orders, wishlist } = result.imported;
+        const counts = [[cart, 'cart item'], [savedForLater, 'saved item'], [orders, 'order'], [wishlist, 'wishlist item']]
+            .map(([count, label]) => `${count} ${label}${count === 1 ? '' : 's'}`);
+        showAlert(dataMsg, `Imported ${counts.slice(0, -1).join(', ')} and ${counts.at(-1)}. Reloading...`);
+        setTimeout(() => navigateTo('profile.html'), 1500);
+    });
+
     const deleteBtn = document.getElementById('btn-delete-account');
+    const confirmPanel = document.getElementById('delete-account-confirm');
+    const deletePassword = document.getElementById('delete-account-password');
+    const deleteMsg = document.getElementById('delete-account-msg');
+    const restoreDays = Math.round(getConfig().accountDeletionGracePeriod / (24 * 60 * 60 * 1000));
+
+    const daysEl = document.getElementById('delete-account-days');
+    if (daysEl) daysEl.textContent = restoreDays;
+
     deleteBtn?.addEventListener('click', () => {
-        toggleButtonSpinner(deleteBtn, true);
+        confirmPanel?.classList.remove('d-none');
+        deletePassword?.focus();
+    });
 
-        localStorage.removeItem('activeUser');
-        const users = JSON.parse(localStorage.getItem('users') || '[]');
-        localStorage.setItem(
-            'users',
-            JSON.stringify(users.filter(u => u.email !== user.email))
-        );
+    document.getElementById('btn-cancel-delete')?.addEventListener('click', () => {
+        confirmPanel.classList.add('d-none');
+        deletePassword.value = '';
+        deleteMsg.innerHTML = '';
+    });
+
+    const confirmBtn = document.getElementById('btn-confirm-delete');
+    confirmBtn?.addEventListener('click', async () => {
+        confirmBtn.disabled = true;
+        const result = await deleteAccount(user.email, deletePassword.value);
 
-        showInlineMessage('Your account has been deleted.', 'danger');
-        setTimeout(() => navigateTo('index.html'), 1500);
+        if (!result.ok) {
+            confirmBtn.disabled = false;
+            return showAlert(deleteMsg, result.error, 'danger');
+        }
+
+        showAlert(deleteMsg, `Your account has been deleted. Log in within ${restoreDays} days to restore it.`);
+        setTimeout(() => navigateTo('index.html'), 3000);
     });
 }
 
@@ -330,8 +448,9 @@ export function setupProfilePage() {
 document.addEventListener('DOMContentLoaded', () => {
     const page = document.body.dataset.page;
 
+    purgeDeletedAccounts();
+
     if (page === 'register') setupRegisterPage();
-    if (page === 'login') setupLoginPage();
     if (page === 'profile') setupProfilePage();
 
     setupNavbarLogic();
@@ -0,0 +1,198 @@
+/* ============================================================================
+   CART STORAGE
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Per-user cart keys (`fs_cart_<email>`, `fs_cart_guest` when signed out)
+   - Reading and writing a cart by email
+   - Merging item lists into a cart (summing quantities)
+   - Moving a guest cart into a user's cart at login or registration
+     (an afterLogin hook, see login.js)
+   - Removing ordered quantities without dropping items added meanwhile
+   - Watching for cart changes made in other tabs (`storage` events)
+
+   Cart item shape: { id, title, price, pricedAt, image, category, ..., qty }
+   `price` is a snapshot taken at `pricedAt` (see price-check.js).
+   The cart UI lives in script.js; this module has no DOM access.
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { getQuantityLimit } from './inventory.js';
+import { onLogin } from './login.js';
+
+/* ============================================================================
+   CONSTANTS
+============================================================================ */
+
+/**
+ * localStorage key for the cart of a signed-out visitor.
+ * @constant {string}
+ */
+export const GUEST_CART_KEY = 'fs_cart_guest';
+
+/** Detaches the guest cart login hook, if installed */
+let detachMergeHook = null;
+
+/* ============================================================================
+   PUBLIC API
+============================================================================ */
+
+/**
+ * Returns the storage key for a user's cart.
+ *
+ * @param {string|null} email - null for the guest cart
+ * @returns {string}
+ */
+export function getCartKeyFor(email) {
+    return email ? `fs_cart_${email}` : GUEST_CART_KEY;
+}
+
+/**
+ * Reads a user's cart.
+ *
+ * @param {string|null} email
+ * @returns {Array<Object>}
+ */
+export function readCart(email) {
+    return JSON.parse(localStorage.getItem(getCartKeyFor(email)) || '[]');
+}
+
+/**
+ * Writes a user's cart.
+ *
+ * @param {string|null} email
+ * @param {Array<Object>} cart
+ */
+export function writeCart(email, cart) {
+    localStorage.setItem(getCartKeyFor(email), JSON.stringify(cart));
+}
+
+/**
+ * Adds items to a cart. Items already in the cart have their quantities summed.
+ *
+ * @param {Array<Object>} cart
+ * @param {Array<Object>} items
+ * @param {Object} [options]
+ * @param {Function} [options.limit] - Returns the most units allowed for an item;
+ *                                     items capped to 0 are dropped
+ * @returns {Array<Object>} New cart (inputs are not modified)
+ */
+export function mergeCartItems(cart, items, { limit = () => Infinity } = {}) {
+    const merged = cart.map(item => ({ ...item }));
+
+    items.forEach(item => {
+        const existing = merged.find(i => i.id === item.id);
+        if (existing) {
+            existing.qty = Math.min(existing.qty + item.qty, limit(existing));
+        } else {
+            merged.push({ ...item, qty: Math.min(item.qty, limit(item)) });
+        }
+    });
+
+    return merged.filter(item => item.qty > 0);
+}
+
+/**
+ * Moves the guest cart into a user's cart and empties it. Products in both
+ * carts get the sum of both quantities, capped by stock and per-order limits.
+ *
+ * @param {string} email
+ * @returns {{merged: number, capped: Array<string>}} Number of guest items
+ *          moved, and titles of items whose quantity was capped
+ */
+export function mergeGuestCart(email) {
+    const guestCart = readCart(null);
+    if (!guestCart.length) return { merged: 0, capped: [] };
+
+    const userCart = readCart(email);
+    const merged = mergeCartItems(userCart, guestCart, { limit: item => getQuantityLimit(item).max });
+
+    const capped = guestCart
+        .filter(item => {
+            const wanted = item.qty + (userCart.find(i => i.id === item.id)?.qty || 0);
+            return (merged.find(i => i.id === item.id)?.qty || 0) < wanted;
+        })
+        .map(item => item.title);
+
+    writeCart(email, merged);
+    localStorage.removeItem(GUEST_CART_KEY);
+
+    return { merged: guestCart.length, capped };
+}
+
+/**
+ * Builds the message shown after a guest cart was merged.
+ *
+ * @param {{merged: number, capped: Array<string>}} result - Result of mergeGuestCart()
+ * @returns {string} Empty when nothing was merged
+ */
+export function describeGuestCartMerge({ merged, capped }) {
+    if (!merged) return '';
+
+    const items = `${merged} item${merged === 1 ? '' : 's'}`;
+    const note = capped.length ? ` Quantities were capped by stock or per-order limits for: ${capped.join(', ')}.` : '';
+    return `We added ${items} from your guest cart.${note}`;
+}
+
+/**
+ * Merges the guest cart into the account after every login or registration,
+ * adding the merge message to the afterLogin `notes`. Calling it again
+ * replaces the earlier hook rather than adding a second one.
+ *
+ * @returns {Function} Call to detach it again
+ */
+export function installGuestCartMerge() {
+    detachMergeHook?.();
+
+    const detach = onLogin('afterLogin', ({ user, notes }) => {
+        const note = describeGuestCartMerge(mergeGuestCart(user.email));
+        if (note) notes.push(note);
+    });
+
+    detachMergeHook = () => {
+        detach();
+        detachMergeHook = null;
+    };
+    return detachMergeHook;
+}
+
+/**
+ * Takes ordered quantities out of a cart. Anything added since the order was
+ * built (e.g. in another tab) stays in the cart.
+ *
+ * @param {string} email
+ * @param {Array<Object>} items - Ordered items `{ id, qty }`
+ * @returns {Array<Object>} Remaining cart
+ */
+export function removeCartItems(email, items) {
+    const cart = readCart(email)
+        .map(item => {
+            const ordered = items.find(i => i.id === item.id);
+            return ordered ? { ...item, qty: item.qty - ordered.qty } : item;
+        })
+        .filter(item => item.qty > 0);
+
+    writeCart(email, cart);
+    return cart;
+}
+
+/**
+ * Calls `handler` when another tab changes the current user's cart.
+ * The browser only raises `storage` events in the other tabs, so a tab's
+ * own writes do not trigger it.
+ *
+ * @param {Function} getEmail - Returns the current user's email (null for guests)
+ * @param {Function} handler - Receives the new cart
+ * @returns {Function} Stops watching
+ */
+export function watchCart(getEmail, handler) {
+    const listener = (event) => {
+        const email = getEmail();
+        if (event.key !== null && event.key !== getCartKeyFor(email)) return;
+        handler(readCart(email));
+    };
+
+    window.addEventListener('storage', listener);
+    return () => window.removeEventListener('storage', listener);
+}
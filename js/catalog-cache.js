@@ -0,0 +1,185 @@
+/* ============================================================================
+   CATALOG CACHE MODULE
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Persisting catalog responses in localStorage with a TTL
+   - Stale-while-revalidate reads (serve cached data, refresh in background)
+   - Wrapping any catalog provider with the cache (same interface)
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { getConfig } from './config.js';
+import { matchesQuery } from './store-filters.js';
+
+/* ============================================================================
+   CONSTANTS
+============================================================================ */
+
+/**
+ * Prefix for every catalog cache key in localStorage.
+ * @constant {string}
+ */
+export const CACHE_PREFIX = 'fs_catalog_';
+
+/* ============================================================================
+   STORAGE
+============================================================================ */
+
+/**
+ * Reads a cache entry.
+ *
+ * @param {string} key - Cache key (without prefix)
+ * @returns {{data: *, savedAt: number}|null}
+ */
+export function readCache(key) {
+    try {
+        return JSON.parse(localStorage.getItem(CACHE_PREFIX + key) || 'null');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Writes a cache entry stamped with the current time.
+ * Storage errors (e.g. quota exceeded) are logged and ignored.
+ *
+ * @param {string} key - Cache key (without prefix)
+ * @param {*} data
+ */
+export function writeCache(key, data) {
+    try {
+        localStorage.setItem(CACHE_PREFIX + key, JSON.stringify({ data, savedAt: Date.now() }));
+    } catch (error) {
+        console.warn('Catalog cache write failed:', error);
+    }
+}
+
+/**
+ * Removes every catalog cache entry.
+ */
+export function clearCatalogCache() {
+    Object.keys(localStorage)
+        .filter(key => key.startsWith(CACHE_PREFIX))
+        .forEach(key => localStorage.removeItem(key));
+}
+
+/* ============================================================================
+   STALE-WHILE-REVALIDATE
+============================================================================ */
+
+/**
+ * Background refreshes in progress, keyed by cache key.
+ * @type {Map<string, Promise>}
+ */
+const inflight = new Map();
+
+/**
+ * Fetches fresh data and stores it, sharing one request per key.
+ *
+ * @param {string} key
+ * @param {Function} fetcher - Returns a Promise of fresh data
+ * @returns {Promise<*>}
+ */
+function revalidate(key, fetcher) {
+    if (!inflight.has(key)) {
+        const request = fetcher()
+            .then(data => {
+                writeCache(key, data);
+                return data;
+            })
+            .finally(() => inflight.delete(key));
+        inflight.set(key, request);
+    }
+    return inflight.get(key);
+}
+
+/**
+ * Returns cached data immediately when available.
+ * If the entry is older than `ttl`, it is refreshed in the background and
+ * `onUpdate` is called with the new data if it differs from the cached copy.
+ * With no cached entry, waits for the fetcher.
+ *
+ * @param {string} key
+ * @param {Function} fetcher - Returns a Promise of fresh data
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - Max age in ms before revalidating
+ * @param {Function} [options.onUpdate] - Called with fresh data after a background refresh
+ * @returns {Promise<*>}
+ */
+export async function staleWhileRevalidate(key, fetcher, { ttl = getConfig().catalogCacheTtl, onUpdate } = {}) {
+    const entry = readCache(key);
+    if (!entry) return revalidate(key, fetcher);
+
+    if (Date.now() - entry.savedAt > ttl) {
+        revalidate(key, fetcher)
+            .then(data => {
+                if (onUpdate && JSON.stringify(data) !== JSON.stringify(entry.data)) onUpdate(data);
+            })
+            .catch(error => console.warn('Catalog refresh failed, using cached data:', error));
+    }
+
+    return entry.data;
+}
+
+/* ============================================================================
+   CACHED PROVIDER
+============================================================================ */
+
+/**
+ * Wraps a catalog provider so every read goes through the cache.
+ * `list` and `categories` accept an optional `onUpdate` callback that fires
+ * when a background refresh returns changed data. `list({ fresh: true })`
+ * skips the cached copy and waits for the provider (the result is still
+ * cached), for reads that must be current such as the checkout price check.
+ *
+ * @param {Object} provider - Catalog provider (see catalog.js)
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - Max age in ms before revalidating
+ * @returns {Object} Catalog provider
+ */
+export function withCache(provider, { ttl = getConfig().catalogCacheTtl } = {}) {
+    const prefix = `${provider.name}_`;
+
+    const list = ({ category = '', onUpdate, fresh = false } = {}) => {
+        const key = `${prefix}list_${category || 'all'}`;
+        const fetcher = () => provider.list({ category });
+
+        return fresh ? revalidate(key, fetcher) : staleWhileRevalidate(key, fetcher, { ttl, onUpdate });
+    };
+
+    /**
+     * Finds a product inside any cached product list for this provider.
+     * @param {number} id
+     * @returns {Object|null}
+     */
+    const findInCachedLists = (id) => {
+        const listPrefix = `${CACHE_PREFIX}${prefix}list_`;
+        for (const storageKey of Object.keys(localStorage)) {
+            if (!storageKey.startsWith(listPrefix)) continue;
+            const entry = readCache(storageKey.slice(CACHE_PREFIX.length));
+            const match = entry?.data?.find?.(p => p.id === Number(id));
+            if (match) return match;
+        }
+        return null;
+    };
+
+    return {
+        name: provider.name,
+        list,
+
+        async get(id) {
+            return findInCachedLists(id)
+                || staleWhileRevalidate(`${prefix}product_${id}`, () => provider.get(id), { ttl });
+        },
+
+        categories({ onUpdate } = {}) {
+            return staleWhileRevalidate(`${prefix}categories`, () => provider.categories(), { ttl, onUpdate });
+        },
+
+        async search(query) {
+            return (await list()).filter(product => matchesQuery(product, query));
+        }
+    };
+}
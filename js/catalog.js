@@ -0,0 +1,154 @@
+/* ============================================================================
+   CATALOG SERVICE MODULE
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Provider interface for product data (list, get, categories, search)
+   - Fake Store API provider (remote)
+   - Local JSON-file provider (offline / testing)
+   - Provider selection from configuration
+
+   A provider is a plain object implementing:
+   - list({ category })  -> Promise<Array<Object>>
+   - get(id)             -> Promise<Object|null>
+   - categories()        -> Promise<Array<string>>
+   - search(query)       -> Promise<Array<Object>>
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { getConfig } from './config.js';
+import { matchesQuery } from './store-filters.js';
+import { withCache } from './catalog-cache.js';
+
+/* ============================================================================
+   PROVIDERS
+============================================================================ */
+
+/**
+ * Creates a provider backed by the Fake Store API.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - API base URL
+ * @returns {Object} Catalog provider
+ */
+export function createFakeStoreProvider({ baseUrl = getConfig().fakeStoreBaseUrl } = {}) {
+    const list = async ({ category = '' } = {}) => {
+        const url = category
+            ? `${baseUrl}/products/category/${encodeURIComponent(category)}`
+            : `${baseUrl}/products`;
+        const { data } = await axios.get(url);
+        return data;
+    };
+
+    return {
+        name: 'fakestore',
+        list,
+
+        async get(id) {
+            const { data } = await axios.get(`${baseUrl}/products/${id}`);
+            return data || null;
+        },
+
+        async categories() {
+            const { data } = await axios.get(`${baseUrl}/products/categories`);
+            return data;
+        },
+
+        async search(query) {
+            return (await list()).filter(product => matchesQuery(product, query));
+        }
+    };
+}
+
+/**
+ * Creates a provider backed by a local JSON file of products.
+ * Pass `products` directly to skip loading the file (useful in tests).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.url] - JSON file URL
+ * @param {Array<Object>} [options.products] - Preloaded products
+ * @returns {Object} Catalog provider
+ */
+export function createLocalProvider({ url = getConfig().localCatalogUrl, products } = {}) {
+    let loaded = products ? Promise.resolve(products) : null;
+
+    const all = () => {
+        if (!loaded) {
+            // fetch (not axios) so the local catalog works without the CDN
+            loaded = fetch(url).then(res => {
+                if (!res.ok) throw new Error(`Failed to load ${url} (${res.status})`);
+                return res.json();
+            });
+        }
+        return loaded;
+    };
+
+    return {
+        name: 'local',
+
+        async list({ category = '' } = {}) {
+            const items = await all();
+            return category ? items.filter(p => p.category === category) : items;
+        },
+
+        async get(id) {
+            return (await all()).find(p => p.id === Number(id)) || null;
+        },
+
+        async categories() {
+            return [...new Set((await all()).map(p => p.category))];
+        },
+
+        async search(query) {
+            return (await all()).filter(product => matchesQuery(product, query));
+        }
+    };
+}
+
+/**
+ * Provider factories available to configuration, keyed by name.
+ * @constant {Object<string, Function>}
+ */
+export const CATALOG_PROVIDERS = {
+    fakestore: createFakeStoreProvider,
+    local: createLocalProvider
+};
+
+/* ============================================================================
+   ACTIVE PROVIDER
+============================================================================ */
+
+/** @type {Object|null} */
+let activeProvider = null;
+
+/**
+ * Returns the configured catalog provider, creating it on first use.
+ * The provider is wrapped with the localStorage cache unless the
+ * configured `catalogCacheTtl` is 0.
+ *
+ * @returns {Object} Catalog provider
+ */
+export function getCatalog() {
+    if (!activeProvider) {
+        const { catalogProvider, catalogCacheTtl } = getConfig();
+        const factory = CATALOG_PROVIDERS[catalogProvider];
+
+        if (!factory) {
+            console.warn(`Unknown catalog provider "${catalogProvider}", using fakestore.`);
+        }
+
+        const provider = (factory || createFakeStoreProvider)();
+        activeProvider = catalogCacheTtl > 0 ? withCache(provider, { ttl: catalogCacheTtl }) : provider;
+    }
+    return activeProvider;
+}
+
+/**
+ * Replaces the active catalog provider (or resets it when null).
+ *
+ * @param {Object|null} provider
+ */
+export function setCatalogProvider(provider) {
+    activeProvider = provider;
+}
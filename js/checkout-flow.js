@@ -0,0 +1,250 @@
+/* ============================================================================
+   CHECKOUT FLOW MODULE
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Checkout steps (cart → shipping → delivery → payment → review)
+   - Delivery options
+   - Address parsing / formatting
+   - Per-step validation
+   - Persisting in-progress checkout data between steps
+
+   Card details are never written to storage; only the payment method is.
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { validateCard } from './payments.js';
+
+/* ============================================================================
+   CONSTANTS
+============================================================================ */
+
+/**
+ * Checkout steps, in order.
+ * @constant {Array<{id: string, label: string}>}
+ */
+export const CHECKOUT_STEPS = [
+    { id: 'cart', label: 'Cart' },
+    { id: 'shipping', label: 'Shipping' },
+    { id: 'delivery', label: 'Delivery' },
+    { id: 'payment', label: 'Payment' },
+    { id: 'review', label: 'Review' }
+];
+
+/**
+ * Available delivery methods. Their prices live in pricing.js (SHIPPING_RATES).
+ * @constant {Array<{id: string, label: string, description: string}>}
+ */
+export const DELIVERY_OPTIONS = [
+    { id: 'standard', label: 'Standard', description: '5–7 business days' },
+    { id: 'express', label: 'Express', description: '1–2 business days' },
+    { id: 'pickup', label: 'Store Pickup', description: 'Ready in 24 hours' }
+];
+
+/**
+ * Payment fields that must never be persisted.
+ * @constant {Array<string>}
+ */
+const SENSITIVE_PAYMENT_FIELDS = ['cardNumber', 'expiry', 'cvc'];
+
+/* ============================================================================
+   ADDRESS HELPERS
+============================================================================ */
+
+/**
+ * Splits a free-text "Street, City, State ZIP" address into fields.
+ * Missing parts are returned as empty strings.
+ *
+ * @param {string} text
+ * @returns {{street: string, city: string, state: string, zip: string}}
+ */
+export function parseAddress(text = '') {
+    const parts = text.split(',').map(p => p.trim()).filter(Boolean);
+    const address = { street: '', city: '', state: '', zip: '' };
+    if (parts.length === 0) return address;
+
+    // The last part may hold "State ZIP" together
+    let last = parts[parts.length - 1];
+    const zipMatch = last.match(/\b(\d{5}(?:-\d{4})?)$/);
+    if (zipMatch) {
+        address.zip = zipMatch[1];
+        last = last.slice(0, zipMatch.index).trim();
+        if (last) {
+            parts[parts.length - 1] = last;
+        } else {
+            parts.pop();
+        }
+    }
+
+    if (parts.length >= 3) {
+        address.state = parts.pop();
+        address.city = parts.pop();
+    } else if (parts.length === 2) {
+        address.city = parts.pop();
+    }
+    address.street = parts.join(', ');
+
+    return address;
+}
+
+/**
+ * Formats address fields as a single line.
+ * Plain-text addresses are returned unchanged.
+ *
+ * @param {Object|string} address
+ * @returns {string}
+ */
+export function formatAddress(address = {}) {
+    if (typeof address === 'string') return address;
+
+    const { street = '', city = '', state = '', zip = '' } = address;
+    const stateZip = [state, zip].filter(Boolean).join(' ');
+    return [street, city, stateZip].filter(Boolean).join(', ');
+}
+
+/* ============================================================================
+   STATE
+============================================================================ */
+
+/**
+ * Returns the sessionStorage key for a user's in-progress checkout.
+ *
+ * @param {string} email
+ * @returns {string}
+ */
+export function getCheckoutKey(email) {
+    return `fs_checkout_${email}`;
+}
+
+/**
+ * Builds a fresh checkout state prefilled from the user's profile.
+ *
+ * @param {Object} user - Active user
+ * @returns {Object} Checkout state
+ */
+export function createCheckoutState(user) {
+    return {
+        step: 'cart',
+        shipping: { fullName: user.name || '', ...parseAddress(user.address) },
+        delivery: DELIVERY_OPTIONS[0].id,
+        payment: { method: 'card', cardName: user.name || '', cardNumber: '', expiry: '', cvc: '' },
+        coupon: ''
+    };
+}
+
+/**
+ * Loads the saved checkout state, or a fresh one.
+ *
+ * @param {Object} user - Active user
+ * @returns {Object} Checkout state
+ */
+export function loadCheckoutState(user) {
+    const fresh = createCheckoutState(user);
+    const saved = JSON.parse(sessionStorage.getItem(getCheckoutKey(user.email)) || 'null');
+    if (!saved) return fresh;
+
+    const state = {
+        ...fresh,
+        ...saved,
+        shipping: { ...fresh.shipping, ...saved.shipping },
+        payment: { ...fresh.payment, ...saved.payment }
+    };
+
+    // Card details are not persisted, so a reload past the payment step returns to it
+    const paymentIndex = CHECKOUT_STEPS.findIndex(s => s.id === 'payment');
+    const stepIndex = CHECKOUT_STEPS.findIndex(s => s.id === state.step);
+    if (stepIndex > paymentIndex && Object.keys(validateStep('payment', state)).length > 0) {
+        state.step = 'payment';
+    }
+
+    return state;
+}
+
+/**
+ * Persists checkout state, leaving out card details.
+ *
+ * @param {string} email
+ * @param {Object} state
+ */
+export function saveCheckoutState(email, state) {
+    const payment = { ...state.payment };
+    SENSITIVE_PAYMENT_FIELDS.forEach(field => delete payment[field]);
+
+    sessionStorage.setItem(getCheckoutKey(email), JSON.stringify({ ...state, payment }));
+}
+
+/**
+ * Removes the saved checkout state (e.g. after an order is placed).
+ *
+ * @param {string} email
+ */
+export function clearCheckoutState(email) {
+    sessionStorage.removeItem(getCheckoutKey(email));
+}
+
+/* ============================================================================
+   NAVIGATION
+============================================================================ */
+
+/**
+ * Returns the step id offset from the given one, clamped to the ends.
+ *
+ * @param {string} stepId
+ * @param {number} offset - +1 for next, -1 for previous
+ * @returns {string}
+ */
+export function moveStep(stepId, offset) {
+    const index = CHECKOUT_STEPS.findIndex(s => s.id === stepId);
+    const target = Math.min(Math.max(index + offset, 0), CHECKOUT_STEPS.length - 1);
+    return CHECKOUT_STEPS[target].id;
+}
+
+/**
+ * Finds a delivery option by id.
+ *
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+export function getDeliveryOption(id) {
+    return DELIVERY_OPTIONS.find(option => option.id === id);
+}
+
+/* ============================================================================
+   VALIDATION
+============================================================================ */
+
+/**
+ * Validates the data belonging to one step.
+ *
+ * @param {string} stepId
+ * @param {Object} state - Checkout state
+ * @param {Array<Object>} [cart=[]] - Current cart (for the cart step)
+ * @returns {Object<string, string>} Field → error message (empty if valid)
+ */
+export function validateStep(stepId, state, cart = []) {
+    const errors = {};
+
+    if (stepId === 'cart' && cart.length === 0) {
+        errors.cart = 'Your cart is empty.';
+    }
+
+    if (stepId === 'shipping') {
+        const { fullName, street, city, state: region, zip } = state.shipping;
+        if (!fullName?.trim()) errors.fullName = 'Full name is required.';
+        if (!street?.trim()) errors.street = 'Street address is required.';
+        if (!city?.trim()) errors.city = 'City is required.';
+        if (!region?.trim()) errors.state = 'State is required.';
+        if (!/^\d{5}(-\d{4})?$/.test(zip?.trim() || '')) errors.zip = 'Enter a valid ZIP code.';
+    }
+
+    if (stepId === 'delivery' && !getDeliveryOption(state.delivery)) {
+        errors.delivery = 'Choose a delivery method.';
+    }
+
+    if (stepId === 'payment' && state.payment.method === 'card') {
+        Object.assign(errors, validateCard(state.payment));
+    }
+
+    return errors;
+}
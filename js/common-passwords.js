@@ -0,0 +1,39 @@
+/* ============================================================================
+   COMMON PASSWORDS
+   ----------------------------------------------------------------------------
+   Bundled blocklist of frequently used and breached passwords, checked by
+   password-policy.js. Entries are lowercase; extend as needed.
+============================================================================ */
+
+/**
+ * Passwords that are rejected regardless of the other rules.
+ * @constant {Array<string>}
+ */
+export const COMMON_PASSWORDS = [
+    '123456', 'password', '12345678', 'qwerty', '123456789', '12345', '1234', '111111',
+    '1234567', 'dragon', '123123', 'baseball', 'abc123', 'football', 'monkey', 'letmein',
+    '696969', 'shadow', 'master', '666666', 'qwertyuiop', '123321', 'mustang',
+    '1234567890', 'michael', '654321', 'superman', '1qaz2wsx', '7777777', '121212',
+    '000000', 'qazwsx', '123qwe', 'killer', 'trustno1', 'jordan', 'jennifer', 'zxcvbnm',
+    'asdfgh', 'hunter', 'buster', 'soccer', 'harley', 'batman', 'andrew', 'tigger',
+    'sunshine', 'iloveyou', '2000', 'charlie', 'robert', 'thomas', 'hockey', 'ranger',
+    'daniel', 'starwars', 'klaster', '112233', 'george', 'computer', 'michelle',
+    'jessica', 'pepper', '1111', 'zxcvbn', '555555', '11111111', '131313', 'freedom',
+    '777777', 'pass', 'maggie', '159753', 'aaaaaa', 'ginger', 'princess', 'joshua',
+    'cheese', 'amanda', 'summer', 'love', 'ashley', 'nicole', 'chelsea', 'biteme',
+    'matthew', 'access', 'yankees', '987654321', 'dallas', 'austin', 'thunder', 'taylor',
+    'matrix', 'minecraft', 'william', 'corvette', 'hello', 'martin', 'heather', 'secret',
+    'merlin', 'diamond', '1234qwer', 'gfhjkm', 'hammer', 'silver', '222222', '88888888',
+    'anthony', 'justin', 'test', 'bailey', 'q1w2e3r4t5', 'patrick', 'internet',
+    'scooter', 'orange', '11111', 'golfer', 'cookie', 'richard', 'samantha', 'bigdog',
+    'guitar', 'jackson', 'whatever', 'mickey', 'chicken', 'sparky', 'snoopy', 'maverick',
+    'phoenix', 'camaro', 'peanut', 'morgan', 'welcome', 'falcon', 'password1',
+    'password123', 'passw0rd', 'p@ssw0rd', 'admin', 'admin123', 'root', 'toor',
+    'changeme', 'default', 'guest', 'login', 'qwerty123', 'qwerty1', '1q2w3e4r',
+    '1q2w3e4r5t', '1q2w3e', 'zaq12wsx', 'abcd1234', 'abcdef', 'abc12345', 'iloveyou1',
+    'letmein1', 'welcome1', 'welcome123', 'monkey1', 'dragon1', 'sunshine1', 'princess1',
+    'football1', 'baseball1', 'shadow1', 'superman1', '000000000', '123454321',
+    'asdfghjkl', 'asdf1234', 'asdfasdf', 'qweasdzxc', '1qazxsw2', 'q1w2e3r4', 'aa123456',
+    'a123456', '123abc', '123456a', '12345a', 'password!', 'secret123', 'shopping',
+    'store123', 'nystore', 'ecommerce'
+];
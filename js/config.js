@@ -0,0 +1,75 @@
+/* ============================================================================
+   APP CONFIGURATION
+   ----------------------------------------------------------------------------
+   Defaults can be overridden per deployment by defining
+   `window.NYSTORE_CONFIG` before the app modules load (see /config.js).
+============================================================================ */
+
+/**
+ * Default configuration values.
+ * @constant {Object}
+ */
+export const DEFAULT_CONFIG = Object.freeze({
+    /** Catalog provider name: 'fakestore' | 'local' */
+    catalogProvider: 'fakestore',
+    /** Base URL for the Fake Store API provider */
+    fakeStoreBaseUrl: 'https://fakestoreapi.com',
+    /** JSON file used by the local provider */
+    localCatalogUrl: 'data/products.json',
+    /** Catalog cache TTL in ms before a background refresh (0 disables the cache) */
+    catalogCacheTtl: 10 * 60 * 1000,
+    /** Stock assumed for products the catalog gives no `stock` count for (e.g. Fake Store API) */
+    defaultProductStock: 50,
+    /** Most units of one product per order when the catalog gives no `maxPerOrder` */
+    defaultMaxPerOrder: 10,
+    /** Payment gateway name: 'mock' */
+    paymentProvider: 'mock',
+    /** Review storage adapter name: 'local' (see review-store.js) */
+    reviewStore: 'local',
+    /** Only let users review products that appear in one of their orders */
+    reviewsRequirePurchase: false,
+    /** PBKDF2 iterations for new password hashes (existing hashes keep their own count) */
+    passwordHashIterations: 310000,
+    /** Session lifetime in ms without "Remember Me" */
+    sessionTtl: 24 * 60 * 60 * 1000,
+    /** Session lifetime in ms with "Remember Me" */
+    rememberedSessionTtl: 30 * 24 * 60 * 60 * 1000,
+    /** Idle time in ms before a non-remembered session ends (0 disables) */
+    sessionIdleTimeout: 30 * 60 * 1000,
+    /** Lifetime of password reset links in ms */
+    resetTokenTtl: 30 * 60 * 1000,
+    /** Time in ms a deleted account can still be restored by logging in */
+    accountDeletionGracePeriod: 14 * 24 * 60 * 60 * 1000,
+    /** Rules for new passwords (see password-policy.js); overrides are merged per field */
+    passwordPolicy: Object.freeze({
+        minLength: 8,
+        requireLowercase: true,
+        requireUppercase: false,
+        requireDigit: true,
+        requireSymbol: false,
+        blockCommon: true,
+        blockPersonalInfo: true
+    }),
+    /** Failed-login limits per email (see login-throttle.js); overrides are merged per field */
+    loginThrottle: Object.freeze({
+        /** Failures allowed before delays start */
+        freeAttempts: 3,
+        /** First delay in ms; doubles with each further failure */
+        baseDelay: 2000,
+        /** Longest delay in ms */
+        maxDelay: 60 * 1000,
+        /** Failures that lock the account */
+        lockoutThreshold: 8,
+        /** Lockout length in ms */
+        lockoutDuration: 15 * 60 * 1000
+    })
+});
+
+/**
+ * Returns the effective configuration (defaults merged with overrides).
+ *
+ * @returns {Object}
+ */
+export function getConfig() {
+    return { ...DEFAULT_CONFIG, ...(window.NYSTORE_CONFIG || {}) };
+}
@@ -0,0 +1,68 @@
+/* ============================================================================
+   COUPON CAMPAIGNS
+   ----------------------------------------------------------------------------
+   Promo code definitions read by promotions.js. Add or retire campaigns here;
+   no checkout code needs to change.
+
+   Fields:
+   - code         Code the customer types (case-insensitive)
+   - description  Shown when the code is applied
+   - type         'percent' | 'fixed' | 'free_shipping' | 'bxgy'
+   - value        Percent off (percent) or amount off (fixed)
+   - maxDiscount  Optional cap for percent discounts
+   - buy, get     For 'bxgy': buy `buy` units, get `get` more of the cheapest free
+   - minSpend     Optional minimum cart subtotal
+   - categories   Optional list of categories the discount applies to
+   - startsAt     Optional ISO date the code becomes valid
+   - expiresAt    Optional ISO date after which the code is rejected
+============================================================================ */
+
+/**
+ * Active and past promo campaigns.
+ * @constant {Array<Object>}
+ */
+export const COUPON_CAMPAIGNS = [
+    {
+        code: 'WELCOME10',
+        description: '10% off your order',
+        type: 'percent',
+        value: 10,
+        maxDiscount: 50
+    },
+    {
+        code: 'SAVE15',
+        description: '$15 off orders of $100 or more',
+        type: 'fixed',
+        value: 15,
+        minSpend: 100
+    },
+    {
+        code: 'FREESHIP',
+        description: 'Free delivery on orders of $50 or more',
+        type: 'free_shipping',
+        minSpend: 50
+    },
+    {
+        code: 'TECH20',
+        description: '20% off electronics',
+        type: 'percent',
+        value: 20,
+        categories: ['electronics']
+    },
+    {
+        code: 'STYLE3FOR2',
+        description: 'Buy 2 clothing items, get the cheapest third free',
+        type: 'bxgy',
+        buy: 2,
+        get: 1,
+        categories: ["men's clothing", "women's clothing"]
+    },
+    {
+        code: 'SUMMER25',
+        description: '25% off everything',
+        type: 'percent',
+        value: 25,
+        startsAt: '2026-06-01',
+        expiresAt: '2026-08-31'
+    }
+];
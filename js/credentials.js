@@ -0,0 +1,320 @@
+/* ============================================================================
+   CREDENTIALS MODULE
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Hashing passwords with salted PBKDF2 (WebCrypto)
+   - Verifying passwords against stored hashes
+   - Migrating legacy plaintext users on their next successful login
+   - Stripping secrets from user records before they become `activeUser`
+   - Reading and writing the `users` store
+   - Marking accounts as deleted during their restore window
+
+   Stored user shape:
+   { name, email, address, credential: { algorithm, iterations, salt, hash },
+     passwordChangedAt?, passwordReset?, deletion?: { deletedAt, purgeAt } }
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { getConfig } from './config.js';
+
+/* ============================================================================
+   CONSTANTS
+============================================================================ */
+
+/**
+ * Identifier stored with each hash so the scheme can change later.
+ * @constant {string}
+ */
+export const HASH_ALGORITHM = 'PBKDF2-SHA256';
+
+/** Salt length in bytes */
+const SALT_BYTES = 16;
+
+/** Derived key length in bits */
+const HASH_BITS = 256;
+
+/** User fields that must never leave the `users` store */
+const SECRET_FIELDS = ['password', 'credential', 'passwordReset', 'passwordChangedAt', 'deletion'];
+
+/* ============================================================================
+   INTERNAL UTILITIES
+============================================================================ */
+
+/**
+ * Encodes bytes as base64.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Decodes base64 into bytes.
+ *
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Compares two strings in time independent of where they differ.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function constantTimeEqual(a, b) {
+    if (a.length !== b.length) return false;
+
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+/**
+ * Derives a PBKDF2-SHA256 key from a password.
+ *
+ * @param {string} password
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<Uint8Array>}
+ */
+async function deriveKey(password, salt, iterations) {
+    const { subtle } = globalThis.crypto;
+    const baseKey = await subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+    const bits = await subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        baseKey,
+        HASH_BITS
+    );
+    return new Uint8Array(bits);
+}
+
+/* ============================================================================
+   USER STORE
+============================================================================ */
+
+/**
+ * Reads the registered users (full records, secrets included).
+ *
+ * @returns {Array<Object>}
+ */
+export function getUsers() {
+    return JSON.parse(localStorage.getItem('users') || '[]');
+}
+
+/**
+ * Writes the registered users.
+ *
+ * @param {Array<Object>} users
+ */
+export function saveUsers(users) {
+    localStorage.setItem('users', JSON.stringify(users));
+}
+
+/**
+ * Changes one user record. The store is read at the time of the write, so
+ * callers that hash a password first must not hold on to an older snapshot.
+ *
+ * @param {string} email
+ * @param {Function} update - Receives the record to change; returning false cancels
+ * @returns {boolean} false if the user does not exist or the update was cancelled
+ */
+function updateUser(email, update) {
+    const users = getUsers();
+    const user = users.find(u => u.email === email);
+    if (!user || update(user) === false) return false;
+
+    saveUsers(users);
+    return true;
+}
+
+/**
+ * Returns when a user's password was last changed.
+ *
+ * @param {string} email
+ * @returns {number|null} Timestamp in ms, or null if never changed
+ */
+export function getPasswordChangedAt(email) {
+    return getUsers().find(u => u.email === email)?.passwordChangedAt ?? null;
+}
+
+/**
+ * Returns whether a user has deleted their account (restorable or not).
+ *
+ * @param {string} email
+ * @returns {boolean}
+ */
+export function isUserDeleted(email) {
+    return Boolean(getUsers().find(u => u.email === email)?.deletion);
+}
+
+/**
+ * Marks a user as deleted. The record stays until `purgeAt` so that
+ * logging in again can restore it.
+ *
+ * @param {string} email
+ * @param {number} purgeAt - Timestamp in ms after which the account is gone
+ * @returns {boolean} false if the user does not exist
+ */
+export function markUserDeleted(email, purgeAt) {
+    const users = getUsers();
+    const user = users.find(u => u.email === email);
+    if (!user) return false;
+
+    user.deletion = { deletedAt: Date.now(), purgeAt };
+    delete user.passwordReset;
+    saveUsers(users);
+    return true;
+}
+
+/**
+ * Cancels a pending deletion.
+ *
+ * @param {string} email
+ * @returns {boolean} true if the account was pending deletion and is now restored
+ */
+export function restoreUser(email) {
+    const users = getUsers();
+    const user = users.find(u => u.email === email);
+    if (!user?.deletion) return false;
+
+    delete user.deletion;
+    saveUsers(users);
+    return true;
+}
+
+/* ============================================================================
+   HASHING
+============================================================================ */
+
+/**
+ * Hashes a password with a fresh random salt.
+ *
+ * @param {string} password
+ * @param {Object} [options]
+ * @param {number} [options.iterations] - Defaults to `passwordHashIterations` from config
+ * @returns {Promise<{algorithm: string, iterations: number, salt: string, hash: string}>}
+ */
+export async function hashPassword(password, { iterations = getConfig().passwordHashIterations } = {}) {
+    const salt = globalThis.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const hash = await deriveKey(password, salt, iterations);
+
+    return {
+        algorithm: HASH_ALGORITHM,
+        iterations,
+        salt: toBase64(salt),
+        hash: toBase64(hash)
+    };
+}
+
+/**
+ * Checks a password against a stored credential.
+ *
+ * @param {string} password
+ * @param {Object} credential - Result of hashPassword()
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, credential) {
+    if (credential?.algorithm !== HASH_ALGORITHM) return false;
+
+    const hash = await deriveKey(password, fromBase64(credential.salt), credential.iterations);
+    return constantTimeEqual(toBase64(hash), credential.hash);
+}
+
+/* ============================================================================
+   USER RECORDS
+============================================================================ */
+
+/**
+ * Returns a copy of a user without password, credential or reset fields.
+ * This is the only shape that may be stored in a session.
+ *
+ * @param {Object|null} user
+ * @returns {Object|null}
+ */
+export function toPublicUser(user) {
+    if (!user) return null;
+
+    const publicUser = { ...user };
+    SECRET_FIELDS.forEach(field => delete publicUser[field]);
+    return publicUser;
+}
+
+/**
+ * Builds a user record with a hashed password, ready for the `users` store.
+ *
+ * @param {Object} params
+ * @param {string} params.password - Plaintext password (not stored)
+ * @returns {Promise<Object>} User record
+ */
+export async function createUserRecord({ password, ...profile }) {
+    return { ...profile, credential: await hashPassword(password) };
+}
+
+/**
+ * Checks an email/password pair against the `users` store.
+ * Legacy users with a plaintext `password` are upgraded to a hash on success.
+ * Deleted accounts still match until their restore window ends.
+ *
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<Object|null>} Public user, or null if the credentials are wrong
+ */
+export async function authenticate(email, password) {
+    const users = getUsers();
+    const user = users.find(u => u.email === email);
+    if (!user || Date.now() >= user.deletion?.purgeAt) return null;
+
+    if (user.credential) {
+        return (await verifyPassword(password, user.credential)) ? toPublicUser(user) : null;
+    }
+
+    // Legacy plaintext record
+    if (typeof user.password !== 'string' || !constantTimeEqual(user.password, password)) {
+        return null;
+    }
+
+    // Another login may have migrated or changed the record while hashing
+    const credential = await hashPassword(password);
+    updateUser(email, record => {
+        if (record.password !== user.password) return false;
+        record.credential = credential;
+        delete record.password;
+    });
+
+    return toPublicUser(user);
+}
+
+/**
+ * Replaces a user's password with a new hash and records when it changed,
+ * which ends sessions started before the change (see session.js).
+ *
+ * @param {string} email
+ * @param {string} password - New plaintext password
+ * @returns {Promise<boolean>} false if the user does not exist
+ */
+export async function setPassword(email, password) {
+    if (!getUsers().some(u => u.email === email)) return false;
+
+    const credential = await hashPassword(password);
+    return updateUser(email, user => {
+        user.credential = credential;
+        user.passwordChangedAt = Date.now();
+        delete user.password;
+    });
+}
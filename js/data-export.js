@@ -0,0 +1,430 @@
+/* ============================================================================
+   PERSONAL DATA EXPORT / IMPORT
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Exporting an account's data as a versioned JSON document
+   - Validating an uploaded document
+   - Merging a document into the signed-in account
+
+   Document shape (version 1):
+   { format: 'nystore-account-data', version: 1, exportedAt,
+     profile: { name, email, address }, cart: [...], orders: [...],
+     wishlist: [...], savedForLater: [...], preferences: { rememberEmail } }
+
+   `wishlist`, `savedForLater` and `preferences` were added later and are
+   optional.
+
+   Imports never change the email or password of the current account.
+   Uploaded files are untrusted: every field that is stored is checked here.
+   Cart, wishlist and saved items are rebuilt from the catalog, so only their
+   quantities and dates come from the file; orders keep their own text, which
+   the pages escape when rendering it.
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { getUsers, saveUsers, toPublicUser } from './credentials.js';
+import { getSession, updateSessionUser } from './session.js';
+import { REMEMBERED_EMAIL_KEY } from './login.js';
+import { ORDER_STATUS, getOrders, getOrdersKey } from './orders.js';
+import { readCart, writeCart, mergeCartItems } from './cart-store.js';
+import { readWishlist, mergeWishlistItems, readSavedItems, mergeSavedItems } from './wishlist.js';
+import { getQuantityLimit } from './inventory.js';
+import { snapshotPrice } from './price-check.js';
+
+/* ============================================================================
+   CONSTANTS
+============================================================================ */
+
+/**
+ * Marks a file as an NY Store data export.
+ * @constant {string}
+ */
+export const EXPORT_FORMAT = 'nystore-account-data';
+
+/**
+ * Current document version. Older versions stay importable; newer ones are
+ * rejected.
+ * @constant {number}
+ */
+export const EXPORT_VERSION = 1;
+
+/** Product fields kept for cart items and order lines */
+const ITEM_FIELDS = ['id', 'title', 'price', 'pricedAt', 'image', 'category', 'description', 'rating', 'qty'];
+
+/** Fields kept for wishlist items */
+const WISHLIST_FIELDS = ['id', 'title', 'price', 'image', 'category', 'addedAt'];
+
+/** Fields kept for saved-for-later items */
+const SAVED_FIELDS = [...ITEM_FIELDS, 'savedAt'];
+
+/** Fields kept for orders */
+const ORDER_FIELDS = ['id', 'items', 'totals', 'shippingAddress', 'delivery', 'payment', 'coupon', 'createdAt', 'status'];
+
+/** Order ids as generated by orders.js, e.g. "ORD-LZ3K9QX1A2B3" */
+const ORDER_ID_PATTERN = /^[A-Za-z0-9-]{1,40}$/;
+
+/** Text fields of a shipping address */
+const ADDRESS_FIELDS = ['fullName', 'street', 'city', 'state', 'zip'];
+
+/** Payment methods an order can have */
+const PAYMENT_METHODS = ['card', 'cod'];
+
+/* ============================================================================
+   INTERNAL UTILITIES
+============================================================================ */
+
+/**
+ * Copies the known fields of an item or order.
+ *
+ * @param {Object} item
+ * @param {Array<string>} [fields=ITEM_FIELDS]
+ * @returns {Object}
+ */
+function pickFields(item, fields = ITEM_FIELDS) {
+    return Object.fromEntries(fields.filter(field => field in item).map(field => [field, item[field]]));
+}
+
+/**
+ * Rebuilds an imported item from its catalog product: title, image, price,
+ * stock and the other product fields come from the catalog (priced now), and
+ * only the `keep` fields from the file. Without a catalog the file's own
+ * `fallback` fields are used.
+ *
+ * @param {Object} item - Validated item from the file
+ * @param {Array<Object>} [products] - Catalog
+ * @param {Array<string>} keep - Fields taken from the file, e.g. ['qty']
+ * @param {Array<string>} fallback
+ * @returns {Object}
+ */
+function fromCatalog(item, products, keep, fallback) {
+    const product = products?.find(p => p.id === item.id);
+    if (!product) return pickFields(item, fallback);
+
+    return { ...product, ...snapshotPrice(product), ...pickFields(item, keep) };
+}
+
+/* ============================================================================
+   VALIDATION
+============================================================================ */
+
+/**
+ * Checks whether a value is a plain object.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks that the given fields of an object are text when present.
+ *
+ * @param {Object} object
+ * @param {Array<string>} fields
+ * @param {string} path
+ * @returns {string|null} Error message
+ */
+function validateTextFields(object, fields, path) {
+    const field = fields.find(f => object[f] != null && typeof object[f] !== 'string');
+    return field ? `${path}.${field} must be text.` : null;
+}
+
+/**
+ * Checks a cart item, saved item, order line or wishlist item.
+ *
+ * @param {*} item
+ * @param {string} path - Location used in the error message, e.g. "cart[0]"
+ * @param {Object} [options]
+ * @param {boolean} [options.qty=true] - Whether the item needs a quantity (wishlist items have none)
+ * @param {Set<number>} [options.productIds] - Catalog product ids the item must be one of
+ * @returns {string|null} Error message
+ */
+function validateItem(item, path, { qty = true, productIds } = {}) {
+    if (!isObject(item)) return `${path} must be an object.`;
+    if (!Number.isInteger(item.id) || item.id < 1) return `${path}.id must be a product id.`;
+    if (productIds && !productIds.has(item.id)) return `${path}.id is not a product in the catalog.`;
+    if (typeof item.title !== 'string') return `${path}.title must be text.`;
+    if (!Number.isFinite(item.price) || item.price < 0) return `${path}.price must be a positive number.`;
+    if (qty && (!Number.isInteger(item.qty) || item.qty < 1)) return `${path}.qty must be a whole number of at least 1.`;
+    return validateTextFields(item, ['image', 'category', 'description'], path);
+}
+
+/**
+ * Checks an order's totals: `subtotal` and `total` are required, the other
+ * amounts are optional.
+ *
+ * @param {*} totals
+ * @param {string} path
+ * @returns {string|null} Error message
+ */
+function validateTotals(totals, path) {
+    if (!isObject(totals)) return `${path} must be an object.`;
+
+    for (const field of ['subtotal', 'discount', 'shipping', 'tax', 'total']) {
+        const required = field === 'subtotal' || field === 'total';
+        if (totals[field] == null && !required) continue;
+        if (!Number.isFinite(totals[field]) || totals[field] < 0) return `${path}.${field} must be a positive number.`;
+    }
+    return null;
+}
+
+/**
+ * Checks an order's shipping address: address fields, or legacy text.
+ *
+ * @param {*} address
+ * @param {string} path
+ * @returns {string|null} Error message
+ */
+function validateAddress(address, path) {
+    if (address == null || typeof address === 'string') return null;
+    if (!isObject(address)) return `${path} must be an object.`;
+    return validateTextFields(address, ADDRESS_FIELDS, path);
+}
+
+/**
+ * Checks an order record.
+ *
+ * @param {*} order
+ * @param {string} path
+ * @param {Set<number>} [productIds]
+ * @returns {string|null} Error message
+ */
+function validateOrder(order, path, productIds) {
+    if (!isObject(order)) return `${path} must be an object.`;
+    if (typeof order.id !== 'string' || !ORDER_ID_PATTERN.test(order.id)) return `${path}.id must be an order number.`;
+    if (Number.isNaN(Date.parse(order.createdAt))) return `${path}.createdAt must be a date.`;
+    if (!Object.values(ORDER_STATUS).includes(order.status)) return `${path}.status is not a known order status.`;
+
+    const totalsError = validateTotals(order.totals, `${path}.totals`);
+    if (totalsError) return totalsError;
+
+    if (!Array.isArray(order.items) || !order.items.length) return `${path}.items must be a list of products.`;
+    for (const [i, item] of order.items.entries()) {
+        const error = validateItem(item, `${path}.items[${i}]`, { productIds });
+        if (error) return error;
+    }
+
+    const addressError = validateAddress(order.shippingAddress, `${path}.shippingAddress`);
+    if (addressError) return addressError;
+
+    if (order.delivery != null) {
+        if (!isObject(order.delivery)) return `${path}.delivery must be an object.`;
+        if (typeof order.delivery.label !== 'string') return `${path}.delivery.label must be text.`;
+        const error = validateTextFields(order.delivery, ['id'], `${path}.delivery`);
+        if (error) return error;
+    }
+
+    if (order.payment != null) {
+        if (!isObject(order.payment)) return `${path}.payment must be an object.`;
+        if (!PAYMENT_METHODS.includes(order.payment.method)) return `${path}.payment.method is not a known payment method.`;
+        if (order.payment.last4 != null && !/^\d{4}$/.test(order.payment.last4)) return `${path}.payment.last4 must be 4 digits.`;
+        const error = validateTextFields(order.payment, ['brand', 'transactionId'], `${path}.payment`);
+        if (error) return error;
+    }
+
+    if (order.coupon != null && typeof order.coupon !== 'string') return `${path}.coupon must be text.`;
+    return null;
+}
+
+/**
+ * Checks a parsed export document.
+ *
+ * @param {*} data
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.products] - Catalog; when given, every
+ *        item must be one of its products
+ * @returns {string|null} First problem found, or null if the document is valid
+ */
+export function validateUserData(data, { products } = {}) {
+    if (!data || typeof data !== 'object' || data.format !== EXPORT_FORMAT) {
+        return 'This is not an NY Store data file.';
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        return 'The file has no valid version number.';
+    }
+    if (data.version > EXPORT_VERSION) {
+        return 'This file was made by a newer version of NY Store and cannot be imported.';
+    }
+    if (data.profile != null) {
+        if (!isObject(data.profile)) return 'profile must be an object.';
+        const error = validateTextFields(data.profile, ['name', 'address'], 'profile');
+        if (error) return error;
+    }
+    if (data.preferences != null) {
+        if (!isObject(data.preferences)) return 'preferences must be an object.';
+        if (data.preferences.rememberEmail != null && typeof data.preferences.rememberEmail !== 'boolean') {
+            return 'preferences.rememberEmail must be true or false.';
+        }
+    }
+
+    const productIds = products && new Set(products.map(p => p.id));
+
+    for (const section of ['cart', 'orders', 'wishlist', 'savedForLater']) {
+        if (data[section] != null && !Array.isArray(data[section])) return `${section} must be a list.`;
+    }
+
+    for (const section of ['cart', 'savedForLater']) {
+        for (const [i, item] of (data[section] || []).entries()) {
+            const error = validateItem(item, `${section}[${i}]`, { productIds });
+            if (error) return error;
+        }
+    }
+    for (const [i, item] of (data.wishlist || []).entries()) {
+        const error = validateItem(item, `wishlist[${i}]`, { qty: false, productIds });
+        if (error) return error;
+    }
+    for (const [i, order] of (data.orders || []).entries()) {
+        const error = validateOrder(order, `orders[${i}]`, productIds);
+        if (error) return error;
+    }
+
+    return null;
+}
+
+/* ============================================================================
+   PUBLIC API
+============================================================================ */
+
+/**
+ * Builds the export document for an account.
+ *
+ * @param {string} email
+ * @returns {Object|null} Document, or null if the user does not exist
+ */
+export function exportUserData(email) {
+    const user = getUsers().find(u => u.email === email);
+    if (!user) return null;
+
+    const { name = '', address = '' } = toPublicUser(user);
+
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        profile: { name, email, address },
+        cart: readCart(email),
+        orders: getOrders(email),
+        wishlist: readWishlist(email),
+        savedForLater: readSavedItems(email),
+        preferences: { rememberEmail: localStorage.getItem(REMEMBERED_EMAIL_KEY) === email }
+    };
+}
+
+/**
+ * Returns a download file name for an export, e.g. "nystore-data-2026-01-31.json".
+ *
+ * @param {Date} [date=new Date()]
+ * @returns {string}
+ */
+export function getExportFilename(date = new Date()) {
+    return `nystore-data-${date.toISOString().slice(0, 10)}.json`;
+}
+
+/**
+ * Parses and validates the text of an uploaded file.
+ *
+ * @param {string} text
+ * @param {Object} [options] - See validateUserData
+ * @returns {{ok: true, data: Object}|{ok: false, error: string}}
+ */
+export function parseUserData(text, options) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        return { ok: false, error: 'The file is not valid JSON.' };
+    }
+
+    const error = validateUserData(data, options);
+    return error ? { ok: false, error } : { ok: true, data };
+}
+
+/**
+ * Merges an export document into an account:
+ * - profile: fills in a name or address the account does not have yet
+ * - cart: adds items, summing quantities of products already there, capped
+ *   by each product's stock and per-order limits
+ * - saved for later: adds items, summing quantities
+ * - orders: adds orders whose id is not in the history yet
+ * - wishlist: adds products not in the wishlist yet
+ * - preferences: remembers the email on this browser if the file asks for it
+ *   and no other email is remembered
+ *
+ * @param {string} email - Account to import into
+ * @param {Object} data - Document (see exportUserData)
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.products] - Catalog; items must be among its
+ *        products, and their details and cart limits are read from them
+ * @returns {{ok: boolean, error?: string,
+ *            imported?: {profile: boolean, cart: number, orders: number, wishlist: number,
+ *                        savedForLater: number, preferences: boolean}}}
+ */
+export function importUserData(email, data, { products } = {}) {
+    const error = validateUserData(data, { products });
+    if (error) return { ok: false, error };
+
+    const users = getUsers();
+    const user = users.find(u => u.email === email);
+    if (!user) return { ok: false, error: 'Account not found.' };
+
+    // Profile
+    let profileChanged = false;
+    ['name', 'address'].forEach(field => {
+        if (!user[field] && data.profile?.[field]) {
+            user[field] = data.profile[field];
+            profileChanged = true;
+        }
+    });
+    if (profileChanged) {
+        saveUsers(users);
+        if (getSession()?.user.email === email) updateSessionUser(user);
+    }
+
+    // Cart (limits come from the catalog, never from the file)
+    const items = (data.cart || []).map(item => fromCatalog(item, products, ['qty'], ITEM_FIELDS));
+    const limit = item => getQuantityLimit(products?.find(p => p.id === item.id) || item).max;
+    const cart = mergeCartItems(readCart(email), items, { limit });
+    if (items.length) writeCart(email, cart);
+
+    // Orders
+    const existing = getOrders(email);
+    const known = new Set(existing.map(o => o.id));
+    const added = (data.orders || [])
+        .filter(order => !known.has(order.id))
+        .map(order => ({
+            ...pickFields(order, ORDER_FIELDS),
+            email,
+            items: order.items.map(item => pickFields(item))
+        }));
+
+    if (added.length) {
+        const orders = [...existing, ...added]
+            .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+        localStorage.setItem(getOrdersKey(email), JSON.stringify(orders));
+    }
+
+    // Wishlist and saved for later
+    const wishlist = mergeWishlistItems(email,
+        (data.wishlist || []).map(item => fromCatalog(item, products, ['addedAt'], WISHLIST_FIELDS)));
+    const saved = (data.savedForLater || []).map(item => fromCatalog(item, products, ['qty', 'savedAt'], SAVED_FIELDS));
+    if (saved.length) mergeSavedItems(email, saved);
+
+    // Preferences
+    const remember = data.preferences?.rememberEmail === true && !localStorage.getItem(REMEMBERED_EMAIL_KEY);
+    if (remember) localStorage.setItem(REMEMBERED_EMAIL_KEY, email);
+
+    return {
+        ok: true,
+        imported: {
+            profile: profileChanged,
+            cart: items.filter(item => cart.some(i => i.id === item.id)).length,
+            orders: added.length,
+            wishlist,
+            savedForLater: saved.length,
+            preferences: remember
+        }
+    };
+}
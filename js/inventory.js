@@ -0,0 +1,139 @@
+/* ============================================================================
+   INVENTORY
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Stock level of a product (catalog `stock` field, or the configured
+     `defaultProductStock` when the catalog has none)
+   - Max units per order (catalog `maxPerOrder`, or `defaultMaxPerOrder`)
+   - Capping cart quantities, with a message saying which limit was hit
+   - Re-checking a cart when fresh catalog data arrives
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { getConfig } from './config.js';
+
+/* ============================================================================
+   INTERNAL UTILITIES
+============================================================================ */
+
+/**
+ * Reads a whole-number catalog field, falling back when it is missing.
+ *
+ * @param {*} value
+ * @param {number} min - Smallest valid value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function wholeNumber(value, min, fallback) {
+    return Number.isInteger(value) && value >= min ? value : fallback;
+}
+
+/* ============================================================================
+   LIMITS
+============================================================================ */
+
+/**
+ * Returns how many units of a product are available.
+ * Works with catalog products and cart items (which copy product fields).
+ *
+ * @param {Object} product
+ * @returns {number}
+ */
+export function getStockLevel(product) {
+    return wholeNumber(product?.stock, 0, getConfig().defaultProductStock);
+}
+
+/**
+ * Returns the most units of a product allowed in one order.
+ *
+ * @param {Object} product
+ * @returns {number}
+ */
+export function getMaxPerOrder(product) {
+    return wholeNumber(product?.maxPerOrder, 1, getConfig().defaultMaxPerOrder);
+}
+
+/**
+ * Returns the largest quantity that may be in the cart, and which limit sets it.
+ *
+ * @param {Object} product
+ * @returns {{max: number, reason: 'stock'|'maxPerOrder'}}
+ */
+export function getQuantityLimit(product) {
+    const stock = getStockLevel(product);
+    const maxPerOrder = getMaxPerOrder(product);
+
+    return stock <= maxPerOrder
+        ? { max: stock, reason: 'stock' }
+        : { max: maxPerOrder, reason: 'maxPerOrder' };
+}
+
+/**
+ * Describes the limit on a product, e.g. for a hint under the quantity input.
+ *
+ * @param {Object} product
+ * @returns {string}
+ */
+export function describeQuantityLimit(product) {
+    const { max, reason } = getQuantityLimit(product);
+
+    if (max === 0) return `"${product.title}" is out of stock.`;
+    if (reason === 'stock') return `Only ${max} of "${product.title}" in stock.`;
+    return `You can order up to ${max} of "${product.title}" at a time.`;
+}
+
+/**
+ * Caps a requested quantity at the product's limit.
+ *
+ * @param {Object} product
+ * @param {number} qty - Requested quantity
+ * @returns {{qty: number, message: string|null}} Allowed quantity, and a message when it was capped
+ */
+export function clampQuantity(product, qty) {
+    const { max } = getQuantityLimit(product);
+    return qty > max
+        ? { qty: max, message: describeQuantityLimit(product) }
+        : { qty, message: null };
+}
+
+/* ============================================================================
+   CART RE-CHECK
+============================================================================ */
+
+/**
+ * Applies fresh catalog data to a cart: stock and per-order limits are
+ * updated and quantities above them are reduced (items out of stock are
+ * removed). Products missing from `products` are left as they are.
+ *
+ * @param {Array<Object>} cart
+ * @param {Array<Object>} products - Fresh catalog products
+ * @returns {{cart: Array<Object>, changed: boolean, messages: Array<string>}}
+ */
+export function reconcileCart(cart, products) {
+    let changed = false;
+    const messages = [];
+
+    const updated = cart
+        .map(item => {
+            const product = products.find(p => p.id === item.id);
+            if (!product) return item;
+
+            const next = { ...item, stock: product.stock, maxPerOrder: product.maxPerOrder };
+            if (next.stock !== item.stock || next.maxPerOrder !== item.maxPerOrder) changed = true;
+
+            const { max } = getQuantityLimit(next);
+            if (item.qty > max) {
+                changed = true;
+                next.qty = max;
+                messages.push(max === 0
+                    ? `"${item.title}" is now out of stock and was removed from your cart.`
+                    : `Only ${max} of "${item.title}" can be ordered now, so your cart was updated.`);
+            }
+            return next;
+        })
+        .filter(item => item.qty > 0);
+
+    return { cart: updated, changed, messages };
+}
@@ -0,0 +1,187 @@
+/* ============================================================================
+   LOGIN THROTTLE
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Counting failed logins per email (`fs_login_attempts`)
+   - Exponential backoff after repeated failures
+   - Temporary lockout once the configured threshold is reached
+   - Clearing the record on successful login or password reset
+
+   Attached to the login controller through its hooks (installLoginThrottle).
+   Unknown emails are throttled the same way, so lockouts do not reveal
+   which accounts exist.
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { DEFAULT_CONFIG, getConfig } from './config.js';
+import { onLogin, LOGIN_FAILURE } from './login.js';
+
+/* ============================================================================
+   CONSTANTS
+============================================================================ */
+
+/**
+ * localStorage key for failed-attempt records, keyed by email.
+ * @constant {string}
+ */
+export const LOGIN_ATTEMPTS_KEY = 'fs_login_attempts';
+
+/* ============================================================================
+   STORAGE
+============================================================================ */
+
+/** Detaches the hooks added by the last installLoginThrottle() call */
+let detachHooks = null;
+
+/**
+ * Returns the active throttle settings.
+ *
+ * @returns {Object}
+ */
+function getThrottleConfig() {
+    return { ...DEFAULT_CONFIG.loginThrottle, ...getConfig().loginThrottle };
+}
+
+/**
+ * Reads all attempt records.
+ *
+ * @returns {Object<string, {failures: number, retryAt: number, lockedUntil: number}>}
+ */
+function readAttempts() {
+    return JSON.parse(localStorage.getItem(LOGIN_ATTEMPTS_KEY) || '{}');
+}
+
+/**
+ * Writes all attempt records.
+ *
+ * @param {Object} attempts
+ */
+function writeAttempts(attempts) {
+    localStorage.setItem(LOGIN_ATTEMPTS_KEY, JSON.stringify(attempts));
+}
+
+/**
+ * Normalizes an email for use as a record key.
+ *
+ * @param {string} email
+ * @returns {string}
+ */
+function keyFor(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/* ============================================================================
+   PUBLIC API
+============================================================================ */
+
+/**
+ * Returns whether a login for this email may be attempted now.
+ *
+ * @param {string} email
+ * @returns {{allowed: boolean, locked: boolean, retryAt: number|null, failures: number, attemptsLeft: number}}
+ */
+export function getLoginStatus(email) {
+    const { lockoutThreshold } = getThrottleConfig();
+    const record = readAttempts()[keyFor(email)] || { failures: 0, retryAt: 0, lockedUntil: 0 };
+    const now = Date.now();
+
+    const locked = record.lockedUntil > now;
+    const waiting = record.retryAt > now;
+
+    return {
+        allowed: !locked && !waiting,
+        locked,
+        retryAt: locked ? record.lockedUntil : (waiting ? record.retryAt : null),
+        failures: record.failures,
+        attemptsLeft: Math.max(lockoutThreshold - record.failures, 0)
+    };
+}
+
+/**
+ * Records a failed login and applies backoff or lockout.
+ *
+ * @param {string} email
+ * @returns {Object} Updated status (see getLoginStatus)
+ */
+export function recordLoginFailure(email) {
+    const { freeAttempts, baseDelay, maxDelay, lockoutThreshold, lockoutDuration } = getThrottleConfig();
+    const attempts = readAttempts();
+    const key = keyFor(email);
+    const now = Date.now();
+
+    // A finished lockout starts a fresh count
+    const previous = attempts[key];
+    const expired = previous?.lockedUntil && previous.lockedUntil <= now;
+    const record = !previous || expired ? { failures: 0, retryAt: 0, lockedUntil: 0 } : previous;
+
+    record.failures += 1;
+
+    if (record.failures >= lockoutThreshold) {
+        record.lockedUntil = now + lockoutDuration;
+    } else if (record.failures >= freeAttempts) {
+        const delay = baseDelay * 2 ** (record.failures - freeAttempts);
+        record.retryAt = now + Math.min(delay, maxDelay);
+    }
+
+    attempts[key] = record;
+    writeAttempts(attempts);
+    return getLoginStatus(email);
+}
+
+/**
+ * Clears failed attempts and any lockout for an email.
+ *
+ * @param {string} email
+ */
+export function clearLoginAttempts(email) {
+    const attempts = readAttempts();
+    if (!(keyFor(email) in attempts)) return;
+
+    delete attempts[keyFor(email)];
+    writeAttempts(attempts);
+}
+
+/**
+ * Builds the message shown when a login is blocked.
+ *
+ * @param {Object} status - Result of getLoginStatus()
+ * @returns {string}
+ */
+export function describeLoginBlock(status) {
+    const seconds = Math.max(Math.ceil((status.retryAt - Date.now()) / 1000), 1);
+
+    if (status.locked) {
+        const minutes = Math.ceil(seconds / 60);
+        return `Too many failed attempts. This account is locked for ${minutes} minute${minutes === 1 ? '' : 's'}. Reset your password to unlock it now.`;
+    }
+    return `Too many failed attempts. Please wait ${seconds} second${seconds === 1 ? '' : 's'} before trying again.`;
+}
+
+/**
+ * Connects the throttle to the login controller. Calling it again replaces
+ * the earlier hooks rather than adding a second set.
+ *
+ * @returns {Function} Call to detach it again
+ */
+export function installLoginThrottle() {
+    detachHooks?.();
+
+    const detach = [
+        onLogin('beforeLogin', ({ email }) => {
+            const status = getLoginStatus(email);
+            if (!status.allowed) throw new Error(describeLoginBlock(status));
+        }),
+        onLogin('loginFailed', ({ email, reason }) => {
+            if (reason === LOGIN_FAILURE.INVALID_CREDENTIALS) recordLoginFailure(email);
+        }),
+        onLogin('afterLogin', ({ user }) => clearLoginAttempts(user.email))
+    ];
+
+    detachHooks = () => {
+        detach.forEach(fn => fn());
+        detachHooks = null;
+    };
+    return detachHooks;
+}
@@ -0,0 +1,176 @@
+/* ============================================================================
+   LOGIN CONTROLLER
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - The single login flow: validate → authenticate → start session
+   - Starting the session after registration through the same path
+   - "Remember Me" email handling
+   - Restoring accounts deleted within their restore window
+   - Hooks that other features attach to:
+     - beforeLogin({ email, remember })        throw an Error to cancel
+     - afterLogin({ user, remember, notes })   push messages for the user to `notes`
+     - loginFailed({ email, reason, error })
+
+   The login page form is bound in password.js (initLoginPage); this module
+   has no DOM access.
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { authenticate, restoreUser } from './credentials.js';
+import { createSession } from './session.js';
+
+/* ============================================================================
+   CONSTANTS
+============================================================================ */
+
+/**
+ * Reasons a login can fail, passed to `loginFailed` hooks.
+ * @constant {Object<string, string>}
+ */
+export const LOGIN_FAILURE = Object.freeze({
+    MISSING_FIELDS: 'missing_fields',
+    INVALID_EMAIL: 'invalid_email',
+    CANCELLED: 'cancelled',               // a beforeLogin hook threw
+    INVALID_CREDENTIALS: 'invalid_credentials'
+});
+
+/**
+ * localStorage key for the email prefilled on the login form.
+ * @constant {string}
+ */
+export const REMEMBERED_EMAIL_KEY = 'rememberedEmail';
+
+/* ============================================================================
+   HOOKS
+============================================================================ */
+
+/** Registered hook handlers, keyed by hook name */
+const hooks = {
+    beforeLogin: [],
+    afterLogin: [],
+    loginFailed: []
+};
+
+/**
+ * Registers a login hook.
+ *
+ * @param {'beforeLogin'|'afterLogin'|'loginFailed'} name
+ * @param {Function} handler - May be async
+ * @returns {Function} Call to remove the handler
+ */
+export function onLogin(name, handler) {
+    if (!hooks[name]) throw new Error(`Unknown login hook "${name}"`);
+
+    hooks[name].push(handler);
+    return () => {
+        hooks[name] = hooks[name].filter(h => h !== handler);
+    };
+}
+
+/**
+ * Removes every registered hook (used by tests).
+ */
+export function clearLoginHooks() {
+    Object.keys(hooks).forEach(name => {
+        hooks[name] = [];
+    });
+}
+
+/**
+ * Runs all handlers of a hook in registration order.
+ *
+ * @param {string} name
+ * @param {Object} payload
+ */
+async function runHooks(name, payload) {
+    for (const handler of hooks[name]) {
+        await handler(payload);
+    }
+}
+
+/* ============================================================================
+   REMEMBERED EMAIL
+============================================================================ */
+
+/**
+ * Returns the email saved by "Remember Me".
+ *
+ * @returns {string|null}
+ */
+export function getRememberedEmail() {
+    return localStorage.getItem(REMEMBERED_EMAIL_KEY);
+}
+
+/* ============================================================================
+   LOGIN
+============================================================================ */
+
+/**
+ * Starts the session of a user whose identity is established (after login
+ * or registration), saves the "Remember Me" choice and runs the afterLogin
+ * hooks.
+ *
+ * @param {Object} user - Public user
+ * @param {Object} [options]
+ * @param {boolean} [options.remember=false] - Persist the session and remember the email
+ * @returns {Promise<Array<string>>} Messages from the hooks, e.g. about a merged guest cart
+ */
+export async function completeLogin(user, { remember = false } = {}) {
+    createSession(user, { remember });
+
+    if (remember) {
+        localStorage.setItem(REMEMBERED_EMAIL_KEY, user.email);
+    } else {
+        localStorage.removeItem(REMEMBERED_EMAIL_KEY);
+    }
+
+    const notes = [];
+    await runHooks('afterLogin', { user, remember, notes });
+    return notes;
+}
+
+/**
+ * Logs a user in. Logging in to an account deleted within its restore
+ * window restores it.
+ *
+ * @param {Object} params
+ * @param {string} params.email
+ * @param {string} params.password
+ * @param {boolean} [params.remember=false] - Persist the session and remember the email
+ * @returns {Promise<{ok: true, user: Object, restored: boolean, notes: Array<string>}|
+ *                   {ok: false, reason: string, error: string}>} `notes` come from the afterLogin hooks
+ */
+export async function login({ email, password, remember = false }) {
+    email = email?.trim() || '';
+    password = password?.trim() || '';
+
+    const fail = async (reason, error) => {
+        await runHooks('loginFailed', { email, reason, error });
+        return { ok: false, reason, error };
+    };
+
+    if (!email || !password) {
+        return fail(LOGIN_FAILURE.MISSING_FIELDS, 'Please fill in both fields.');
+    }
+
+    if (!/\S+@\S+\.\S+/.test(email)) {
+        return fail(LOGIN_FAILURE.INVALID_EMAIL, 'Please enter a valid email address.');
+    }
+
+    try {
+        await runHooks('beforeLogin', { email, remember });
+    } catch (error) {
+        return fail(LOGIN_FAILURE.CANCELLED, error.message);
+    }
+
+    const user = await authenticate(email, password);
+    if (!user) {
+        return fail(LOGIN_FAILURE.INVALID_CREDENTIALS, 'Invalid email or password.');
+    }
+
+    const restored = restoreUser(email);
+    const notes = await completeLogin(user, { remember });
+    return { ok: true, user, restored, notes };
+}
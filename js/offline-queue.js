@@ -0,0 +1,140 @@
+/* ============================================================================
+   OFFLINE ACTION QUEUE
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Persisting actions taken while offline (e.g. placing an order)
+   - Replaying them through registered handlers when the connection returns
+
+   Queued actions are stored in localStorage as:
+   { id, type, payload, queuedAt }
+============================================================================ */
+
+/* ============================================================================
+   CONSTANTS
+============================================================================ */
+
+/**
+ * localStorage key holding the pending action list.
+ * @constant {string}
+ */
+export const QUEUE_KEY = 'fs_offline_queue';
+
+/* ============================================================================
+   QUEUE STORAGE
+============================================================================ */
+
+/**
+ * Returns the pending actions, oldest first.
+ *
+ * @returns {Array<Object>}
+ */
+export function getQueuedActions() {
+    return JSON.parse(localStorage.getItem(QUEUE_KEY) || '[]');
+}
+
+/**
+ * Persists the pending action list.
+ *
+ * @param {Array<Object>} actions
+ */
+function saveQueue(actions) {
+    localStorage.setItem(QUEUE_KEY, JSON.stringify(actions));
+}
+
+/**
+ * Adds an action to the end of the queue.
+ *
+ * @param {string} type - Handler name (see registerActionHandler)
+ * @param {*} payload - JSON-serializable data for the handler
+ * @returns {Object} The queued action
+ */
+export function enqueueAction(type, payload) {
+    const action = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        type,
+        payload,
+        queuedAt: new Date().toISOString()
+    };
+    saveQueue([...getQueuedActions(), action]);
+    return action;
+}
+
+/**
+ * Rewrites queued actions, e.g. the orders of a user who changed their email.
+ *
+ * @param {Function} update - Receives each action and returns it, changed or not
+ */
+export function updateQueuedActions(update) {
+    saveQueue(getQueuedActions().map(update));
+}
+
+/**
+ * Drops queued actions without replaying them, e.g. a deleted user's orders.
+ *
+ * @param {Function} predicate - Receives each action; true removes it
+ * @returns {number} Number of actions removed
+ */
+export function removeQueuedActions(predicate) {
+    const actions = getQueuedActions();
+    const remaining = actions.filter(action => !predicate(action));
+    if (remaining.length < actions.length) saveQueue(remaining);
+    return actions.length - remaining.length;
+}
+
+/* ============================================================================
+   REPLAY
+============================================================================ */
+
+/**
+ * Replay handlers, keyed by action type.
+ * @type {Map<string, Function>}
+ */
+const handlers = new Map();
+
+/**
+ * Registers the function that replays actions of a given type.
+ * The handler receives the payload and may return a Promise.
+ *
+ * @param {string} type
+ * @param {Function} handler
+ */
+export function registerActionHandler(type, handler) {
+    handlers.set(type, handler);
+}
+
+/**
+ * Replays queued actions in order. Actions that succeed are removed;
+ * the first failure stops the replay so ordering is preserved.
+ * Actions without a registered handler stay queued.
+ *
+ * @returns {Promise<{replayed: number, remaining: number}>}
+ */
+export async function flushQueue() {
+    let replayed = 0;
+
+    for (const action of getQueuedActions()) {
+        const handler = handlers.get(action.type);
+        if (!handler) continue;
+
+        try {
+            await handler(action.payload, action);
+        } catch (error) {
+            console.warn(`Replay of queued "${action.type}" failed:`, error);
+            break;
+        }
+
+        saveQueue(getQueuedActions().filter(a => a.id !== action.id));
+        replayed++;
+    }
+
+    return { replayed, remaining: getQueuedActions().length };
+}
+
+/**
+ * Checks whether the browser currently reports a network connection.
+ *
+ * @returns {boolean}
+ */
+export function isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
@@ -0,0 +1,155 @@
+/* ============================================================================
+   ORDERS MODULE
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Building order records from a cart (line items with a price snapshot)
+   - Per-user order persistence (`fs_orders_<email>`, mirroring cart keys)
+   - Order lookup and status updates
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { calculateTotals } from './pricing.js';
+
+/* ============================================================================
+   CONSTANTS
+============================================================================ */
+
+/**
+ * Order lifecycle states.
+ * @constant {Object<string, string>}
+ */
+export const ORDER_STATUS = Object.freeze({
+    PENDING: 'pending',   // queued while offline, not yet submitted
+    PLACED: 'placed'
+});
+
+/* ============================================================================
+   STORAGE
+============================================================================ */
+
+/**
+ * Returns the storage key for a user's orders.
+ *
+ * @param {string} email
+ * @returns {string}
+ */
+export function getOrdersKey(email) {
+    return `fs_orders_${email}`;
+}
+
+/**
+ * Returns a user's orders, newest first.
+ *
+ * @param {string} email
+ * @returns {Array<Object>}
+ */
+export function getOrders(email) {
+    return JSON.parse(localStorage.getItem(getOrdersKey(email)) || '[]');
+}
+
+/**
+ * Finds a single order by id.
+ *
+ * @param {string} email
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getOrder(email, id) {
+    return getOrders(email).find(order => order.id === id) || null;
+}
+
+/**
+ * Stores a new order at the top of the user's history.
+ *
+ * @param {Object} order
+ * @returns {Object} The saved order
+ */
+export function saveOrder(order) {
+    const orders = getOrders(order.email).filter(o => o.id !== order.id);
+    localStorage.setItem(getOrdersKey(order.email), JSON.stringify([order, ...orders]));
+    return order;
+}
+
+/**
+ * Changes the status of an existing order.
+ *
+ * @param {string} email
+ * @param {string} id
+ * @param {string} status - One of ORDER_STATUS
+ * @returns {Object|null} Updated order, or null if not found
+ */
+export function updateOrderStatus(email, id, status) {
+    const orders = getOrders(email);
+    const order = orders.find(o => o.id === id);
+    if (!order) return null;
+
+    order.status = status;
+    localStorage.setItem(getOrdersKey(email), JSON.stringify(orders));
+    return order;
+}
+
+/* ============================================================================
+   ORDER CREATION
+============================================================================ */
+
+/**
+ * Generates a short, human-readable order id.
+ *
+ * @returns {string}
+ */
+function generateOrderId() {
+    const random = Math.random().toString(36).slice(2, 6);
+    return `ORD-${Date.now().toString(36)}${random}`.toUpperCase();
+}
+
+/**
+ * Builds an order record from the cart.
+ * Line items keep only the fields needed to display the order later,
+ * with the price captured at the time of purchase. Shipping and tax are
+ * worked out by the pricing module from the delivery method and address.
+ *
+ * @param {Object} params
+ * @param {string} params.email - Customer email
+ * @param {Array<Object>} params.items - Cart items
+ * @param {Object|string} params.shippingAddress - Address fields (or legacy text)
+ * @param {Object} [params.delivery=null] - Delivery option `{ id, label }`
+ * @param {Object} [params.payment=null] - Payment summary, e.g. `{ method, last4 }`
+ * @param {Object} [params.coupon=null] - Applied promo `{ code, discount, freeShipping }`
+ * @param {string} [params.status=ORDER_STATUS.PLACED]
+ * @returns {Object} Order record
+ */
+export function createOrder({
+    email,
+    items,
+    shippingAddress,
+    delivery = null,
+    payment = null,
+    coupon = null,
+    status = ORDER_STATUS.PLACED
+}) {
+    const lineItems = items.map(({ id, title, image, category, price, qty }) => ({
+        id, title, image, category, price, qty
+    }));
+
+    const { subtotal, discount, shipping, tax, total } = calculateTotals({
+        items,
+        deliveryId: delivery?.id,
+        address: shippingAddress,
+        coupon
+    });
+
+    return {
+        id: generateOrderId(),
+        email,
+        items: lineItems,
+        totals: { subtotal, discount, shipping, tax, total },
+        shippingAddress,
+        delivery: delivery && { id: delivery.id, label: delivery.label, cost: shipping },
+        payment,
+        coupon: coupon?.code || null,
+        createdAt: new Date().toISOString(),
+        status
+    };
+}
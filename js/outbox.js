@@ -0,0 +1,62 @@
+/* ============================================================================
+   OUTBOX MODULE
+   ----------------------------------------------------------------------------
+   Stands in for an email service: messages are stored in localStorage and
+   shown on outbox.html instead of being delivered.
+============================================================================ */
+
+/**
+ * localStorage key for sent messages.
+ * @constant {string}
+ */
+export const OUTBOX_KEY = 'fs_outbox';
+
+/** Oldest messages are dropped beyond this many */
+const MAX_MESSAGES = 50;
+
+/**
+ * Returns sent messages, newest first, optionally only those for one address.
+ *
+ * @param {string} [to]
+ * @returns {Array<Object>}
+ */
+export function getOutbox(to) {
+    const messages = JSON.parse(localStorage.getItem(OUTBOX_KEY) || '[]');
+    return to ? messages.filter(m => m.to === to) : messages;
+}
+
+/**
+ * "Sends" an email by adding it to the outbox.
+ *
+ * @param {Object} message
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} message.body - Plain text
+ * @param {string} [message.link] - Call-to-action URL
+ * @returns {Object} Stored message
+ */
+export function sendMail({ to, subject, body, link = null }) {
+    const message = {
+        id: `MSG-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`.toUpperCase(),
+        to,
+        subject,
+        body,
+        link,
+        sentAt: new Date().toISOString()
+    };
+
+    const messages = [message, ...getOutbox()].slice(0, MAX_MESSAGES);
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify(messages));
+    return message;
+}
+
+/**
+ * Deletes all messages, or only those sent to one address.
+ *
+ * @param {string} [to]
+ */
+export function clearOutbox(to) {
+    if (!to) return localStorage.removeItem(OUTBOX_KEY);
+
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify(getOutbox().filter(m => m.to !== to)));
+}
@@ -0,0 +1,75 @@
+/* ============================================================================
+   PASSWORD STRENGTH METER
+   ----------------------------------------------------------------------------
+   Live strength bar and requirement checklist under a password input.
+   Used by the register, reset-password and change-password forms.
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { checkPassword } from './password-policy.js';
+
+/* ============================================================================
+   CONSTANTS
+============================================================================ */
+
+/**
+ * Bootstrap background class per strength score (0–4).
+ * @constant {Array<string>}
+ */
+const SCORE_CLASSES = ['bg-danger', 'bg-danger', 'bg-warning', 'bg-info', 'bg-success'];
+
+/* ============================================================================
+   PUBLIC API
+============================================================================ */
+
+/**
+ * Adds a strength meter below a password input and keeps it updated as the
+ * user types.
+ *
+ * @param {HTMLInputElement} input
+ * @param {Function} [getContext] - Returns `{ email, name }` for the account
+ * @returns {HTMLElement|null} Meter element
+ */
+export function attachPasswordMeter(input, getContext = () => ({})) {
+    if (!input) return null;
+
+    const meter = document.createElement('div');
+    meter.className = 'password-meter mt-2';
+    meter.setAttribute('aria-live', 'polite');
+    input.insertAdjacentElement('afterend', meter);
+
+    const render = () => {
+        const password = input.value;
+        const result = checkPassword(password, getContext());
+        const width = password ? Math.max(result.score, 1) * 25 : 0;
+
+        // Rules that are not requirements (blocklist, email/name) show as extra lines
+        const otherErrors = result.errors.slice(result.requirements.filter(r => !r.met).length);
+
+        meter.innerHTML = `
+            <div class="progress" style="height: 6px;">
+                <div class="progress-bar ${SCORE_CLASSES[result.score]}" role="progressbar"
+                     style="width: ${width}%" aria-valuenow="${result.score}" aria-valuemin="0" aria-valuemax="4"></div>
+            </div>
+            <small class="password-strength d-block mt-1 ${password ? '' : 'd-none'}">
+                Strength: <strong>${result.strength}</strong>
+            </small>
+            <ul class="password-requirements list-unstyled small mb-0 mt-1">
+                ${result.requirements.map(req => `
+                    <li class="${req.met ? 'text-success' : 'text-muted'}" data-requirement="${req.id}">
+                        <i class="bi ${req.met ? 'bi-check-circle-fill' : 'bi-circle'} me-1"></i>${req.label}
+                    </li>
+                `).join('')}
+                ${password ? otherErrors.map(error => `
+                    <li class="text-danger"><i class="bi bi-x-circle-fill me-1"></i>${error}</li>
+                `).join('') : ''}
+            </ul>
+        `;
+    };
+
+    input.addEventListener('input', render);
+    render();
+    return meter;
+}
@@ -0,0 +1,153 @@
+/* ============================================================================
+   PASSWORD POLICY
+   ----------------------------------------------------------------------------
+   One set of password rules for every form that sets a password
+   (registration, password reset, change password):
+   - Minimum length and required character classes (configurable)
+   - Bundled common/breached password blocklist
+   - Must not match the account's email or name
+   - Strength score for the live meter (see password-meter.js)
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { DEFAULT_CONFIG, getConfig } from './config.js';
+import { COMMON_PASSWORDS } from './common-passwords.js';
+
+/* ============================================================================
+   CONSTANTS
+============================================================================ */
+
+/**
+ * Strength levels, indexed by score (0–4).
+ * @constant {Array<string>}
+ */
+export const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+/** Blocklist as a set for fast lookups */
+const COMMON_PASSWORD_SET = new Set(COMMON_PASSWORDS);
+
+/**
+ * Character-class rules: config flag, requirement text, and test.
+ * @constant {Array<{id: string, flag: string, label: string, test: RegExp}>}
+ */
+const CHARACTER_RULES = [
+    { id: 'lowercase', flag: 'requireLowercase', label: 'A lowercase letter', test: /[a-z]/ },
+    { id: 'uppercase', flag: 'requireUppercase', label: 'An uppercase letter', test: /[A-Z]/ },
+    { id: 'digit', flag: 'requireDigit', label: 'A number', test: /\d/ },
+    { id: 'symbol', flag: 'requireSymbol', label: 'A symbol (e.g. ! @ #)', test: /[^A-Za-z0-9]/ }
+];
+
+/* ============================================================================
+   POLICY
+============================================================================ */
+
+/**
+ * Returns the active policy (defaults merged with `passwordPolicy` overrides).
+ *
+ * @returns {Object}
+ */
+export function getPasswordPolicy() {
+    return { ...DEFAULT_CONFIG.passwordPolicy, ...getConfig().passwordPolicy };
+}
+
+/**
+ * Checks whether a password is the user's email, its name part, or their name.
+ *
+ * @param {string} password
+ * @param {Object} context
+ * @param {string} [context.email]
+ * @param {string} [context.name]
+ * @returns {boolean}
+ */
+function matchesPersonalInfo(password, { email = '', name = '' }) {
+    const value = password.toLowerCase();
+    const candidates = [
+        email,
+        email.split('@')[0],
+        name,
+        name.replace(/\s+/g, '')
+    ].map(c => c.trim().toLowerCase()).filter(Boolean);
+
+    return candidates.includes(value);
+}
+
+/**
+ * Scores a password from 0 (very weak) to 4 (strong).
+ *
+ * @param {string} password
+ * @returns {number}
+ */
+function scorePassword(password) {
+    if (!password) return 0;
+
+    const classes = CHARACTER_RULES.filter(rule => rule.test.test(password)).length;
+    let score = 0;
+    if (password.length >= 8) score++;
+    if (password.length >= 12) score++;
+    if (classes >= 2) score++;
+    if (classes >= 3) score++;
+    if (/(.)\1{2,}/.test(password)) score--;   // "aaa", "111"
+
+    return Math.max(0, Math.min(4, score));
+}
+
+/* ============================================================================
+   PUBLIC API
+============================================================================ */
+
+/**
+ * Checks a password against the policy.
+ *
+ * @param {string} password
+ * @param {Object} [context] - Account details the password must not match
+ * @param {string} [context.email]
+ * @param {string} [context.name]
+ * @returns {{valid: boolean, errors: Array<string>,
+ *            requirements: Array<{id: string, label: string, met: boolean}>,
+ *            score: number, strength: string}}
+ */
+export function checkPassword(password = '', context = {}) {
+    const policy = getPasswordPolicy();
+
+    const requirements = [
+        { id: 'length', label: `At least ${policy.minLength} characters`, met: password.length >= policy.minLength },
+        ...CHARACTER_RULES
+            .filter(rule => policy[rule.flag])
+            .map(rule => ({ id: rule.id, label: rule.label, met: rule.test.test(password) }))
+    ];
+
+    const errors = requirements
+        .filter(req => !req.met)
+        .map(req => (req.id === 'length'
+            ? `Password must be at least ${policy.minLength} characters.`
+            : `Password must include ${req.label.toLowerCase()}.`));
+
+    const isCommon = policy.blockCommon && COMMON_PASSWORD_SET.has(password.toLowerCase());
+    if (isCommon) errors.push('This password is too common.');
+
+    const isPersonal = policy.blockPersonalInfo && matchesPersonalInfo(password, context);
+    if (isPersonal) errors.push('Password must not be your email or name.');
+
+    const score = isCommon || isPersonal ? 0 : scorePassword(password);
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        requirements,
+        score,
+        strength: STRENGTH_LABELS[score]
+    };
+}
+
+/**
+ * Checks a new password against the policy.
+ *
+ * @param {string} password
+ * @param {Object} [context] - `{ email, name }` of the account
+ * @returns {string|null} First error message, or null if the password is acceptable
+ */
+export function validatePassword(password = '', context = {}) {
+    return checkPassword(password, context).errors[0] || null;
+}
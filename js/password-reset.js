@@ -0,0 +1,141 @@
+/* ============================================================================
+   PASSWORD RESET MODULE
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Issuing random, single-use, time-limited reset tokens
+   - "Emailing" the reset link through the local outbox
+   - Checking tokens and setting the new password
+   - Unlocking accounts locked by failed logins (see login-throttle.js)
+
+   Only a SHA-256 hash of the token is stored, on the user record
+   (`passwordReset: { tokenHash, expiresAt }`); a new request replaces it.
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { getConfig } from './config.js';
+import { getUsers, saveUsers, setPassword } from './credentials.js';
+import { validatePassword } from './password-policy.js';
+import { sendMail } from './outbox.js';
+import { clearLoginAttempts } from './login-throttle.js';
+
+/* ============================================================================
+   INTERNAL UTILITIES
+============================================================================ */
+
+/**
+ * Encodes bytes as lowercase hex.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Generates a random 256-bit token.
+ *
+ * @returns {string}
+ */
+function generateToken() {
+    return toHex(globalThis.crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/**
+ * Hashes a token for storage.
+ *
+ * @param {string} token
+ * @returns {Promise<string>}
+ */
+async function hashToken(token) {
+    const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+    return toHex(new Uint8Array(digest));
+}
+
+/**
+ * Finds the user holding an unexpired reset token.
+ *
+ * @param {Array<Object>} users
+ * @param {string} token
+ * @returns {Promise<Object|null>}
+ */
+async function findUserByToken(users, token) {
+    if (!/^[0-9a-f]{64}$/.test(token || '')) return null;
+
+    const tokenHash = await hashToken(token);
+    const user = users.find(u => u.passwordReset?.tokenHash === tokenHash);
+    if (!user || Date.now() >= user.passwordReset.expiresAt) return null;
+
+    return user;
+}
+
+/* ============================================================================
+   PUBLIC API
+============================================================================ */
+
+/**
+ * Starts a password reset: stores a new token and sends the link.
+ * Callers should show the same message whether or not the account exists.
+ *
+ * @param {string} email
+ * @param {Object} [options]
+ * @param {string} [options.resetUrl='reset-password.html'] - Page that accepts `?token=`
+ * @returns {Promise<boolean>} true if a link was sent
+ */
+export async function requestPasswordReset(email, { resetUrl = 'reset-password.html' } = {}) {
+    const users = getUsers();
+    const user = users.find(u => u.email === email);
+    if (!user) return false;
+
+    const token = generateToken();
+    const ttl = getConfig().resetTokenTtl;
+
+    user.passwordReset = { tokenHash: await hashToken(token), expiresAt: Date.now() + ttl };
+    saveUsers(users);
+
+    const link = `${resetUrl}?token=${token}`;
+    sendMail({
+        to: email,
+        subject: 'Reset your NY Store password',
+        body: `We received a request to reset your password. The link below works once and expires in ${Math.round(ttl / 60000)} minutes. If you did not ask for this, you can ignore this email.`,
+        link
+    });
+
+    return true;
+}
+
+/**
+ * Returns the email a reset token belongs to, if it is still valid.
+ *
+ * @param {string} token
+ * @returns {Promise<string|null>}
+ */
+export async function verifyResetToken(token) {
+    return (await findUserByToken(getUsers(), token))?.email || null;
+}
+
+/**
+ * Sets a new password using a reset token. The token is used up, every
+ * existing session of the user ends, and any login lockout is lifted.
+ *
+ * @param {string} token
+ * @param {string} password
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+export async function resetPassword(token, password) {
+    const users = getUsers();
+    const user = await findUserByToken(users, token);
+    if (!user) return { ok: false, error: 'This reset link is invalid or has expired.' };
+
+    const policyError = validatePassword(password, { email: user.email, name: user.name });
+    if (policyError) return { ok: false, error: policyError };
+
+    delete user.passwordReset;
+    saveUsers(users);
+    await setPassword(user.email, password);
+    clearLoginAttempts(user.email);
+
+    return { ok: true };
+}
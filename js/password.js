@@ -2,9 +2,10 @@
    AUTH PAGES CONTROLLER (Login & Password Reset)
    ---------------------------------------------------------------------------
    Handles:
-   - Login flow
-   - Forgot password flow (demo)
-   - Password reset flow
+   - Login flow (with failed-attempt throttling)
+   - Forgot password flow (reset link sent to the local outbox)
+   - Password reset flow (token-based)
+   - Outbox page
    - Local/session storage utilities
 ============================================================================ */
 
@@ -12,6 +13,14 @@
    IMPORTS
 ============================================================================ */
 import { navigateTo } from './auth.js';
+import { getSession } from './session.js';
+import { login, getRememberedEmail, LOGIN_FAILURE } from './login.js';
+import { installLoginThrottle, getLoginStatus, describeLoginBlock } from './login-throttle.js';
+import { requestPasswordReset, verifyResetToken, resetPassword } from './password-reset.js';
+import { getOutbox } from './outbox.js';
+import { attachPasswordMeter } from './password-meter.js';
+import { installGuestCartMerge } from './cart-store.js';
+import { installGuestWishlistMerge } from './wishlist.js';
 
 /* ============================================================================
    PUBLIC API
@@ -29,6 +38,7 @@ export function setupAuth() {
 
     if (page === 'login') initLoginPage();
     if (page === 'reset-password') initResetPasswordPage();
+    if (page === 'outbox') initOutboxPage();
 }
 
 /* ============================================================================
@@ -76,10 +86,47 @@ export function showMessage(container, type, text) {
    LOGIN PAGE LOGIC
 ============================================================================ */
 
+/**
+ * Redirect delay after a successful login, in ms.
+ * @constant {number}
+ */
+const LOGIN_REDIRECT_DELAY = 1000;
+
+/**
+ * Remaining attempts at which the login form starts warning about a lockout.
+ * @constant {number}
+ */
+const LOCKOUT_WARNING_AT = 3;
+
+/**
+ * Builds the error shown after a failed login, adding lockout details.
+ *
+ * @param {Object} result - Failed result from login()
+ * @param {string} email
+ * @returns {string} HTML message
+ */
+function describeLoginFailure(result, email) {
+    const status = getLoginStatus(email);
+
+    if (status.locked) {
+        return `${describeLoginBlock(status)}
+            <a href="#" class="alert-link" data-action="unlock">Reset password</a>`;
+    }
+
+    if (result.reason === LOGIN_FAILURE.INVALID_CREDENTIALS && status.attemptsLeft <= LOCKOUT_WARNING_AT) {
+        const left = status.attemptsLeft;
+        return `${result.error} ${left} attempt${left === 1 ? '' : 's'} left before this account is locked.`;
+    }
+
+    return result.error;
+}
+
 /**
  * Initializes login page functionality:
- * - Login form submission
- * - Remember-me behavior
+ * - Login form submission (through the login controller in login.js)
+ * - Failed-attempt backoff and lockout messages
+ * - Guest cart merge after login
+ * - Remember-me prefill
  * - Forgot password flow
  */
 export function initLoginPage() {
@@ -96,6 +143,10 @@ export function initLoginPage() {
 
     if (!loginForm) return;
 
+    installLoginThrottle();
+    installGuestCartMerge();
+    installGuestWishlistMerge();
+
     /* ------------------------------------
        Forgot Password Message Container
     ------------------------------------ */
@@ -105,15 +156,14 @@ export function initLoginPage() {
     forgotForm?.prepend(forgotMsg);
 
     /* ------------------------------------
-       Prefill Email (Local or Session)
+       Prefill Remembered Email (or Active Session)
     ------------------------------------ */
-    const savedLocal = readLS('activeUser', 'null');
-    const savedSession = JSON.parse(sessionStorage.getItem('activeUser') || 'null');
-    const prefillUser = savedLocal || savedSession;
+    const rememberedEmail = getRememberedEmail();
+    const session = getSession();
 
-    if (prefillUser) {
-        emailInput.value = prefillUser.email || '';
-        rememberCheckbox.checked = Boolean(savedLocal);
+    if (rememberedEmail || session) {
+        emailInput.value = rememberedEmail || session.user.email || '';
+        rememberCheckbox.checked = Boolean(rememberedEmail) || session.remember;
     }
 
     /* ------------------------------------
@@ -126,6 +176,16 @@ export function initLoginPage() {
         forgotMsg.innerHTML = '';
     });
 
+    // "Reset password" link in the lockout message opens the same form
+    msg.addEventListener('click', (e) => {
+        if (!e.target.closest('[data-action="unlock"]')) return;
+        e.preventDefault();
+
+        const resetEmail = document.getElementById('reset-email');
+        if (resetEmail) resetEmail.value = emailInput.value.trim();
+        forgotLink?.click();
+    });
+
     backBtn?.addEventListener('click', () => {
         forgotForm?.classList.add('d-none');
         loginForm.classList.remove('d-none');
@@ -133,9 +193,9 @@ export function initLoginPage() {
     });
 
     /* ------------------------------------
-       Forgot Password Action (Demo)
+       Forgot Password Action
     ------------------------------------ */
-    resetBtn?.addEventListener('click', () => {
+    resetBtn?.addEventListener('click', async () => {
         const email = document.getElementById('reset-email')?.value.trim();
         forgotMsg.innerHTML = '';
 
@@ -143,59 +203,45 @@ export function initLoginPage() {
             return showMessage(forgotMsg, 'danger', 'Please enter your email address.');
         }
 
-        const users = readLS('users', []);
-        const userExists = users.find(u => u.email === email);
+        resetBtn.disabled = true;
+        await requestPasswordReset(email);
+        resetBtn.disabled = false;
 
-        if (!userExists) {
-            return showMessage(forgotMsg, 'danger', 'No user found with that email.');
-        }
-
-        forgotMsg.innerHTML = `
-            <div class="alert alert-success py-2">
-                A reset link has been generated.<br>
-                <strong>Demo only — click below:</strong>
-                <div class="mt-3">
-                    <a href="reset-password.html?email=${encodeURIComponent(email)}"
-                       class="btn btn-warning">
-                        Reset Your Password
-                    </a>
-                </div>
-            </div>
-        `;
+        // Same answer whether or not the account exists
+        showMessage(forgotMsg, 'success', `
+            If an account exists for that email, a reset link is on its way.<br>
+            <strong>Demo:</strong> emails are kept in the
+            <a href="outbox.html" class="alert-link">local outbox</a>.
+        `);
     });
 
     /* ------------------------------------
        Login Submission
     ------------------------------------ */
-    loginForm.addEventListener('submit', (e) => {
+    loginForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         msg.innerHTML = '';
 
-        const email = emailInput.value.trim();
-        const password = passInput.value.trim();
-        const rememberMe = rememberCheckbox.checked;
-
-        if (!email || !password) {
-            return showMessage(msg, 'danger', 'Please fill in both fields.');
-        }
+        const submitBtn = loginForm.querySelector('[type="submit"]');
+        if (submitBtn) submitBtn.disabled = true;
 
-        const users = readLS('users', []);
-        const user = users.find(u => u.email === email && u.password === password);
+        const result = await login({
+            email: emailInput.value,
+            password: passInput.value,
+            remember: rememberCheckbox.checked
+        });
 
-        if (!user) {
-            return showMessage(msg, 'danger', 'Invalid email or password.');
+        if (!result.ok) {
+            if (submitBtn) submitBtn.disabled = false;
+            return showMessage(msg, 'danger', describeLoginFailure(result, emailInput.value.trim()));
         }
 
-        if (rememberMe) {
-            writeLS('activeUser', user);
-            sessionStorage.removeItem('activeUser');
-        } else {
-            sessionStorage.setItem('activeUser', JSON.stringify(user));
-            localStorage.removeItem('activeUser');
-        }
+        const greeting = result.restored
+            ? 'Welcome back! Your account has been restored.'
+            : 'Login successful!';
 
-        showMessage(msg, 'success', 'Login successful! Redirecting...');
-        setTimeout(() => navigateTo('index.html'), 1000);
+        showMessage(msg, 'success', [greeting, ...result.notes, 'Redirecting...'].join(' '));
+        setTimeout(() => navigateTo('index.html'), result.notes.length ? LOGIN_REDIRECT_DELAY * 3 : LOGIN_REDIRECT_DELAY);
     });
 }
 
@@ -205,23 +251,25 @@ export function initLoginPage() {
 
 /**
  * Initializes reset-password page functionality.
- * Handles password validation and updates user credentials.
+ * Accepts only a valid reset token (`?token=`) and applies the password policy.
  */
-export function initResetPasswordPage() {
+export async function initResetPasswordPage() {
     const msg = document.getElementById('reset-msg');
     const emailDisplay = document.getElementById('reset-email-display');
     const resetSubmit = document.getElementById('reset-submit');
 
-    const params = new URLSearchParams(window.location.search);
-    const email = params.get('email');
-
-    if (emailDisplay) emailDisplay.textContent = email || '';
+    const token = new URLSearchParams(window.location.search).get('token');
+    const email = await verifyResetToken(token);
 
     if (!email) {
-        return showMessage(msg, 'danger', 'Invalid or missing reset link.');
+        if (resetSubmit) resetSubmit.disabled = true;
+        return showMessage(msg, 'danger', 'This reset link is invalid or has expired. Request a new one from the login page.');
     }
 
-    resetSubmit?.addEventListener('click', () => {
+    if (emailDisplay) emailDisplay.textContent = email;
+    attachPasswordMeter(document.getElementById('new-password'), () => ({ email }));
+
+    resetSubmit?.addEventListener('click', async () => {
         msg.innerHTML = '';
 
         const pass1 = document.getElementById('new-password')?.value.trim();
@@ -235,17 +283,45 @@ export function initResetPasswordPage() {
             return showMessage(msg, 'danger', 'Passwords do not match.');
         }
 
-        const users = readLS('users', []);
-        const user = users.find(u => u.email === email);
+        resetSubmit.disabled = true;
+        const result = await resetPassword(token, pass1);
 
-        if (!user) {
-            return showMessage(msg, 'danger', 'User not found.');
+        if (!result.ok) {
+            resetSubmit.disabled = false;
+            return showMessage(msg, 'danger', result.error);
         }
 
-        user.password = pass1;
-        writeLS('users', users);
-
-        showMessage(msg, 'success', 'Password updated! Redirecting...');
+        showMessage(msg, 'success', 'Password updated! Please log in again. Redirecting...');
         setTimeout(() => navigateTo('login.html'), 2000);
     });
-}
\ No newline at end of file
+}
+
+/* ============================================================================
+   OUTBOX PAGE LOGIC
+============================================================================ */
+
+/**
+ * Lists emails "sent" by the app (stand-in for a real mail service).
+ */
+export function initOutboxPage() {
+    const list = document.getElementById('outbox-list');
+    if (!list) return;
+
+    const messages = getOutbox();
+    if (messages.length === 0) {
+        list.innerHTML = `<p class="text-muted text-center mb-0">No emails yet.</p>`;
+        return;
+    }
+
+    list.innerHTML = messages.map(message => `
+        <div class="border rounded p-3 mb-3 outbox-message">
+            <div class="d-flex justify-content-between small text-muted">
+                <span>To: ${message.to}</span>
+                <span>${new Date(message.sentAt).toLocaleString()}</span>
+            </div>
+            <h6 class="mt-2">${message.subject}</h6>
+            <p class="small mb-2">${message.body}</p>
+            ${message.link ? `<a href="${message.link}" class="btn btn-warning btn-sm">Open Link</a>` : ''}
+        </div>
+    `).join('');
+}
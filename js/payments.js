@@ -0,0 +1,278 @@
+/* ============================================================================
+   PAYMENTS MODULE
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Card validation (Luhn, expiry, CVC, brand detection)
+   - Payment gateway interface
+   - Built-in local mock gateway with deterministic test cards
+   - Gateway selection from configuration
+
+   A gateway is a plain object implementing:
+   - charge({ amount, currency, card }) -> Promise<PaymentResult>
+   - confirmAction(paymentId, approved)  -> Promise<PaymentResult>
+
+   PaymentResult: { id, status, message, declineCode? }
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { getConfig } from './config.js';
+
+/* ============================================================================
+   CONSTANTS
+============================================================================ */
+
+/**
+ * Possible payment outcomes.
+ * @constant {Object<string, string>}
+ */
+export const PAYMENT_STATUS = Object.freeze({
+    SUCCEEDED: 'succeeded',
+    DECLINED: 'declined',
+    REQUIRES_ACTION: 'requires_action'   // 3-D Secure authentication needed
+});
+
+/**
+ * Card numbers with fixed outcomes in the mock gateway.
+ * Any other valid card succeeds.
+ * @constant {Object<string, {status: string, declineCode?: string, message: string}>}
+ */
+export const TEST_CARDS = Object.freeze({
+    '4242424242424242': { status: PAYMENT_STATUS.SUCCEEDED, message: 'Payment approved.' },
+    '4000000000000002': {
+        status: PAYMENT_STATUS.DECLINED,
+        declineCode: 'card_declined',
+        message: 'Your card was declined.'
+    },
+    '4000000000009995': {
+        status: PAYMENT_STATUS.DECLINED,
+        declineCode: 'insufficient_funds',
+        message: 'Your card has insufficient funds.'
+    },
+    '4000000000003220': {
+        status: PAYMENT_STATUS.REQUIRES_ACTION,
+        message: 'Your bank requires 3-D Secure authentication.'
+    }
+});
+
+/* ============================================================================
+   CARD VALIDATION
+============================================================================ */
+
+/**
+ * Removes spaces and dashes from a card number.
+ *
+ * @param {string} number
+ * @returns {string}
+ */
+export function normalizeCardNumber(number = '') {
+    return String(number).replace(/[\s-]/g, '');
+}
+
+/**
+ * Checks a card number with the Luhn (mod 10) algorithm.
+ *
+ * @param {string} number
+ * @returns {boolean}
+ */
+export function luhnCheck(number) {
+    const digits = normalizeCardNumber(number);
+    if (!/^\d{12,19}$/.test(digits)) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Detects the card brand from its number prefix.
+ *
+ * @param {string} number
+ * @returns {'visa'|'mastercard'|'amex'|'discover'|'unknown'}
+ */
+export function detectCardBrand(number) {
+    const digits = normalizeCardNumber(number);
+    if (/^4/.test(digits)) return 'visa';
+    if (/^(5[1-5]|2[2-7])/.test(digits)) return 'mastercard';
+    if (/^3[47]/.test(digits)) return 'amex';
+    if (/^6(011|5)/.test(digits)) return 'discover';
+    return 'unknown';
+}
+
+/**
+ * Checks whether an MM/YY expiry date has passed.
+ * Cards are valid through the last day of the expiry month.
+ *
+ * @param {string} expiry - MM/YY
+ * @param {Date} [now=new Date()]
+ * @returns {boolean}
+ */
+export function isExpired(expiry, now = new Date()) {
+    const [month, year] = expiry.split('/').map(Number);
+    const firstOfNextMonth = new Date(2000 + year, month, 1);
+    return now >= firstOfNextMonth;
+}
+
+/**
+ * Validates card details.
+ *
+ * @param {Object} card
+ * @param {string} card.cardName
+ * @param {string} card.cardNumber
+ * @param {string} card.expiry - MM/YY
+ * @param {string} card.cvc
+ * @param {Date} [now=new Date()]
+ * @returns {Object<string, string>} Field → error message (empty if valid)
+ */
+export function validateCard({ cardName, cardNumber, expiry, cvc }, now = new Date()) {
+    const errors = {};
+
+    if (!cardName?.trim()) errors.cardName = 'Name on card is required.';
+
+    if (!luhnCheck(cardNumber)) errors.cardNumber = 'Enter a valid card number.';
+
+    const exp = expiry?.trim() || '';
+    if (!/^(0[1-9]|1[0-2])\/\d{2}$/.test(exp)) {
+        errors.expiry = 'Use MM/YY.';
+    } else if (isExpired(exp, now)) {
+        errors.expiry = 'This card has expired.';
+    }
+
+    const cvcLength = detectCardBrand(cardNumber) === 'amex' ? 4 : 3;
+    if (!new RegExp(`^\\d{${cvcLength}}$`).test(cvc?.trim() || '')) {
+        errors.cvc = `Enter the ${cvcLength}-digit CVC.`;
+    }
+
+    return errors;
+}
+
+/* ============================================================================
+   GATEWAYS
+============================================================================ */
+
+/**
+ * Creates a local mock gateway. Outcomes are deterministic per card number
+ * (see TEST_CARDS); 3-D Secure payments wait for confirmAction().
+ *
+ * @param {Object} [options]
+ * @param {number} [options.delay=800] - Simulated network latency in ms
+ * @returns {Object} Payment gateway
+ */
+export function createMockGateway({ delay = 800 } = {}) {
+    /** Payments waiting for 3-D Secure, keyed by id */
+    const pending = new Map();
+    let counter = 0;
+
+    const wait = () => new Promise(resolve => setTimeout(resolve, delay));
+
+    return {
+        name: 'mock',
+
+        async charge({ amount, currency = 'USD', card }) {
+            await wait();
+            const id = `pay_mock_${Date.now()}_${++counter}`;
+
+            const errors = validateCard(card);
+            if (Object.keys(errors).length > 0) {
+                return {
+                    id,
+                    status: PAYMENT_STATUS.DECLINED,
+                    declineCode: 'invalid_card',
+                    message: Object.values(errors)[0]
+                };
+            }
+
+            if (!(amount > 0)) {
+                return {
+                    id,
+                    status: PAYMENT_STATUS.DECLINED,
+                    declineCode: 'invalid_amount',
+                    message: 'Payment amount must be greater than zero.'
+                };
+            }
+
+            const outcome = TEST_CARDS[normalizeCardNumber(card.cardNumber)]
+                || { status: PAYMENT_STATUS.SUCCEEDED, message: 'Payment approved.' };
+
+            if (outcome.status === PAYMENT_STATUS.REQUIRES_ACTION) {
+                pending.set(id, { amount, currency });
+            }
+
+            return { id, ...outcome };
+        },
+
+        async confirmAction(paymentId, approved) {
+            await wait();
+
+            if (!pending.has(paymentId)) {
+                return {
+                    id: paymentId,
+                    status: PAYMENT_STATUS.DECLINED,
+                    declineCode: 'unknown_payment',
+                    message: 'Payment not found.'
+                };
+            }
+            pending.delete(paymentId);
+
+            return approved
+                ? { id: paymentId, status: PAYMENT_STATUS.SUCCEEDED, message: 'Payment approved.' }
+                : {
+                    id: paymentId,
+                    status: PAYMENT_STATUS.DECLINED,
+                    declineCode: 'authentication_failed',
+                    message: '3-D Secure authentication failed.'
+                };
+        }
+    };
+}
+
+/**
+ * Gateway factories available to configuration, keyed by name.
+ * @constant {Object<string, Function>}
+ */
+export const PAYMENT_GATEWAYS = {
+    mock: createMockGateway
+};
+
+/* ============================================================================
+   ACTIVE GATEWAY
+============================================================================ */
+
+/** @type {Object|null} */
+let activeGateway = null;
+
+/**
+ * Returns the configured payment gateway, creating it on first use.
+ *
+ * @returns {Object} Payment gateway
+ */
+export function getPaymentGateway() {
+    if (!activeGateway) {
+        const { paymentProvider } = getConfig();
+        const factory = PAYMENT_GATEWAYS[paymentProvider];
+
+        if (!factory) {
+            console.warn(`Unknown payment provider "${paymentProvider}", using mock.`);
+        }
+
+        activeGateway = (factory || createMockGateway)();
+    }
+    return activeGateway;
+}
+
+/**
+ * Replaces the active payment gateway (or resets it when null).
+ *
+ * @param {Object|null} gateway
+ */
+export function setPaymentGateway(gateway) {
+    activeGateway = gateway;
+}
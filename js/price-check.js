@@ -0,0 +1,139 @@
+/* ============================================================================
+   CART PRICE CHECK
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Price snapshots on cart lines (`price` plus the `pricedAt` timestamp)
+   - Comparing a cart with fresh catalog data before an order is placed:
+     changed prices, products no longer sold or sold out, lower limits
+   - Building the updated cart the user accepts
+
+   The checkout review step (script.js) runs the check and will not place
+   the order until the user has accepted every change.
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { getQuantityLimit } from './inventory.js';
+
+/* ============================================================================
+   CONSTANTS
+============================================================================ */
+
+/**
+ * Kinds of change found by checkCartPrices().
+ * @constant {Object<string, string>}
+ */
+export const CART_CHANGE = Object.freeze({
+    PRICE: 'price',
+    REMOVED: 'removed',
+    QUANTITY: 'quantity'
+});
+
+/* ============================================================================
+   INTERNAL UTILITIES
+============================================================================ */
+
+/**
+ * Compares two prices to the cent.
+ *
+ * @param {number} a
+ * @param {number} b
+ * @returns {boolean}
+ */
+function samePrice(a, b) {
+    return Math.round(a * 100) === Math.round(b * 100);
+}
+
+/* ============================================================================
+   PUBLIC API
+============================================================================ */
+
+/**
+ * Returns the price fields stored on a cart line.
+ *
+ * @param {Object} product
+ * @param {number} [now=Date.now()]
+ * @returns {{price: number, pricedAt: string}}
+ */
+export function snapshotPrice(product, now = Date.now()) {
+    return { price: product.price, pricedAt: new Date(now).toISOString() };
+}
+
+/**
+ * Compares a cart with fresh catalog products. `products` must be the full
+ * catalog: a cart item with no matching product counts as no longer sold.
+ *
+ * The returned cart has every change applied (new prices and snapshots,
+ * limits, capped quantities, removed items); save it once the user accepts.
+ *
+ * @param {Array<Object>} cart
+ * @param {Array<Object>} products - Fresh catalog products
+ * @param {number} [now=Date.now()]
+ * @returns {{cart: Array<Object>, changes: Array<Object>}} Each change has
+ *          `{ type, id, title }` plus `oldPrice`, `newPrice`, `pricedAt` (price),
+ *          `reason: 'discontinued'|'soldOut'` (removed) or `oldQty`, `newQty` (quantity)
+ */
+export function checkCartPrices(cart, products, now = Date.now()) {
+    const changes = [];
+
+    const updated = cart
+        .map(item => {
+            const { id, title } = item;
+            const product = products.find(p => p.id === id);
+
+            if (!product) {
+                changes.push({ type: CART_CHANGE.REMOVED, id, title, reason: 'discontinued' });
+                return null;
+            }
+
+            const next = {
+                ...item,
+                stock: product.stock,
+                maxPerOrder: product.maxPerOrder,
+                ...snapshotPrice(product, now)
+            };
+
+            const { max } = getQuantityLimit(next);
+            if (max === 0) {
+                changes.push({ type: CART_CHANGE.REMOVED, id, title, reason: 'soldOut' });
+                return null;
+            }
+
+            if (!samePrice(item.price, product.price)) {
+                changes.push({
+                    type: CART_CHANGE.PRICE, id, title,
+                    oldPrice: item.price, newPrice: product.price, pricedAt: item.pricedAt || null
+                });
+            }
+            if (item.qty > max) {
+                changes.push({ type: CART_CHANGE.QUANTITY, id, title, oldQty: item.qty, newQty: max });
+                next.qty = max;
+            }
+            return next;
+        })
+        .filter(Boolean);
+
+    return { cart: updated, changes };
+}
+
+/**
+ * Describes one change for the checkout summary.
+ *
+ * @param {Object} change - Entry from checkCartPrices()
+ * @returns {string}
+ */
+export function describeCartChange(change) {
+    switch (change.type) {
+        case CART_CHANGE.PRICE: {
+            const direction = change.newPrice > change.oldPrice ? 'gone up' : 'gone down';
+            return `The price of "${change.title}" has ${direction} from $${change.oldPrice.toFixed(2)} to $${change.newPrice.toFixed(2)}.`;
+        }
+        case CART_CHANGE.QUANTITY:
+            return `Only ${change.newQty} of "${change.title}" can be ordered now (you had ${change.oldQty}).`;
+        default:
+            return change.reason === 'soldOut'
+                ? `"${change.title}" is sold out and will be removed.`
+                : `"${change.title}" is no longer sold and will be removed.`;
+    }
+}
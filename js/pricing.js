@@ -0,0 +1,252 @@
+/* ============================================================================
+   PRICING MODULE
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Shipping cost per delivery method (flat rate, free above a threshold,
+     weight-based tiers, remote-destination surcharges)
+   - Sales tax from the destination state (or ZIP code)
+   - Order totals: subtotal, discount, shipping, tax, grand total
+
+   Everything here is pure; no DOM or storage access.
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { parseAddress } from './checkout-flow.js';
+
+/* ============================================================================
+   SHIPPING RULES
+============================================================================ */
+
+/**
+ * Extra shipping charged for destinations outside the contiguous US.
+ * @constant {Object<string, number>}
+ */
+export const REMOTE_SURCHARGES = { AK: 10, HI: 10, PR: 10 };
+
+/**
+ * Shipping rule per delivery method id.
+ * - type 'flat':   fixed `cost`
+ * - type 'weight': first tier whose `upTo` (kg) covers the cart weight
+ * - freeOver:      orders at or above this amount (after discounts) ship free
+ * - remote:        whether REMOTE_SURCHARGES apply
+ * @constant {Object<string, Object>}
+ */
+export const SHIPPING_RATES = {
+    standard: {
+        type: 'weight',
+        tiers: [
+            { upTo: 1, cost: 4.99 },
+            { upTo: 5, cost: 7.99 },
+            { upTo: Infinity, cost: 12.99 }
+        ],
+        freeOver: 75,
+        remote: true
+    },
+    express: { type: 'flat', cost: 14.99, remote: true },
+    pickup: { type: 'flat', cost: 0, remote: false }
+};
+
+/**
+ * Weight in kg used when a product has no `weight` field, by category.
+ * @constant {Object<string, number>}
+ */
+export const CATEGORY_WEIGHTS = {
+    electronics: 1.5,
+    jewelery: 0.1,
+    "men's clothing": 0.4,
+    "women's clothing": 0.4
+};
+
+/** Weight in kg for products in any other category */
+const DEFAULT_ITEM_WEIGHT = 0.5;
+
+/* ============================================================================
+   SALES TAX
+============================================================================ */
+
+/**
+ * State base sales tax rates (local taxes are not included).
+ * @constant {Object<string, number>}
+ */
+export const TAX_RATES = {
+    AL: 0.04, AK: 0, AZ: 0.056, AR: 0.065, CA: 0.0725, CO: 0.029, CT: 0.0635,
+    DE: 0, DC: 0.06, FL: 0.06, GA: 0.04, HI: 0.04, ID: 0.06, IL: 0.0625,
+    IN: 0.07, IA: 0.06, KS: 0.065, KY: 0.06, LA: 0.0445, ME: 0.055, MD: 0.06,
+    MA: 0.0625, MI: 0.06, MN: 0.06875, MS: 0.07, MO: 0.04225, MT: 0, NE: 0.055,
+    NV: 0.0685, NH: 0, NJ: 0.06625, NM: 0.04875, NY: 0.04, NC: 0.0475, ND: 0.05,
+    OH: 0.0575, OK: 0.045, OR: 0, PA: 0.06, RI: 0.07, SC: 0.06, SD: 0.042,
+    TN: 0.07, TX: 0.0625, UT: 0.0485, VT: 0.06, VA: 0.053, WA: 0.065, WV: 0.06,
+    WI: 0.05, WY: 0.04, PR: 0.105
+};
+
+/**
+ * First-three-digit ZIP ranges per state, used when the address has no
+ * recognizable state. Ranges are inclusive.
+ * @constant {Array<[number, number, string]>}
+ */
+const ZIP_PREFIX_RANGES = [
+    [6, 9, 'PR'], [10, 27, 'MA'], [28, 29, 'RI'], [30, 38, 'NH'], [39, 49, 'ME'],
+    [50, 59, 'VT'], [60, 69, 'CT'], [70, 89, 'NJ'], [100, 149, 'NY'], [150, 196, 'PA'],
+    [197, 199, 'DE'], [200, 205, 'DC'], [206, 219, 'MD'], [220, 246, 'VA'], [247, 268, 'WV'],
+    [270, 289, 'NC'], [290, 299, 'SC'], [300, 319, 'GA'], [320, 349, 'FL'], [350, 369, 'AL'],
+    [370, 385, 'TN'], [386, 397, 'MS'], [398, 399, 'GA'], [400, 427, 'KY'], [430, 459, 'OH'],
+    [460, 479, 'IN'], [480, 499, 'MI'], [500, 528, 'IA'], [530, 549, 'WI'], [550, 567, 'MN'],
+    [570, 577, 'SD'], [580, 588, 'ND'], [590, 599, 'MT'], [600, 629, 'IL'], [630, 658, 'MO'],
+    [660, 679, 'KS'], [680, 693, 'NE'], [700, 714, 'LA'], [716, 729, 'AR'], [730, 749, 'OK'],
+    [750, 799, 'TX'], [800, 816, 'CO'], [820, 831, 'WY'], [832, 838, 'ID'], [840, 847, 'UT'],
+    [850, 865, 'AZ'], [870, 884, 'NM'], [885, 885, 'TX'], [889, 898, 'NV'], [900, 961, 'CA'],
+    [967, 968, 'HI'], [970, 979, 'OR'], [980, 994, 'WA'], [995, 999, 'AK']
+];
+
+/* ============================================================================
+   INTERNAL UTILITIES
+============================================================================ */
+
+/**
+ * Rounds a money amount to cents.
+ *
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/* ============================================================================
+   SHIPPING
+============================================================================ */
+
+/**
+ * Returns the shipping weight of one unit of a cart item, in kg.
+ *
+ * @param {Object} item
+ * @returns {number}
+ */
+export function getItemWeight(item) {
+    if (typeof item.weight === 'number') return item.weight;
+    return CATEGORY_WEIGHTS[item.category] ?? DEFAULT_ITEM_WEIGHT;
+}
+
+/**
+ * Returns the total weight of the cart, in kg.
+ *
+ * @param {Array<Object>} items
+ * @returns {number}
+ */
+export function cartWeight(items) {
+    return items.reduce((sum, item) => sum + getItemWeight(item) * item.qty, 0);
+}
+
+/**
+ * Calculates shipping for a delivery method.
+ *
+ * @param {string} deliveryId - Key of SHIPPING_RATES
+ * @param {Array<Object>} items - Cart items
+ * @param {Object} [options]
+ * @param {number} [options.amount] - Order amount after discounts (for free-shipping thresholds)
+ * @param {string} [options.state] - Destination state code
+ * @returns {number}
+ */
+export function calculateShipping(deliveryId, items, { amount, state } = {}) {
+    const rule = SHIPPING_RATES[deliveryId];
+    if (!rule || items.length === 0) return 0;
+
+    const orderAmount = amount ?? items.reduce((sum, item) => sum + item.price * item.qty, 0);
+    if (rule.freeOver !== undefined && orderAmount >= rule.freeOver) return 0;
+
+    let cost = rule.cost || 0;
+    if (rule.type === 'weight') {
+        const weight = cartWeight(items);
+        cost = rule.tiers.find(tier => weight <= tier.upTo).cost;
+    }
+
+    if (rule.remote && state) cost += REMOTE_SURCHARGES[state] || 0;
+    return roundMoney(cost);
+}
+
+/* ============================================================================
+   TAX
+============================================================================ */
+
+/**
+ * Finds the state for a ZIP code.
+ *
+ * @param {string} zip
+ * @returns {string|null} Two-letter state code
+ */
+export function stateFromZip(zip) {
+    const match = String(zip || '').trim().match(/^(\d{3})\d{2}(-\d{4})?$/);
+    if (!match) return null;
+
+    const prefix = Number(match[1]);
+    const range = ZIP_PREFIX_RANGES.find(([from, to]) => prefix >= from && prefix <= to);
+    return range ? range[2] : null;
+}
+
+/**
+ * Determines the destination state from an address: the state field if it
+ * is a known code, otherwise the ZIP code.
+ *
+ * @param {Object|string} address - Address fields or free text
+ * @returns {string|null}
+ */
+export function resolveState(address) {
+    const { state = '', zip = '' } = typeof address === 'string'
+        ? parseAddress(address)
+        : address || {};
+
+    const code = state.trim().toUpperCase();
+    if (code in TAX_RATES) return code;
+    return stateFromZip(zip);
+}
+
+/**
+ * Returns the sales tax rate for an address (0 if unknown).
+ *
+ * @param {Object|string} address
+ * @returns {number}
+ */
+export function getTaxRate(address) {
+    return TAX_RATES[resolveState(address)] || 0;
+}
+
+/* ============================================================================
+   TOTALS
+============================================================================ */
+
+/**
+ * Works out the full price breakdown for an order.
+ * Tax is charged on the discounted merchandise amount; shipping is not taxed.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.items - Cart items
+ * @param {string} [params.deliveryId] - Delivery method id
+ * @param {Object|string} [params.address] - Destination address
+ * @param {Object} [params.coupon] - Applied promo `{ discount, freeShipping }`
+ * @returns {{subtotal: number, discount: number, shipping: number, tax: number,
+ *            taxRate: number, state: string|null, total: number}}
+ */
+export function calculateTotals({ items, deliveryId, address, coupon = null }) {
+    const subtotal = roundMoney(items.reduce((sum, item) => sum + item.price * item.qty, 0));
+    const discount = roundMoney(Math.min(coupon?.discount || 0, subtotal));
+    const state = resolveState(address);
+
+    const shipping = coupon?.freeShipping
+        ? 0
+        : calculateShipping(deliveryId, items, { amount: subtotal - discount, state });
+
+    const taxRate = TAX_RATES[state] || 0;
+    const tax = roundMoney((subtotal - discount) * taxRate);
+
+    return {
+        subtotal,
+        discount,
+        shipping,
+        tax,
+        taxRate,
+        state,
+        total: roundMoney(subtotal - discount + shipping + tax)
+    };
+}
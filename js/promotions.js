@@ -0,0 +1,145 @@
+/* ============================================================================
+   PROMOTIONS MODULE
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Looking up promo codes in the campaign list
+   - Checking eligibility (dates, minimum spend, categories)
+   - Calculating the discount for each coupon type
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { COUPON_CAMPAIGNS } from './coupon-campaigns.js';
+
+/* ============================================================================
+   INTERNAL UTILITIES
+============================================================================ */
+
+/**
+ * Rounds a money amount to cents.
+ *
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Returns the end of the given ISO date (so a code is valid all day).
+ *
+ * @param {string} iso - e.g. '2026-12-31'
+ * @returns {Date}
+ */
+function endOfDay(iso) {
+    const date = new Date(`${iso}T00:00:00`);
+    date.setDate(date.getDate() + 1);
+    return date;
+}
+
+/**
+ * Discount for "buy X get Y": units are sorted by price (highest first)
+ * and in every group of `buy + get` units the cheapest `get` are free.
+ *
+ * @param {Array<Object>} items - Eligible cart items
+ * @param {number} buy
+ * @param {number} get
+ * @returns {number}
+ */
+function buyXGetYDiscount(items, buy, get) {
+    const unitPrices = items
+        .flatMap(item => Array(item.qty).fill(item.price))
+        .sort((a, b) => b - a);
+
+    const groupSize = buy + get;
+    let discount = 0;
+
+    for (let start = 0; start + groupSize <= unitPrices.length; start += groupSize) {
+        const group = unitPrices.slice(start, start + groupSize);
+        discount += group.slice(buy).reduce((sum, price) => sum + price, 0);
+    }
+    return discount;
+}
+
+/* ============================================================================
+   PUBLIC API
+============================================================================ */
+
+/**
+ * Finds a campaign by code (case-insensitive).
+ *
+ * @param {string} code
+ * @param {Array<Object>} [campaigns=COUPON_CAMPAIGNS]
+ * @returns {Object|null}
+ */
+export function findCoupon(code, campaigns = COUPON_CAMPAIGNS) {
+    const normalized = String(code || '').trim().toUpperCase();
+    return campaigns.find(c => c.code.toUpperCase() === normalized) || null;
+}
+
+/**
+ * Evaluates a promo code against the cart.
+ *
+ * @param {string} code
+ * @param {Array<Object>} cart - Cart items ({ price, qty, category })
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()]
+ * @param {Array<Object>} [options.campaigns=COUPON_CAMPAIGNS]
+ * @returns {{valid: boolean, error?: string, coupon?: Object, discount: number, freeShipping: boolean}}
+ */
+export function evaluateCoupon(code, cart, { now = new Date(), campaigns = COUPON_CAMPAIGNS } = {}) {
+    const invalid = (error) => ({ valid: false, error, discount: 0, freeShipping: false });
+
+    const coupon = findCoupon(code, campaigns);
+    if (!coupon) return invalid('This promo code does not exist.');
+
+    if (coupon.startsAt && now < new Date(`${coupon.startsAt}T00:00:00`)) {
+        return invalid('This promo code is not active yet.');
+    }
+    if (coupon.expiresAt && now >= endOfDay(coupon.expiresAt)) {
+        return invalid('This promo code has expired.');
+    }
+
+    const subtotal = cart.reduce((sum, item) => sum + item.price * item.qty, 0);
+    if (coupon.minSpend && subtotal < coupon.minSpend) {
+        return invalid(`Spend at least $${coupon.minSpend.toFixed(2)} to use this code.`);
+    }
+
+    const eligible = coupon.categories?.length
+        ? cart.filter(item => coupon.categories.includes(item.category))
+        : cart;
+    if (eligible.length === 0) {
+        return invalid('No items in your cart qualify for this code.');
+    }
+
+    const eligibleSubtotal = eligible.reduce((sum, item) => sum + item.price * item.qty, 0);
+    let discount = 0;
+
+    switch (coupon.type) {
+        case 'percent':
+            discount = eligibleSubtotal * coupon.value / 100;
+            if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+            break;
+        case 'fixed':
+            discount = Math.min(coupon.value, eligibleSubtotal);
+            break;
+        case 'bxgy':
+            discount = buyXGetYDiscount(eligible, coupon.buy, coupon.get);
+            if (discount === 0) {
+                return invalid(`Add ${coupon.buy + coupon.get} qualifying items to use this code.`);
+            }
+            break;
+        case 'free_shipping':
+            break;
+        default:
+            return invalid('This promo code cannot be applied.');
+    }
+
+    return {
+        valid: true,
+        coupon,
+        discount: roundMoney(discount),
+        freeShipping: coupon.type === 'free_shipping'
+    };
+}
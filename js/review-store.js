@@ -0,0 +1,137 @@
+/* ============================================================================
+   REVIEW STORAGE
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Storage adapter interface for product reviews
+   - localStorage adapter (`fs_reviews`)
+   - Adapter selection from configuration (`reviewStore`)
+
+   An adapter is a plain object implementing (all async, so a backend can
+   take over from localStorage without changes to callers):
+   - list(productId)              -> Promise<Array<Object>>
+   - get(productId, email)        -> Promise<Object|null>
+   - save(review)                 -> Promise<Object>  (replaces the user's review)
+   - remove(productId, email)     -> Promise<boolean>
+   - summarize(productIds)        -> Promise<Object<id, {average, count}>>
+   - reassign(fromEmail, toEmail) -> Promise<void>    (email change)
+   - removeByUser(email)          -> Promise<void>    (account purge)
+
+   Review shape: { productId, email, name, rating, text, createdAt, updatedAt }
+   Rules (validation, one review per user, purchase check) live in reviews.js.
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { getConfig } from './config.js';
+
+/* ============================================================================
+   CONSTANTS
+============================================================================ */
+
+/**
+ * localStorage key used by the local adapter.
+ * @constant {string}
+ */
+export const REVIEWS_KEY = 'fs_reviews';
+
+/* ============================================================================
+   ADAPTERS
+============================================================================ */
+
+/**
+ * Creates an adapter that keeps every review in one localStorage entry.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.key=REVIEWS_KEY]
+ * @returns {Object} Review store
+ */
+export function createLocalReviewStore({ key = REVIEWS_KEY } = {}) {
+    const readAll = () => JSON.parse(localStorage.getItem(key) || '[]');
+    const writeAll = (reviews) => localStorage.setItem(key, JSON.stringify(reviews));
+    const matches = (productId, email) => r => r.productId === productId && r.email === email;
+
+    return {
+        name: 'local',
+
+        async list(productId) {
+            return readAll().filter(r => r.productId === productId);
+        },
+
+        async get(productId, email) {
+            return readAll().find(matches(productId, email)) || null;
+        },
+
+        async save(review) {
+            writeAll([...readAll().filter(r => !matches(review.productId, review.email)(r)), review]);
+            return review;
+        },
+
+        async remove(productId, email) {
+            const reviews = readAll();
+            const remaining = reviews.filter(r => !matches(productId, email)(r));
+            writeAll(remaining);
+            return remaining.length < reviews.length;
+        },
+
+        async summarize(productIds) {
+            const reviews = readAll();
+            return Object.fromEntries(productIds.map(id => {
+                const ratings = reviews.filter(r => r.productId === id).map(r => r.rating);
+                const average = ratings.length ? ratings.reduce((sum, r) => sum + r, 0) / ratings.length : 0;
+                return [id, { average, count: ratings.length }];
+            }));
+        },
+
+        async reassign(fromEmail, toEmail) {
+            writeAll(readAll().map(r => (r.email === fromEmail ? { ...r, email: toEmail } : r)));
+        },
+
+        async removeByUser(email) {
+            writeAll(readAll().filter(r => r.email !== email));
+        }
+    };
+}
+
+/**
+ * Adapter factories available to configuration, keyed by name.
+ * @constant {Object<string, Function>}
+ */
+export const REVIEW_STORES = {
+    local: createLocalReviewStore
+};
+
+/* ============================================================================
+   ACTIVE STORE
+============================================================================ */
+
+/** @type {Object|null} */
+let activeStore = null;
+
+/**
+ * Returns the configured review store, creating it on first use.
+ *
+ * @returns {Object} Review store
+ */
+export function getReviewStore() {
+    if (!activeStore) {
+        const { reviewStore } = getConfig();
+        const factory = REVIEW_STORES[reviewStore];
+
+        if (!factory) {
+            console.warn(`Unknown review store "${reviewStore}", using local.`);
+        }
+
+        activeStore = (factory || createLocalReviewStore)();
+    }
+    return activeStore;
+}
+
+/**
+ * Replaces the active review store (or resets it when null).
+ *
+ * @param {Object|null} store
+ */
+export function setReviewStore(store) {
+    activeStore = store;
+}
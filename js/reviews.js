@@ -0,0 +1,207 @@
+/* ============================================================================
+   PRODUCT REVIEWS
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Validating a star rating (1–5) and review text
+   - One review per user per product: submitting again edits it
+   - Optional purchase requirement (`reviewsRequirePurchase` in config.js)
+   - Sorting reviews
+   - Combining store reviews with the catalog's own `rating` for the
+     average and count shown on cards and the product page
+
+   Reviews are read and written through the adapter in review-store.js.
+   No DOM access; the UI lives in script.js.
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { getConfig } from './config.js';
+import { getOrders } from './orders.js';
+import { getReviewStore } from './review-store.js';
+
+/* ============================================================================
+   CONSTANTS
+============================================================================ */
+
+/**
+ * Longest review text allowed, in characters.
+ * @constant {number}
+ */
+export const MAX_REVIEW_LENGTH = 1000;
+
+/**
+ * Sort options with their labels.
+ * @constant {Object<string, string>}
+ */
+export const REVIEW_SORTS = Object.freeze({
+    newest: 'Newest first',
+    oldest: 'Oldest first',
+    highest: 'Highest rating',
+    lowest: 'Lowest rating'
+});
+
+/** Newest first; also the tie-breaker for the rating sorts */
+const byNewest = (a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt);
+
+/**
+ * Comparators for each sort option.
+ * @constant {Object<string, Function>}
+ */
+const SORT_COMPARATORS = {
+    newest: byNewest,
+    oldest: (a, b) => byNewest(b, a),
+    highest: (a, b) => b.rating - a.rating || byNewest(a, b),
+    lowest: (a, b) => a.rating - b.rating || byNewest(a, b)
+};
+
+/* ============================================================================
+   RULES
+============================================================================ */
+
+/**
+ * Checks a rating and review text.
+ *
+ * @param {Object} input
+ * @param {number} input.rating - Whole stars, 1–5
+ * @param {string} input.text
+ * @returns {string|null} Error message, or null if the review is valid
+ */
+export function validateReview({ rating, text } = {}) {
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        return 'Please choose a rating from 1 to 5 stars.';
+    }
+
+    const trimmed = String(text || '').trim();
+    if (!trimmed) return 'Please write a few words about the product.';
+    if (trimmed.length > MAX_REVIEW_LENGTH) return `Reviews can be up to ${MAX_REVIEW_LENGTH} characters.`;
+
+    return null;
+}
+
+/**
+ * Checks whether a user has an order containing a product.
+ *
+ * @param {string} email
+ * @param {number} productId
+ * @returns {boolean}
+ */
+export function hasPurchased(email, productId) {
+    return getOrders(email).some(order => order.items.some(item => item.id === productId));
+}
+
+/**
+ * Checks whether a user may write a review for a product.
+ *
+ * @param {Object|null} user - Current user, or null for guests
+ * @param {number} productId
+ * @returns {{ok: boolean, error?: string}}
+ */
+export function canReview(user, productId) {
+    if (!user) return { ok: false, error: 'Log in to write a review.' };
+
+    if (getConfig().reviewsRequirePurchase && !hasPurchased(user.email, productId)) {
+        return { ok: false, error: 'Only customers who have ordered this product can review it.' };
+    }
+    return { ok: true };
+}
+
+/* ============================================================================
+   PUBLIC API
+============================================================================ */
+
+/**
+ * Saves a user's review of a product, replacing their earlier one.
+ *
+ * @param {Object|null} user - `{ name, email }`
+ * @param {number} productId
+ * @param {{rating: number, text: string}} input
+ * @returns {Promise<{ok: boolean, error?: string, review?: Object, edited?: boolean}>}
+ */
+export async function submitReview(user, productId, input) {
+    const permission = canReview(user, productId);
+    if (!permission.ok) return permission;
+
+    const error = validateReview(input);
+    if (error) return { ok: false, error };
+
+    const store = getReviewStore();
+    const existing = await store.get(productId, user.email);
+    const now = new Date().toISOString();
+
+    const review = await store.save({
+        productId,
+        email: user.email,
+        name: user.name,
+        rating: input.rating,
+        text: input.text.trim(),
+        createdAt: existing?.createdAt || now,
+        updatedAt: existing ? now : null
+    });
+
+    return { ok: true, review, edited: Boolean(existing) };
+}
+
+/**
+ * Deletes a user's review of a product.
+ *
+ * @param {Object|null} user
+ * @param {number} productId
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+export async function deleteReview(user, productId) {
+    if (!user) return { ok: false, error: 'Log in to manage your reviews.' };
+
+    const removed = await getReviewStore().remove(productId, user.email);
+    return removed ? { ok: true } : { ok: false, error: 'You have not reviewed this product.' };
+}
+
+/**
+ * Sorts reviews without changing the input.
+ *
+ * @param {Array<Object>} reviews
+ * @param {string} [sort='newest'] - Key of REVIEW_SORTS
+ * @returns {Array<Object>}
+ */
+export function sortReviews(reviews, sort = 'newest') {
+    return [...reviews].sort(SORT_COMPARATORS[sort] || SORT_COMPARATORS.newest);
+}
+
+/**
+ * Returns a product's reviews, sorted.
+ *
+ * @param {number} productId
+ * @param {string} [sort='newest']
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getProductReviews(productId, sort = 'newest') {
+    return sortReviews(await getReviewStore().list(productId), sort);
+}
+
+/**
+ * Combines the catalog's rating (`{ rate, count }`, e.g. from the Fake Store
+ * API) with the store's own reviews.
+ *
+ * @param {Object} [rating] - Catalog rating
+ * @param {{average: number, count: number}} [summary] - Store reviews
+ * @returns {{average: number, count: number}}
+ */
+export function combineRating(rating, summary) {
+    const catalogCount = rating?.count || 0;
+    const reviewCount = summary?.count || 0;
+    const count = catalogCount + reviewCount;
+
+    const total = (rating?.rate || 0) * catalogCount + (summary?.average || 0) * reviewCount;
+    return { average: count ? total / count : 0, count };
+}
+
+/**
+ * Returns the combined rating of each product.
+ *
+ * @param {Array<Object>} products
+ * @returns {Promise<Object<number, {average: number, count: number}>>} Keyed by product id
+ */
+export async function getRatingSummaries(products) {
+    const summaries = await getReviewStore().summarize(products.map(p => p.id));
+    return Object.fromEntries(products.map(p => [p.id, combineRating(p.rating, summaries[p.id])]));
+}
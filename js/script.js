@@ -1,12 +1,83 @@
 /* =====================================================================
    GLOBAL IMPORTS
 ===================================================================== */
-import { setupAuth } from './password.js';
+import { setupAuth, showMessage } from './password.js';
 import {
     getCurrentUser,
     logout as authLogout,
-    navigateTo
+    navigateTo,
+    setupNavbarLogic
 } from './auth.js';
+import {
+    DEFAULT_FILTERS,
+    SORT_OPTIONS,
+    readFiltersFromQuery,
+    writeFiltersToQuery,
+    applyFilters,
+    paginate
+} from './store-filters.js';
+import { getCatalog } from './catalog.js';
+import {
+    enqueueAction,
+    registerActionHandler,
+    flushQueue,
+    isOnline
+} from './offline-queue.js';
+import {
+    ORDER_STATUS,
+    createOrder,
+    saveOrder,
+    getOrders,
+    getOrder,
+    updateOrderStatus
+} from './orders.js';
+import {
+    CHECKOUT_STEPS,
+    DELIVERY_OPTIONS,
+    loadCheckoutState,
+    saveCheckoutState,
+    clearCheckoutState,
+    moveStep,
+    getDeliveryOption,
+    validateStep,
+    formatAddress
+} from './checkout-flow.js';
+import {
+    PAYMENT_STATUS,
+    detectCardBrand,
+    getPaymentGateway
+} from './payments.js';
+import { evaluateCoupon } from './promotions.js';
+import { calculateTotals } from './pricing.js';
+import { getCartKeyFor, mergeCartItems, removeCartItems, watchCart } from './cart-store.js';
+import { watchSession } from './session.js';
+import {
+    getQuantityLimit,
+    describeQuantityLimit,
+    clampQuantity,
+    reconcileCart
+} from './inventory.js';
+import { snapshotPrice, checkCartPrices, describeCartChange, CART_CHANGE } from './price-check.js';
+import {
+    isInWishlist,
+    toggleWishlist,
+    readWishlist,
+    removeFromWishlist,
+    readSavedItems,
+    saveForLater,
+    moveToCart,
+    removeSavedItem
+} from './wishlist.js';
+import {
+    MAX_REVIEW_LENGTH,
+    REVIEW_SORTS,
+    canReview,
+    submitReview,
+    deleteReview,
+    getProductReviews,
+    combineRating,
+    getRatingSummaries
+} from './reviews.js';
 
 /* =====================================================================
    INITIALIZATION
@@ -17,14 +88,8 @@ import {
  */
 setupAuth();
 
-/**
- * Base URL for Fake Store API
- * @constant {string}
- */
-const API_BASE = 'https://fakestoreapi.com';
-
 /* =====================================================================
-   TEXT UTILITIES
+   TEXT & RATING UTILITIES
 ===================================================================== */
 
 /**
@@ -38,6 +103,45 @@ function truncateText(text = '', maxLength = 100) {
     return text.slice(0, maxLength).replace(/\s+\S*$/, '') + '…';
 }
 
+/**
+ * Build star icons for a 0–5 rating, rounded to the nearest half star
+ * @param {number} rate
+ * @returns {string} HTML string of Bootstrap icons
+ */
+function renderStars(rate = 0) {
+    const halves = Math.round(rate * 2);
+    let html = '';
+    for (let i = 1; i <= 5; i++) {
+        const icon = halves >= i * 2 ? 'bi-star-fill' : halves === i * 2 - 1 ? 'bi-star-half' : 'bi-star';
+        html += `<i class="bi ${icon}"></i>`;
+    }
+    return `<span class="rating-stars" aria-label="${rate} out of 5 stars">${html}</span>`;
+}
+
+/**
+ * Escape user-written or imported text (reviews, imported orders) for use inside HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text = '') {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text).replace(/[&<>"']/g, ch => entities[ch]);
+}
+
+/**
+ * Build stars, average and review count for a rating summary
+ * @param {{average: number, count: number}} summary
+ * @returns {string} HTML string
+ */
+function renderRatingSummary({ average, count }) {
+    if (!count) return `<span class="text-muted">No reviews yet</span>`;
+    return `
+        ${renderStars(average)}
+        <span class="ms-1">${average.toFixed(1)}</span>
+        <span class="text-muted">(${count} review${count === 1 ? '' : 's'})</span>
+    `;
+}
+
 /* =====================================================================
    CART STORAGE HELPERS
 ===================================================================== */
@@ -47,8 +151,7 @@ function truncateText(text = '', maxLength = 100) {
  * @returns {string}
  */
 function getCartKey() {
-    const user = getCurrentUser();
-    return user ? `fs_cart_${user.email}` : 'fs_cart_guest';
+    return getCartKeyFor(getCurrentUser()?.email);
 }
 
 /**
@@ -70,25 +173,60 @@ function saveCart(cart) {
 }
 
 /**
- * Add a product to the cart
+ * Add a product to the cart (the guest cart when nobody is logged in).
+ * A product already in the cart gets its quantity increased, up to its
+ * stock and per-order limits. A new line keeps the price shown now, with
+ * the time it was taken; an existing line keeps its earlier price so added
+ * units never reprice it silently (both are checked again before ordering).
  * @param {Object} product
+ * @param {number} [qty=1] - Quantity to add
  */
-function addToCart(product) {
-    const user = getCurrentUser();
-    if (!user) {
-        showFloatingMessage('Please login first!', 'danger');
-        return;
-    }
-
+function addToCart(product, qty = 1) {
     const cart = getCart();
-    if (cart.some(item => item.id === product.id)) {
-        showFloatingMessage('Product already in cart!', 'danger');
+    const existing = cart.find(item => item.id === product.id);
+    const current = existing?.qty || 0;
+
+    const { qty: allowed, message } = clampQuantity(product, current + qty);
+    if (allowed <= current) {
+        showFloatingMessage(message, 'danger', 3000);
         return;
     }
 
-    cart.push({ ...product, qty: 1 });
+    if (existing) {
+        Object.assign(existing, {
+            stock: product.stock,
+            maxPerOrder: product.maxPerOrder,
+            qty: allowed
+        });
+    } else {
+        cart.push({ ...product, ...snapshotPrice(product), qty: allowed });
+    }
     saveCart(cart);
-    showFloatingMessage('Product added to cart!', 'success');
+
+    if (message) {
+        showFloatingMessage(`Added ${allowed - current} to your cart. ${message}`, 'info', 3000);
+    } else {
+        showFloatingMessage(existing ? 'Cart quantity updated!' : 'Product added to cart!', 'success');
+    }
+}
+
+/**
+ * Set an item's quantity, capped by its limits; 0 or less removes it
+ * @param {number} id - Product ID
+ * @param {number} qty - New quantity
+ */
+function setQuantity(id, qty) {
+    const cart = getCart();
+    const item = cart.find(i => i.id === id);
+    if (!item) return;
+
+    if (qty <= 0) return removeItem(id);
+
+    const { qty: allowed, message } = clampQuantity(item, qty);
+    if (message) showFloatingMessage(message, 'danger', 3000);
+
+    item.qty = allowed;
+    saveCart(cart.filter(i => i.qty > 0));
 }
 
 /**
@@ -97,16 +235,36 @@ function addToCart(product) {
  * @param {number} change - Quantity delta (+1 / -1)
  */
 function updateQuantity(id, change) {
-    let cart = getCart();
-    const item = cart.find(i => i.id === id);
+    const item = getCart().find(i => i.id === id);
     if (!item) return;
 
-    item.qty += change;
-    if (item.qty <= 0) {
-        cart = cart.filter(i => i.id !== id);
-    }
+    setQuantity(id, item.qty + change);
+}
+
+/**
+ * Re-check the cart against fresh catalog data (stock and per-order limits)
+ * @param {Array<Object>} products
+ */
+function syncCartWithCatalog(products) {
+    const { cart, changed, messages } = reconcileCart(getCart(), products);
+    if (!changed) return;
 
     saveCart(cart);
+    if (messages.length) showFloatingMessage(messages.join(' '), 'info', 4000);
+}
+
+/**
+ * On the checkout page, re-check the cart against the latest catalog data,
+ * again whenever a background catalog refresh brings changes
+ */
+async function recheckCartStock() {
+    if (!document.getElementById('checkout-container') || getCart().length === 0) return;
+
+    try {
+        syncCartWithCatalog(await getCatalog().list({ onUpdate: syncCartWithCatalog }));
+    } catch (error) {
+        console.warn('Could not re-check stock:', error);
+    }
 }
 
 /**
@@ -161,8 +319,9 @@ function updateNav() {
         btnLogout?.classList.add('d-none');
         welcomeEl?.classList.add('d-none');
 
+        // Guests can fill a cart; checkout asks them to log in first
         document.getElementById('nav-checkout')?.classList.add('d-none');
-        document.getElementById('nav-cart')?.classList.add('d-none');
+        document.getElementById('nav-cart')?.classList.remove('d-none');
     }
 
     updateCartUI();
@@ -189,184 +348,1655 @@ function showFloatingMessage(message, type = 'success', duration = 2000) {
 }
 
 /* =====================================================================
-   STORE PAGE (PRODUCT LISTING)
+   WISHLIST
 ===================================================================== */
 
-async function loadStoreProducts() {
-    const productListEl = document.getElementById('product-list');
-    if (!productListEl) return;
+/**
+ * Build the heart button that toggles a product in the wishlist
+ * @param {Object} product
+ * @param {string} [className=''] - Extra classes for positioning
+ * @returns {string} HTML
+ */
+function renderWishlistButton(product, className = '') {
+    return `
+        <button type="button" class="btn btn-light btn-sm wishlist-toggle ${className}" data-id="${product.id}">
+            <i class="bi"></i>
+        </button>
+    `;
+}
 
-    productListEl.innerHTML = 'Loading products...';
+/**
+ * Show whether a heart button's product is in the wishlist
+ * @param {HTMLButtonElement} btn
+ * @param {boolean} active
+ */
+function setWishlistButtonState(btn, active) {
+    btn.setAttribute('aria-pressed', String(active));
+    btn.setAttribute('aria-label', active ? 'Remove from wishlist' : 'Add to wishlist');
+    btn.querySelector('.bi').className = `bi ${active ? 'bi-heart-fill text-danger' : 'bi-heart'}`;
+}
 
-    try {
-        const { data: products } = await axios.get(`${API_BASE}/products`);
-        productListEl.innerHTML = '';
+/**
+ * Bind heart buttons inside a container (guests get a guest wishlist,
+ * merged into their account when they log in)
+ * @param {HTMLElement} container
+ * @param {Array<Object>} products - Products the buttons belong to
+ */
+function bindWishlistButtons(container, products) {
+    container.querySelectorAll('.wishlist-toggle').forEach(btn => {
+        const product = products.find(p => p.id === Number(btn.dataset.id));
+        if (!product) return;
 
-        const row = document.createElement('div');
-        row.className = 'row g-4 justify-content-center'; // center the cards
+        setWishlistButtonState(btn, isInWishlist(getCurrentUser()?.email, product.id));
+        btn.addEventListener('click', () => {
+            const added = toggleWishlist(getCurrentUser()?.email, product);
+            setWishlistButtonState(btn, added);
+            showFloatingMessage(added ? 'Added to your wishlist!' : 'Removed from your wishlist.', added ? 'success' : 'info');
+        });
+    });
+}
 
-        products.forEach(product => {
-            const shortDescription = truncateText(product.description, 100);
+/**
+ * Render the wishlist section on the profile page
+ */
+function renderWishlist() {
+    const wishlistEl = document.getElementById('wishlist');
+    if (!wishlistEl) return;
 
-            const col = document.createElement('div');
-            col.className = 'col-12 col-sm-10 col-md-6 col-lg-3'; // col-sm-10 adds space on mobile
-            col.innerHTML = `
-                <div class="card h-100 shadow-sm">
-                    <img src="${product.image}" class="card-img-top" style="height:200px; object-fit:contain">
-                    <div class="card-body d-flex flex-column">
-                        <h5 class="card-title">${product.title}</h5>
-                        <p class="card-text mb-2 text-truncate-4" title="${product.description}">
-                            ${shortDescription}
-                        </p>
-                        <p class="card-text fw-bold mt-auto">$${product.price.toFixed(2)}</p>
-                        <button class="btn btn-primary w-100 btn-add" data-id="${product.id}">
-                            Add to Cart
-                        </button>
-                    </div>
-                </div>
-            `;
-            row.appendChild(col);
-        });
+    const user = getCurrentUser();
+    if (!user) return;
 
-        productListEl.appendChild(row);
+    const wishlist = readWishlist(user.email);
+    if (wishlist.length === 0) {
+        wishlistEl.innerHTML = `<p class="text-muted mb-0">Your wishlist is empty. Tap the heart on a product to save it here.</p>`;
+        return;
+    }
 
-        const user = getCurrentUser();
-        productListEl.querySelectorAll('.btn-add').forEach(btn => {
-            btn.disabled = !user;
-            btn.addEventListener('click', async () => {
-                const id = Number(btn.dataset.id);
-                const { data } = await axios.get(`${API_BASE}/products/${id}`);
-                addToCart(data);
-            });
+    wishlistEl.innerHTML = `
+        <ul class="list-group">
+            ${wishlist.map(item => `
+                <li class="list-group-item d-flex flex-wrap justify-content-between align-items-center gap-2">
+                    <div class="d-flex align-items-center gap-2">
+                        <img src="${escapeHtml(item.image)}" alt="" class="wishlist-thumb">
+                        <div>
+                            <a href="product.html?id=${item.id}" class="product-link fw-semibold">${escapeHtml(item.title)}</a>
+                            <div class="small text-muted">$${item.price.toFixed(2)}</div>
+                        </div>
+                    </div>
+                    <div class="d-flex gap-2">
+                        <button type="button" class="btn btn-primary btn-sm wishlist-add" data-id="${item.id}">Add to Cart</button>
+                        <button type="button" class="btn btn-outline-danger btn-sm wishlist-remove" data-id="${item.id}">Remove</button>
+                    </div>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+
+    wishlistEl.querySelectorAll('.wishlist-add').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            // Current price and stock, not the copy saved with the wishlist
+            let product;
+            try {
+                product = await getCatalog().get(Number(btn.dataset.id));
+            } catch (error) {
+                console.error(error);
+                return showFloatingMessage('This product could not be loaded. Please try again.', 'danger', 3000);
+            }
+            if (!product) return showFloatingMessage('This product is no longer available.', 'danger', 3000);
+            addToCart(product);
         });
+    });
 
-    } catch (error) {
-        console.error(error);
-        productListEl.innerHTML = `<div class="alert alert-danger">Failed to load products.</div>`;
-    }
+    wishlistEl.querySelectorAll('.wishlist-remove').forEach(btn => {
+        btn.addEventListener('click', () => {
+            removeFromWishlist(user.email, Number(btn.dataset.id));
+            renderWishlist();
+        });
+    });
 }
 
 /* =====================================================================
-   CHECKOUT PAGE
+   STORE PAGE (PRODUCT LISTING)
 ===================================================================== */
 
 /**
- * Render checkout UI and bind interactions
+ * Current store filter state, mirrored in the URL query string
+ * @type {Object}
  */
-function renderCheckout() {
-    const checkoutEl = document.getElementById('checkout-container');
-    if (!checkoutEl) return;
+let storeFilters = { ...DEFAULT_FILTERS };
 
-    const user = getCurrentUser();
-    if (!user) return navigateTo('login.html');
+/**
+ * Add store reviews to the catalog ratings shown on product cards
+ * @param {HTMLElement} productListEl
+ * @param {Array<Object>} products
+ */
+async function showCardRatings(productListEl, products) {
+    try {
+        const summaries = await getRatingSummaries(products);
+        productListEl.querySelectorAll('.card-rating').forEach(el => {
+            const summary = summaries[Number(el.dataset.id)];
+            if (summary) el.innerHTML = renderRatingSummary(summary);
+        });
+    } catch (error) {
+        console.warn('Could not load review ratings:', error);
+    }
+}
 
-    const cart = getCart();
-    if (cart.length === 0) {
-        checkoutEl.innerHTML = `<div class="fs-4 text-center">Your cart is empty.</div>`;
+/**
+ * Render product cards into the store grid
+ * @param {HTMLElement} productListEl
+ * @param {Array<Object>} products
+ */
+function renderProductGrid(productListEl, products) {
+    productListEl.innerHTML = '';
+
+    if (products.length === 0) {
+        productListEl.innerHTML = `<div class="fs-5 text-center">No products match your filters.</div>`;
         return;
     }
 
-    checkoutEl.innerHTML = '';
     const row = document.createElement('div');
-    row.className = 'row g-4 justify-content-center'; // Center cards on mobile
+    row.className = 'row g-4 justify-content-center'; // center the cards
 
-    cart.forEach(item => {
-        const shortDescription = truncateText(item.description, 100);
+    products.forEach(product => {
+        const shortDescription = truncateText(product.description, 100);
+        const soldOut = getQuantityLimit(product).max === 0;
 
         const col = document.createElement('div');
-        col.className = 'col-12 col-md-6 col-lg-3';
+        col.className = 'col-12 col-sm-10 col-md-6 col-lg-3'; // col-sm-10 adds space on mobile
         col.innerHTML = `
-            <div class="card h-100 shadow-sm">
-                <img src="${item.image}" class="card-img-top"
-                     style="height:200px; object-fit:contain">
+            <div class="card h-100 shadow-sm position-relative">
+                ${renderWishlistButton(product, 'position-absolute top-0 end-0 m-2')}
+                <a href="product.html?id=${product.id}">
+                    <img src="${product.image}" class="card-img-top" style="height:200px; object-fit:contain">
+                </a>
                 <div class="card-body d-flex flex-column">
-                    <h5 class="card-title">${item.title}</h5>
-
-                    <p class="card-text text-truncate-4"
-                       title="${item.description}">
-                       ${shortDescription}
+                    <h5 class="card-title">
+                        <a href="product.html?id=${product.id}" class="product-link">${product.title}</a>
+                    </h5>
+                    <p class="card-text small mb-2 card-rating" data-id="${product.id}">
+                        ${renderRatingSummary(combineRating(product.rating))}
                     </p>
-
-                    <p class="fw-bold mt-auto">
-                        $${(item.price * item.qty).toFixed(2)}
+                    <p class="card-text mb-2 text-truncate-4" title="${product.description}">
+                        ${shortDescription}
                     </p>
-
-                    <div class="d-flex justify-content-between align-items-center mt-2">
-                        <div>
-                            <button class="btn btn-outline-secondary btn-sm qty-decrease"
-                                    data-id="${item.id}">−</button>
-                            <span class="fw-bold mx-1">${item.qty}</span>
-                            <button class="btn btn-outline-secondary btn-sm qty-increase"
-                                    data-id="${item.id}">+</button>
-                        </div>
-                        <button class="btn btn-danger btn-sm remove-btn ms-2"
-                                data-id="${item.id}">
-                            Remove
-                        </button>
-                    </div>
+                    <p class="card-text fw-bold mt-auto">$${product.price.toFixed(2)}</p>
+                    <button class="btn btn-primary w-100 btn-add" data-id="${product.id}"
+                            ${soldOut ? 'disabled' : ''}>
+                        ${soldOut ? 'Out of Stock' : 'Add to Cart'}
+                    </button>
                 </div>
             </div>
         `;
         row.appendChild(col);
     });
 
-    checkoutEl.appendChild(row);
+    productListEl.appendChild(row);
+    bindWishlistButtons(productListEl, products);
+    showCardRatings(productListEl, products);
 
-    // Quantity and remove handlers
-    checkoutEl.querySelectorAll('.qty-increase, .qty-decrease, .remove-btn')
-        .forEach(btn => {
-            btn.addEventListener('click', () => {
-                const id = Number(btn.dataset.id);
-                if (btn.classList.contains('qty-increase')) updateQuantity(id, 1);
-                if (btn.classList.contains('qty-decrease')) updateQuantity(id, -1);
-                if (btn.classList.contains('remove-btn')) removeItem(id);
-                renderCheckout();
-            });
+    productListEl.querySelectorAll('.btn-add').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            let product;
+            try {
+                product = await getCatalog().get(Number(btn.dataset.id));
+            } catch (error) {
+                console.error(error);
+                return showFloatingMessage('This product could not be loaded. Please try again.', 'danger', 3000);
+            }
+            if (!product) return showFloatingMessage('This product is no longer available.', 'danger', 3000);
+            addToCart(product);
         });
+    });
+}
 
-    // Cart summary & place order
-    const summary = document.createElement('div');
-    summary.className = 'checkout-summary p-4 border rounded bg-light mx-auto mt-4';
-    summary.style.maxWidth = '400px';
-    summary.innerHTML = `
-        <h5>Cart Summary</h5>
-        <p><strong>Total Items:</strong> ${cartCount()}</p>
-        <p><strong>Total Amount:</strong> $${cartTotalAmount()}</p>
-        <button id="place-order-btn" class="btn btn-success w-100">
-            <span id="placeOrderText">Place Order</span>
-            <span id="placeOrderSpinner"
-                  class="spinner-border spinner-border-sm d-none ms-2"></span>
-        </button>
+/**
+ * Render Prev / page number / Next pagination controls
+ * @param {HTMLElement|null} navEl
+ * @param {number} page - Current page
+ * @param {number} totalPages
+ */
+function renderPagination(navEl, page, totalPages) {
+    if (!navEl) return;
+    if (totalPages <= 1) {
+        navEl.innerHTML = '';
+        return;
+    }
+
+    const pageItem = (target, label, { disabled = false, active = false } = {}) => `
+        <li class="page-item${disabled ? ' disabled' : ''}${active ? ' active' : ''}">
+            <button type="button" class="page-link" data-page="${target}">${label}</button>
+        </li>
     `;
-    checkoutEl.appendChild(summary);
 
-    document.getElementById('place-order-btn')?.addEventListener('click', async () => {
-        const text = document.getElementById('placeOrderText');
-        const spinner = document.getElementById('placeOrderSpinner');
+    let items = pageItem(page - 1, 'Prev', { disabled: page === 1 });
+    for (let n = 1; n <= totalPages; n++) {
+        items += pageItem(n, n, { active: n === page });
+    }
+    items += pageItem(page + 1, 'Next', { disabled: page === totalPages });
 
-        text.textContent = 'Placing...';
-        spinner.classList.remove('d-none');
+    navEl.innerHTML = `<ul class="pagination pagination-sm justify-content-center">${items}</ul>`;
+}
 
-        await new Promise(r => setTimeout(r, 1200));
-        localStorage.removeItem(getCartKey());
-        updateCartUI();
-        renderCheckout();
-        showFloatingMessage('Order placed successfully!');
-        setTimeout(() => navigateTo('store.html'), 1500);
+/**
+ * Push the current filter state onto the browser history
+ */
+function pushStoreUrl() {
+    window.history.pushState(null, '', `${window.location.pathname}${writeFiltersToQuery(storeFilters)}`);
+}
+
+/**
+ * Copy filter state into the toolbar inputs
+ * @param {HTMLFormElement} toolbarEl
+ * @param {Object} filters
+ */
+function syncToolbar(toolbarEl, filters) {
+    ['q', 'category', 'minPrice', 'maxPrice', 'minRating', 'sort'].forEach(name => {
+        const input = toolbarEl.elements[name];
+        if (input) input.value = filters[name] ?? '';
+    });
+}
+
+/**
+ * Read filter state from the toolbar inputs (resets to page 1)
+ * @param {HTMLFormElement} toolbarEl
+ * @returns {Object}
+ */
+function readToolbar(toolbarEl) {
+    const params = new URLSearchParams(new FormData(toolbarEl));
+    return readFiltersFromQuery(params.toString());
+}
+
+/**
+ * Populate the category and sort dropdowns and bind toolbar events
+ * @param {HTMLFormElement} toolbarEl
+ */
+async function setupStoreToolbar(toolbarEl) {
+    const sortSelect = toolbarEl.elements.sort;
+    Object.entries(SORT_OPTIONS).forEach(([value, { label }]) => {
+        sortSelect?.insertAdjacentHTML('beforeend', `<option value="${value}">${label}</option>`);
+    });
+
+    try {
+        const categories = await getCatalog().categories();
+        const categorySelect = toolbarEl.elements.category;
+        categories.forEach(category => {
+            categorySelect?.insertAdjacentHTML(
+                'beforeend',
+                `<option value="${category}">${category}</option>`
+            );
+        });
+    } catch (error) {
+        console.error(error);
+    }
+
+    syncToolbar(toolbarEl, storeFilters);
+
+    const applyToolbar = () => {
+        storeFilters = readToolbar(toolbarEl);
+        pushStoreUrl();
+        renderStorePage();
+    };
+
+    let searchTimer;
+    toolbarEl.elements.q?.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(applyToolbar, 300);
+    });
+    toolbarEl.addEventListener('change', (e) => {
+        if (e.target.name !== 'q') applyToolbar();
+    });
+    toolbarEl.addEventListener('submit', (e) => {
+        e.preventDefault();
+        applyToolbar();
+    });
+}
+
+/**
+ * Render the current page of filtered products and the pagination controls
+ */
+async function renderStorePage() {
+    const productListEl = document.getElementById('product-list');
+    if (!productListEl) return;
+
+    productListEl.innerHTML = 'Loading products...';
+
+    try {
+        // Cached products render instantly; a background refresh re-renders if they changed
+        const products = await getCatalog().list({
+            category: storeFilters.category,
+            onUpdate: () => renderStorePage()
+        });
+        syncCartWithCatalog(products);
+        const { items, page, totalPages } = paginate(applyFilters(products, storeFilters), storeFilters.page);
+        storeFilters.page = page;
+
+        renderProductGrid(productListEl, items);
+        renderPagination(document.getElementById('store-pagination'), page, totalPages);
+    } catch (error) {
+        console.error(error);
+        productListEl.innerHTML = `<div class="alert alert-danger">Failed to load products.</div>`;
+    }
+}
+
+/**
+ * Initialize the store page from the URL query string
+ */
+async function loadStoreProducts() {
+    const productListEl = document.getElementById('product-list');
+    if (!productListEl) return;
+
+    storeFilters = readFiltersFromQuery(window.location.search);
+
+    const toolbarEl = document.getElementById('store-toolbar');
+    if (toolbarEl) setupStoreToolbar(toolbarEl);
+
+    document.getElementById('store-pagination')?.addEventListener('click', (e) => {
+        const target = e.target.closest('[data-page]');
+        if (!target || target.parentElement.classList.contains('disabled')) return;
+
+        storeFilters.page = Number(target.dataset.page);
+        pushStoreUrl();
+        renderStorePage();
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    });
+
+    window.addEventListener('popstate', () => {
+        storeFilters = readFiltersFromQuery(window.location.search);
+        if (toolbarEl) syncToolbar(toolbarEl, storeFilters);
+        renderStorePage();
     });
+
+    await renderStorePage();
 }
 
 /* =====================================================================
-   GLOBAL EVENT LISTENERS
+   PRODUCT DETAIL PAGE
 ===================================================================== */
-document.getElementById('btn-login-state')
-    ?.addEventListener('click', () => navigateTo('login.html'));
 
-document.getElementById('btn-logout')
-    ?.addEventListener('click', authLogout);
+/**
+ * Load and render a single product from the `?id=` query parameter
+ */
+async function loadProductDetail() {
+    const detailEl = document.getElementById('product-detail');
+    if (!detailEl) return;
 
-document.getElementById('cart-btn')
-    ?.addEventListener('click', () => navigateTo('checkout.html'));
+    const id = Number(new URLSearchParams(window.location.search).get('id'));
+    if (!Number.isInteger(id) || id <= 0) {
+        detailEl.innerHTML = `<div class="alert alert-danger">Invalid or missing product.</div>`;
+        return;
+    }
+
+    detailEl.innerHTML = 'Loading product...';
+
+    try {
+        const product = await getCatalog().get(id);
+        if (!product) {
+            detailEl.innerHTML = `<div class="alert alert-danger">Product not found.</div>`;
+            return;
+        }
+
+        document.title = `NYStore — ${product.title}`;
+        const limit = getQuantityLimit(product);
+
+        detailEl.innerHTML = `
+            <div class="row g-4 align-items-center">
+                <div class="col-12 col-md-5 text-center">
+                    <img src="${product.image}" alt="${product.title}" class="product-detail-img">
+                </div>
+                <div class="col-12 col-md-7">
+                    <p class="text-muted text-capitalize mb-1">${product.category}</p>
+                    <h2 class="h4 mb-2">${product.title}</h2>
+                    <p class="mb-2 detail-rating">${renderRatingSummary(combineRating(product.rating))}</p>
+                    <p class="fs-4 fw-bold mb-3">$${product.price.toFixed(2)}</p>
+                    <p class="product-description">${product.description}</p>
+
+                    <div class="d-flex align-items-center gap-2 mt-3">
+                        <label for="detail-qty" class="form-label mb-0">Qty</label>
+                        <input type="number" id="detail-qty" class="form-control form-control-sm"
+                               value="1" min="1" max="${Math.max(limit.max, 1)}" style="width:80px"
+                               ${limit.max === 0 ? 'disabled' : ''}>
+                        <button id="detail-add" class="btn btn-primary btn-add" ${limit.max === 0 ? 'disabled' : ''}>
+                            ${limit.max === 0 ? 'Out of Stock' : 'Add to Cart'}
+                        </button>
+                        ${renderWishlistButton(product)}
+                    </div>
+                    <small class="text-muted d-block mt-1 detail-limit">${describeQuantityLimit(product)}</small>
+                </div>
+            </div>
+            <section id="product-reviews" class="mt-5"></section>
+        `;
+
+        bindWishlistButtons(detailEl, [product]);
+
+        const addBtn = document.getElementById('detail-add');
+        addBtn.addEventListener('click', () => {
+            const qty = parseInt(document.getElementById('detail-qty').value, 10);
+            if (!Number.isInteger(qty) || qty < 1) {
+                showFloatingMessage('Please choose a valid quantity.', 'danger');
+                return;
+            }
+            addToCart(product, qty);
+        });
+
+        await renderProductReviews(product);
+
+    } catch (error) {
+        console.error(error);
+        detailEl.innerHTML = `<div class="alert alert-danger">Failed to load product.</div>`;
+    }
+}
+
+/* =====================================================================
+   PRODUCT REVIEWS
+===================================================================== */
+
+/**
+ * Build one review, with Edit / Delete on the user's own
+ * @param {Object} review
+ * @param {boolean} mine
+ * @returns {string} HTML string
+ */
+function renderReview(review, mine) {
+    return `
+        <li class="review border-bottom py-3">
+            <div class="d-flex flex-wrap justify-content-between gap-2">
+                <div>
+                    ${renderStars(review.rating)}
+                    <strong class="ms-1 review-author">${escapeHtml(review.name)}</strong>
+                    ${mine ? '<span class="badge bg-secondary ms-1">You</span>' : ''}
+                </div>
+                <small class="text-muted">
+                    ${formatDate(review.createdAt)}${review.updatedAt ? ' · edited' : ''}
+                </small>
+            </div>
+            <p class="mb-1 mt-2 review-text">${escapeHtml(review.text)}</p>
+            ${mine ? `
+                <button type="button" class="btn btn-link btn-sm p-0 me-3 review-edit">Edit</button>
+                <button type="button" class="btn btn-link btn-sm p-0 text-danger review-delete">Delete</button>
+            ` : ''}
+        </li>
+    `;
+}
+
+/**
+ * Build the write / edit review form
+ * @param {Object|null} review - The user's current review when editing
+ * @returns {string} HTML string
+ */
+function renderReviewForm(review) {
+    return `
+        <form class="review-form border rounded p-3 mb-3" novalidate>
+            <h4 class="h6">${review ? 'Edit your review' : 'Write a review'}</h4>
+            <div class="mb-2" role="radiogroup" aria-label="Rating">
+                ${[1, 2, 3, 4, 5].map(stars => `
+                    <input type="radio" class="btn-check" name="review-rating" id="review-rating-${stars}"
+                           value="${stars}" ${review?.rating === stars ? 'checked' : ''}>
+                    <label class="btn btn-outline-warning btn-sm" for="review-rating-${stars}">
+                        ${stars} <i class="bi bi-star-fill"></i>
+                    </label>
+                `).join('')}
+            </div>
+            <textarea id="review-text" class="form-control form-control-sm mb-2" rows="3"
+                      maxlength="${MAX_REVIEW_LENGTH}" aria-label="Your review"
+                      placeholder="What did you like or dislike?">${escapeHtml(review?.text || '')}</textarea>
+            <div id="review-msg"></div>
+            <button type="submit" class="btn btn-primary btn-sm">${review ? 'Save Changes' : 'Submit Review'}</button>
+            ${review ? '<button type="button" class="btn btn-outline-secondary btn-sm ms-2 review-cancel">Cancel</button>' : ''}
+        </form>
+    `;
+}
+
+/**
+ * Render the reviews section of the product page: summary, sort,
+ * the user's form and the review list
+ * @param {Object} product
+ * @param {Object} [options]
+ * @param {string} [options.sort='newest'] - Key of REVIEW_SORTS
+ * @param {boolean} [options.editing=false] - Show the form for the user's own review
+ */
+async function renderProductReviews(product, { sort = 'newest', editing = false } = {}) {
+    const reviewsEl = document.getElementById('product-reviews');
+    if (!reviewsEl) return;
+
+    const user = getCurrentUser();
+    let reviews;
+    let summaries;
+    try {
+        [reviews, summaries] = await Promise.all([
+            getProductReviews(product.id, sort),
+            getRatingSummaries([product])
+        ]);
+    } catch (error) {
+        console.warn('Could not load reviews:', error);
+        reviewsEl.innerHTML = `<div class="alert alert-warning">Reviews could not be loaded.</div>`;
+        return;
+    }
+
+    const own = user ? reviews.find(review => review.email === user.email) : null;
+    const permission = canReview(user, product.id);
+
+    let formHtml = '';
+    if (!permission.ok) {
+        formHtml = `<p class="text-muted small">${permission.error}</p>`;
+    } else if (!own || editing) {
+        formHtml = renderReviewForm(own);
+    }
+
+    const ratingEl = document.querySelector('.detail-rating');
+    if (ratingEl) ratingEl.innerHTML = renderRatingSummary(summaries[product.id]);
+
+    reviewsEl.innerHTML = `
+        <div class="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-3">
+            <h3 class="h5 mb-0">Customer Reviews</h3>
+            <select id="review-sort" class="form-select form-select-sm w-auto" aria-label="Sort reviews">
+                ${Object.entries(REVIEW_SORTS).map(([value, label]) => `
+                    <option value="${value}" ${value === sort ? 'selected' : ''}>${label}</option>
+                `).join('')}
+            </select>
+        </div>
+        ${formHtml}
+        ${reviews.length ? `
+            <ul class="list-unstyled review-list">
+                ${reviews.map(review => renderReview(review, review === own)).join('')}
+            </ul>
+        ` : '<p class="text-muted">No reviews from our customers yet.</p>'}
+    `;
+
+    const rerender = (options = {}) => renderProductReviews(product, { sort, ...options });
+
+    reviewsEl.querySelector('#review-sort').addEventListener('change', (e) => rerender({ sort: e.target.value }));
+    reviewsEl.querySelector('.review-edit')?.addEventListener('click', () => rerender({ editing: true }));
+    reviewsEl.querySelector('.review-cancel')?.addEventListener('click', () => rerender());
+
+    reviewsEl.querySelector('.review-delete')?.addEventListener('click', async () => {
+        const result = await deleteReview(user, product.id);
+        if (!result.ok) return showFloatingMessage(result.error, 'danger', 3000);
+
+        showFloatingMessage('Your review was deleted.', 'info');
+        rerender();
+    });
+
+    reviewsEl.querySelector('.review-form')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const form = e.target;
+        const rating = Number(form.querySelector('[name="review-rating"]:checked')?.value);
+        const text = form.querySelector('#review-text').value;
+
+        const result = await submitReview(user, product.id, { rating, text });
+        if (!result.ok) return showMessage(form.querySelector('#review-msg'), 'danger', result.error);
+
+        showFloatingMessage(result.edited ? 'Your review was updated.' : 'Thanks for your review!', 'success');
+        rerender();
+    });
+}
+
+/* =====================================================================
+   CHECKOUT PAGE
+===================================================================== */
+
+/**
+ * Submit a saved order (simulated network request) and mark it placed
+ * @param {Object} order - Order record from createOrder()
+ * @returns {Promise<Object>} Updated order
+ */
+async function submitOrder(order) {
+    await new Promise(r => setTimeout(r, 1200));
+    return updateOrderStatus(order.email, order.id, ORDER_STATUS.PLACED);
+}
+
+/**
+ * In-progress checkout, kept in memory so card details survive Back / Next
+ * @type {{owner: string, state: Object}|null}
+ */
+let checkout = null;
+
+/**
+ * Return the checkout state for the user, loading it on first use
+ * @param {Object} user
+ * @returns {Object}
+ */
+function getCheckoutState(user) {
+    if (!checkout || checkout.owner !== user.email) {
+        checkout = { owner: user.email, state: loadCheckoutState(user) };
+    }
+    return checkout.state;
+}
+
+/**
+ * Switch the checkout to another step and re-render
+ * @param {Object} user
+ * @param {string} step - Step id from CHECKOUT_STEPS
+ */
+function goToCheckoutStep(user, step) {
+    const state = getCheckoutState(user);
+    state.step = step;
+    saveCheckoutState(user.email, state);
+    renderCheckout();
+}
+
+/**
+ * Build the step indicator
+ * @param {string} currentStep
+ * @returns {HTMLElement}
+ */
+function renderCheckoutStepper(currentStep) {
+    const currentIndex = CHECKOUT_STEPS.findIndex(step => step.id === currentStep);
+
+    const stepper = document.createElement('ol');
+    stepper.className = 'checkout-stepper col-12';
+    stepper.innerHTML = CHECKOUT_STEPS.map((step, i) => `
+        <li class="${i < currentIndex ? 'done' : ''} ${i === currentIndex ? 'active' : ''}">
+            <span class="step-num">${i + 1}</span>
+            <span class="step-label">${step.label}</span>
+        </li>
+    `).join('');
+
+    return stepper;
+}
+
+/**
+ * Build a labelled text input for a checkout form
+ * @param {Object} field
+ * @param {string} field.name - `group.field` path into the checkout state
+ * @param {string} field.label
+ * @param {string} [field.value='']
+ * @param {string} [field.col='col-12'] - Bootstrap column class
+ * @param {string} [field.placeholder='']
+ * @param {string} [field.autocomplete='']
+ * @returns {string}
+ */
+function checkoutField({ name, label, value = '', col = 'col-12', placeholder = '', autocomplete = '' }) {
+    const key = name.split('.').pop();
+    return `
+        <div class="${col}">
+            <label class="form-label small mb-1" for="co-${key}">${label}</label>
+            <input type="text" id="co-${key}" name="${name}" value="${value}"
+                   class="form-control form-control-sm"
+                   placeholder="${placeholder}" autocomplete="${autocomplete}">
+            <div class="invalid-feedback" data-error-for="${key}"></div>
+        </div>
+    `;
+}
+
+/**
+ * Wrap a step's fields in a form with Back / Continue buttons
+ * @param {string} step - Step id
+ * @param {string} title
+ * @param {string} body - Field markup
+ * @returns {HTMLFormElement}
+ */
+function checkoutStepForm(step, title, body) {
+    const next = CHECKOUT_STEPS.find(s => s.id === moveStep(step, 1));
+
+    const form = document.createElement('form');
+    form.className = 'checkout-panel p-4 border rounded bg-light mx-auto';
+    form.noValidate = true;
+    form.innerHTML = `
+        <h5 class="mb-3">${title}</h5>
+        ${body}
+        <div class="invalid-feedback" data-error-for="${step}"></div>
+        <div class="d-flex justify-content-between mt-4">
+            <button type="button" class="btn btn-outline-secondary checkout-back">Back</button>
+            <button type="submit" class="btn btn-primary checkout-next">Continue to ${next.label}</button>
+        </div>
+    `;
+    return form;
+}
+
+/**
+ * Show validation messages next to their fields
+ * @param {HTMLFormElement} form
+ * @param {Object<string, string>} errors
+ */
+function showCheckoutErrors(form, errors) {
+    form.querySelectorAll('.is-invalid').forEach(el => el.classList.remove('is-invalid'));
+    form.querySelectorAll('[data-error-for]').forEach(el => {
+        el.textContent = '';
+        el.classList.remove('d-block');
+    });
+
+    Object.entries(errors).forEach(([key, message]) => {
+        form.querySelectorAll(`[name$=".${key}"], [name="${key}"]`)
+            .forEach(input => input.classList.add('is-invalid'));
+
+        const feedback = form.querySelector(`[data-error-for="${key}"]`);
+        if (feedback) {
+            feedback.textContent = message;
+            feedback.classList.add('d-block');
+        }
+    });
+}
+
+/**
+ * Bind Back / Continue for a step form: copy inputs into state, validate, move
+ * @param {HTMLFormElement} form
+ * @param {Object} user
+ */
+function bindCheckoutStepForm(form, user) {
+    const state = getCheckoutState(user);
+
+    const collect = () => {
+        new FormData(form).forEach((value, name) => {
+            const [group, field] = name.split('.');
+            if (field) {
+                state[group][field] = value.trim();
+            } else {
+                state[group] = value;
+            }
+        });
+    };
+
+    form.querySelector('.checkout-back')?.addEventListener('click', () => {
+        collect();
+        goToCheckoutStep(user, moveStep(state.step, -1));
+    });
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        collect();
+
+        const errors = validateStep(state.step, state, getCart());
+        showCheckoutErrors(form, errors);
+        if (Object.keys(errors).length === 0) {
+            goToCheckoutStep(user, moveStep(state.step, 1));
+        }
+    });
+}
+
+/**
+ * Evaluate the promo code saved in the checkout against the cart
+ * @param {Object} state - Checkout state
+ * @param {Array<Object>} cart
+ * @returns {Object|null} evaluateCoupon() result, or null when no code is entered
+ */
+function getCheckoutPromotion(state, cart) {
+    return state.coupon ? evaluateCoupon(state.coupon, cart) : null;
+}
+
+/**
+ * Price breakdown for the current checkout (coupon, shipping and tax included)
+ * @param {Object} state - Checkout state
+ * @param {Array<Object>} cart
+ * @returns {{coupon: Object|null, totals: Object}} Applied coupon and calculateTotals() result
+ */
+function getCheckoutTotals(state, cart) {
+    const promotion = getCheckoutPromotion(state, cart);
+    const coupon = promotion?.valid
+        ? { code: promotion.coupon.code, discount: promotion.discount, freeShipping: promotion.freeShipping }
+        : null;
+
+    const totals = calculateTotals({
+        items: cart,
+        deliveryId: state.delivery,
+        address: state.shipping,
+        coupon
+    });
+    return { coupon, totals };
+}
+
+/**
+ * Build subtotal / discount / shipping / tax / total lines
+ * @param {Object} totals - calculateTotals() result
+ * @param {Object|null} coupon - Applied coupon
+ * @param {string} [shippingLabel='Shipping']
+ * @returns {string}
+ */
+function renderTotalsBreakdown(totals, coupon, shippingLabel = 'Shipping') {
+    const line = (label, amount, className = '') => `
+        <p class="d-flex justify-content-between mb-1 ${className}"><span>${label}</span><span>${amount}</span></p>
+    `;
+    const taxLabel = totals.state
+        ? `Tax (${totals.state} ${Number((totals.taxRate * 100).toFixed(3))}%)`
+        : 'Tax';
+
+    return `
+        <div class="checkout-totals">
+            ${line('Subtotal', `$${totals.subtotal.toFixed(2)}`)}
+            ${line(`Discount${coupon ? ` (${coupon.code})` : ''}`, `−$${totals.discount.toFixed(2)}`, 'text-success promo-discount')}
+            ${line(`${shippingLabel}${coupon?.freeShipping ? ` (${coupon.code})` : ''}`, `$${totals.shipping.toFixed(2)}`, 'checkout-shipping')}
+            ${line(taxLabel, `$${totals.tax.toFixed(2)}`, 'checkout-tax')}
+            ${line('Total', `$${totals.total.toFixed(2)}`, 'fw-bold checkout-total')}
+        </div>
+    `;
+}
+
+/**
+ * Promo code form and price breakdown for the cart summary
+ * @param {HTMLElement} summary
+ * @param {Object} user
+ * @param {Array<Object>} cart
+ */
+function renderPromoSummary(summary, user, cart) {
+    const state = getCheckoutState(user);
+    const promotion = getCheckoutPromotion(state, cart);
+    const { coupon, totals } = getCheckoutTotals(state, cart);
+    const delivery = getDeliveryOption(state.delivery);
+
+    const promoEl = document.createElement('div');
+    promoEl.className = 'promo-summary';
+    promoEl.innerHTML = `
+        <form class="promo-form input-group input-group-sm mb-2" novalidate>
+            <input type="text" id="promo-code" class="form-control" placeholder="Promo code"
+                   aria-label="Promo code" value="${state.coupon}">
+            <button type="submit" class="btn btn-outline-primary">Apply</button>
+        </form>
+        <div id="promo-msg"></div>
+        ${renderTotalsBreakdown(totals, coupon, `Shipping (${delivery.label}, est.)`)}
+    `;
+    summary.appendChild(promoEl);
+
+    const msgEl = promoEl.querySelector('#promo-msg');
+    if (promotion) {
+        const text = promotion.valid
+            ? `<strong>${promotion.coupon.code}</strong> applied: ${promotion.coupon.description}.`
+            : `<strong>${state.coupon}</strong> is not applied. ${promotion.error}`;
+
+        msgEl.innerHTML = `
+            <div class="alert alert-${promotion.valid ? 'success' : 'warning'} py-2 small d-flex justify-content-between align-items-center gap-2">
+                <span>${text}</span>
+                <button type="button" class="btn btn-link btn-sm p-0 promo-remove">Remove</button>
+            </div>
+        `;
+        msgEl.querySelector('.promo-remove').addEventListener('click', () => {
+            state.coupon = '';
+            saveCheckoutState(user.email, state);
+            renderCheckout();
+        });
+    }
+
+    promoEl.querySelector('.promo-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const code = promoEl.querySelector('#promo-code').value.trim().toUpperCase();
+        if (!code) return;
+
+        const result = evaluateCoupon(code, cart);
+        if (!result.valid) return showMessage(msgEl, 'danger', result.error);
+
+        state.coupon = code;
+        saveCheckoutState(user.email, state);
+        renderCheckout();
+    });
+}
+
+/**
+ * Step 1: cart items with quantity controls and a summary
+ * @param {HTMLElement} checkoutEl
+ * @param {Object} user
+ * @param {Array<Object>} cart
+ */
+function renderCartStep(checkoutEl, user, cart) {
+    const row = document.createElement('div');
+    row.className = 'row g-4 justify-content-center'; // Center cards on mobile
+
+    cart.forEach(item => {
+        const shortDescription = escapeHtml(truncateText(item.description, 100));
+        const { max } = getQuantityLimit(item);
+        const atLimit = item.qty >= max;
+
+        const col = document.createElement('div');
+        col.className = 'col-12 col-md-6 col-lg-3';
+        col.innerHTML = `
+            <div class="card h-100 shadow-sm">
+                <a href="product.html?id=${item.id}">
+                    <img src="${escapeHtml(item.image)}" class="card-img-top"
+                         style="height:200px; object-fit:contain">
+                </a>
+                <div class="card-body d-flex flex-column">
+                    <h5 class="card-title">
+                        <a href="product.html?id=${item.id}" class="product-link">${escapeHtml(item.title)}</a>
+                    </h5>
+
+                    <p class="card-text text-truncate-4"
+                       title="${escapeHtml(item.description)}">
+                       ${shortDescription}
+                    </p>
+
+                    <p class="fw-bold mt-auto">
+                        $${(item.price * item.qty).toFixed(2)}
+                    </p>
+
+                    <div class="d-flex justify-content-between align-items-center mt-2">
+                        <div class="d-flex align-items-center">
+                            <button class="btn btn-outline-secondary btn-sm qty-decrease"
+                                    data-id="${item.id}">−</button>
+                            <input type="number" class="form-control form-control-sm text-center mx-1 cart-qty-input"
+                                   data-id="${item.id}" value="${item.qty}" min="1" max="${max}"
+                                   style="width:64px" aria-label="Quantity of ${escapeHtml(item.title)}">
+                            <button class="btn btn-outline-secondary btn-sm qty-increase"
+                                    data-id="${item.id}" ${atLimit ? 'disabled' : ''}>+</button>
+                        </div>
+                        <button class="btn btn-danger btn-sm remove-btn ms-2"
+                                data-id="${item.id}">
+                            Remove
+                        </button>
+                    </div>
+                    ${atLimit ? `<small class="text-muted mt-1 cart-qty-limit">${describeQuantityLimit(item)}</small>` : ''}
+                    <button type="button" class="btn btn-link btn-sm p-0 mt-2 align-self-start save-later-btn"
+                            data-id="${item.id}">Save for later</button>
+                </div>
+            </div>
+        `;
+        row.appendChild(col);
+    });
+
+    checkoutEl.appendChild(row);
+
+    // Quantity and remove handlers
+    checkoutEl.querySelectorAll('.qty-increase, .qty-decrease, .remove-btn')
+        .forEach(btn => {
+            btn.addEventListener('click', () => {
+                const id = Number(btn.dataset.id);
+                if (btn.classList.contains('qty-increase')) updateQuantity(id, 1);
+                if (btn.classList.contains('qty-decrease')) updateQuantity(id, -1);
+                if (btn.classList.contains('remove-btn')) removeItem(id);
+                renderCheckout();
+            });
+        });
+
+    checkoutEl.querySelectorAll('.save-later-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            saveForLater(user.email, Number(btn.dataset.id));
+            showFloatingMessage('Saved for later. You can move it back below your cart.', 'info', 3000);
+            updateCartUI();
+            renderCheckout();
+        });
+    });
+
+    checkoutEl.querySelectorAll('.cart-qty-input').forEach(input => {
+        input.addEventListener('change', () => {
+            const qty = Number(input.value);
+            if (!Number.isInteger(qty) || qty < 1) {
+                showFloatingMessage('Please enter a whole number of at least 1, or use Remove.', 'danger', 3000);
+                return renderCheckout();
+            }
+            setQuantity(Number(input.dataset.id), qty);
+        });
+    });
+
+    // Cart summary
+    const summary = document.createElement('div');
+    summary.className = 'checkout-summary p-4 border rounded bg-light mx-auto mt-4';
+    summary.style.maxWidth = '400px';
+    summary.innerHTML = `
+        <h5>Cart Summary</h5>
+        <p><strong>Total Items:</strong> ${cartCount()}</p>
+    `;
+    renderPromoSummary(summary, user, cart);
+    summary.insertAdjacentHTML('beforeend', `
+        <button type="button" class="btn btn-primary w-100 checkout-next">Continue to Shipping</button>
+    `);
+    checkoutEl.appendChild(summary);
+
+    summary.querySelector('.checkout-next').addEventListener('click', () => {
+        goToCheckoutStep(user, moveStep('cart', 1));
+    });
+
+    renderSavedItems(checkoutEl, user);
+}
+
+/**
+ * List the items saved for later below the cart, each with "Move to Cart"
+ * @param {HTMLElement} checkoutEl
+ * @param {Object} user
+ */
+function renderSavedItems(checkoutEl, user) {
+    const saved = readSavedItems(user.email);
+    if (saved.length === 0) return;
+
+    const section = document.createElement('div');
+    section.className = 'saved-items p-4 border rounded mx-auto mt-4';
+    section.style.maxWidth = '600px';
+    section.innerHTML = `
+        <h5>Saved for Later (${saved.length})</h5>
+        <ul class="list-group">
+            ${saved.map(item => `
+                <li class="list-group-item d-flex flex-wrap justify-content-between align-items-center gap-2">
+                    <div>
+                        <a href="product.html?id=${item.id}" class="product-link">${escapeHtml(item.title)}</a>
+                        <div class="small text-muted">${item.qty} × $${item.price.toFixed(2)}</div>
+                    </div>
+                    <div class="d-flex gap-2">
+                        <button type="button" class="btn btn-primary btn-sm move-to-cart-btn"
+                                data-id="${item.id}">Move to Cart</button>
+                        <button type="button" class="btn btn-outline-danger btn-sm saved-remove-btn"
+                                data-id="${item.id}">Remove</button>
+                    </div>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+    checkoutEl.appendChild(section);
+
+    section.querySelectorAll('.move-to-cart-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const result = moveToCart(user.email, Number(btn.dataset.id));
+            if (!result.ok) return showFloatingMessage(result.error, 'danger', 3000);
+
+            if (result.message) {
+                showFloatingMessage(result.message, 'info', 3000);
+            } else {
+                showFloatingMessage('Moved to your cart!', 'success');
+            }
+            updateCartUI();
+            renderCheckout();
+        });
+    });
+
+    section.querySelectorAll('.saved-remove-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            removeSavedItem(user.email, Number(btn.dataset.id));
+            renderCheckout();
+        });
+    });
+}
+
+/**
+ * Step 2: shipping address, prefilled from the profile
+ * @param {HTMLElement} checkoutEl
+ * @param {Object} user
+ */
+function renderShippingStep(checkoutEl, user) {
+    const { shipping } = getCheckoutState(user);
+
+    const form = checkoutStepForm('shipping', 'Shipping Address', `
+        <div class="row g-2">
+            ${checkoutField({ name: 'shipping.fullName', label: 'Full Name', value: shipping.fullName, autocomplete: 'name' })}
+            ${checkoutField({ name: 'shipping.street', label: 'Street Address', value: shipping.street, autocomplete: 'street-address' })}
+            ${checkoutField({ name: 'shipping.city', label: 'City', value: shipping.city, col: 'col-12 col-sm-5', autocomplete: 'address-level2' })}
+            ${checkoutField({ name: 'shipping.state', label: 'State', value: shipping.state, col: 'col-6 col-sm-3', placeholder: 'NY', autocomplete: 'address-level1' })}
+            ${checkoutField({ name: 'shipping.zip', label: 'ZIP', value: shipping.zip, col: 'col-6 col-sm-4', autocomplete: 'postal-code' })}
+        </div>
+    `);
+
+    checkoutEl.appendChild(form);
+    bindCheckoutStepForm(form, user);
+}
+
+/**
+ * Step 3: delivery method
+ * @param {HTMLElement} checkoutEl
+ * @param {Object} user
+ */
+function renderDeliveryStep(checkoutEl, user) {
+    const state = getCheckoutState(user);
+    const { delivery } = state;
+    const cart = getCart();
+
+    // Priced like the order totals: after any discount, and free with a free-shipping coupon
+    const shippingCost = (deliveryId) => getCheckoutTotals({ ...state, delivery: deliveryId }, cart).totals.shipping;
+    const formatShippingCost = (cost) => (cost === 0 ? 'Free' : `$${cost.toFixed(2)}`);
+
+    const form = checkoutStepForm('delivery', 'Delivery Method', `
+        <div class="list-group">
+            ${DELIVERY_OPTIONS.map(option => `
+                <label class="list-group-item d-flex justify-content-between align-items-center gap-2">
+                    <span>
+                        <input class="form-check-input me-2" type="radio" name="delivery"
+                               value="${option.id}" ${option.id === delivery ? 'checked' : ''}>
+                        <strong>${option.label}</strong>
+                        <span class="small text-muted d-block ms-4">${option.description}</span>
+                    </span>
+                    <span class="fw-bold">${formatShippingCost(shippingCost(option.id))}</span>
+                </label>
+            `).join('')}
+        </div>
+    `);
+
+    checkoutEl.appendChild(form);
+    bindCheckoutStepForm(form, user);
+}
+
+/**
+ * Step 4: payment method and card details
+ * @param {HTMLElement} checkoutEl
+ * @param {Object} user
+ */
+function renderPaymentStep(checkoutEl, user) {
+    const { payment } = getCheckoutState(user);
+    const isCard = payment.method === 'card';
+
+    const form = checkoutStepForm('payment', 'Payment', `
+        <div class="d-flex gap-3 mb-3">
+            <label class="form-check">
+                <input class="form-check-input" type="radio" name="payment.method" value="card"
+                       ${isCard ? 'checked' : ''}>
+                <span class="form-check-label">Credit / Debit Card</span>
+            </label>
+            <label class="form-check">
+                <input class="form-check-input" type="radio" name="payment.method" value="cod"
+                       ${isCard ? '' : 'checked'}>
+                <span class="form-check-label">Cash on Delivery</span>
+            </label>
+        </div>
+
+        <div id="card-fields" class="row g-2 ${isCard ? '' : 'd-none'}">
+            ${checkoutField({ name: 'payment.cardName', label: 'Name on Card', value: payment.cardName, autocomplete: 'cc-name' })}
+            ${checkoutField({ name: 'payment.cardNumber', label: 'Card Number', value: payment.cardNumber, placeholder: '1234 5678 9012 3456', autocomplete: 'cc-number' })}
+            ${checkoutField({ name: 'payment.expiry', label: 'Expiry', value: payment.expiry, col: 'col-6', placeholder: 'MM/YY', autocomplete: 'cc-exp' })}
+            ${checkoutField({ name: 'payment.cvc', label: 'CVC', value: payment.cvc, col: 'col-6', placeholder: '123', autocomplete: 'cc-csc' })}
+        </div>
+    `);
+
+    form.querySelectorAll('[name="payment.method"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            form.querySelector('#card-fields').classList.toggle('d-none', radio.value !== 'card');
+        });
+    });
+
+    checkoutEl.appendChild(form);
+    bindCheckoutStepForm(form, user);
+}
+
+/**
+ * Ask the user to complete a simulated 3-D Secure challenge
+ * @param {HTMLElement} container - Where to show the challenge
+ * @returns {Promise<boolean>} true if the user authenticated
+ */
+function showThreeDSecureChallenge(container) {
+    return new Promise(resolve => {
+        container.innerHTML = `
+            <div class="alert alert-warning py-2 text-center threeds-challenge">
+                <strong>Verify this payment</strong><br>
+                Your bank requires 3-D Secure authentication.
+                <div class="d-flex gap-2 justify-content-center mt-2">
+                    <button type="button" class="btn btn-success btn-sm threeds-approve">Authenticate</button>
+                    <button type="button" class="btn btn-outline-danger btn-sm threeds-cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        const finish = (approved) => {
+            container.innerHTML = '';
+            resolve(approved);
+        };
+        container.querySelector('.threeds-approve').addEventListener('click', () => finish(true));
+        container.querySelector('.threeds-cancel').addEventListener('click', () => finish(false));
+    });
+}
+
+/**
+ * Charge a card through the payment gateway, handling 3-D Secure
+ * @param {Object} card - Card fields from the payment step
+ * @param {number} amount
+ * @param {HTMLElement} msgEl - Container for the 3-D Secure challenge
+ * @returns {Promise<Object>} Final payment result
+ */
+async function processCardPayment(card, amount, msgEl) {
+    const gateway = getPaymentGateway();
+    let result = await gateway.charge({ amount, currency: 'USD', card });
+
+    if (result.status === PAYMENT_STATUS.REQUIRES_ACTION) {
+        const approved = await showThreeDSecureChallenge(msgEl);
+        result = await gateway.confirmAction(result.id, approved);
+    }
+
+    return result;
+}
+
+/**
+ * Compare the cart with the current catalog (fetched fresh, not from the cache)
+ * @param {Array<Object>} cart
+ * @returns {Promise<{ok: boolean, error?: string, cart?: Array<Object>, changes?: Array<Object>}>}
+ */
+async function checkCurrentPrices(cart) {
+    try {
+        return { ok: true, ...checkCartPrices(cart, await getCatalog().list({ fresh: true })) };
+    } catch (error) {
+        console.warn('Price check failed:', error);
+        return { ok: false, error: 'We could not confirm current prices. Please try again.' };
+    }
+}
+
+/**
+ * List what changed since the items were added; accepting saves the updated cart,
+ * which re-renders the review step with the new totals
+ * @param {HTMLElement} container
+ * @param {{cart: Array<Object>, changes: Array<Object>}} check - Result of checkCartPrices()
+ */
+function renderPriceChanges(container, { cart, changes }) {
+    container.innerHTML = `
+        <div class="alert alert-warning price-changes">
+            <strong>Some items have changed since you added them to your cart.</strong>
+            <ul class="mt-2 mb-2">
+                ${changes.map(change => `
+                    <li data-change="${change.type}">
+                        ${escapeHtml(describeCartChange(change))}
+                        ${change.type === CART_CHANGE.PRICE && change.pricedAt ? `
+                            <small class="d-block text-muted">Price in your cart since ${formatDate(change.pricedAt)}</small>
+                        ` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+            <p class="small mb-2">Accept the changes to see your updated total before placing the order.</p>
+            <button type="button" class="btn btn-warning btn-sm accept-changes">Accept changes</button>
+        </div>
+    `;
+    container.querySelector('.accept-changes').addEventListener('click', () => saveCart(cart));
+}
+
+/**
+ * Step 5: review everything and place the order
+ * @param {HTMLElement} checkoutEl
+ * @param {Object} user
+ * @param {Array<Object>} cart
+ */
+function renderReviewStep(checkoutEl, user, cart) {
+    const state = getCheckoutState(user);
+    const delivery = getDeliveryOption(state.delivery);
+    const { coupon, totals } = getCheckoutTotals(state, cart);
+    const { total } = totals;
+    const cardDigits = state.payment.cardNumber.replace(/\D/g, '');
+
+    const paymentLabel = state.payment.method === 'card'
+        ? `${detectCardBrand(cardDigits).toUpperCase()} card ending in ${cardDigits.slice(-4)}`
+        : 'Cash on Delivery';
+
+    const editLink = (step) => `
+        <button type="button" class="btn btn-link btn-sm p-0 checkout-edit" data-step="${step}">Edit</button>
+    `;
+
+    const panel = document.createElement('div');
+    panel.className = 'checkout-panel p-4 border rounded bg-light mx-auto';
+    panel.innerHTML = `
+        <h5 class="mb-3">Review Your Order</h5>
+
+        <ul class="list-group mb-3">
+            ${cart.map(item => `
+                <li class="list-group-item d-flex justify-content-between">
+                    <span>${escapeHtml(item.title)} × ${item.qty}</span>
+                    <span>$${(item.price * item.qty).toFixed(2)}</span>
+                </li>
+            `).join('')}
+        </ul>
+
+        <div class="d-flex justify-content-between">
+            <strong>Ship to</strong>${editLink('shipping')}
+        </div>
+        <p class="small">${escapeHtml(state.shipping.fullName)}<br>${escapeHtml(formatAddress(state.shipping))}</p>
+
+        <div class="d-flex justify-content-between">
+            <strong>Delivery</strong>${editLink('delivery')}
+        </div>
+        <p class="small">${delivery.label} — ${delivery.description}</p>
+
+        <div class="d-flex justify-content-between">
+            <strong>Payment</strong>${editLink('payment')}
+        </div>
+        <p class="small">${paymentLabel}</p>
+
+        <hr>
+        ${renderTotalsBreakdown(totals, coupon, 'Delivery')}
+
+        <div id="price-changes" class="mt-2"></div>
+        <div id="payment-msg" class="mt-2"></div>
+
+        <div class="d-flex justify-content-between mt-3">
+            <button type="button" class="btn btn-outline-secondary checkout-back">Back</button>
+            <button id="place-order-btn" class="btn btn-success">
+                <span id="placeOrderText">Place Order</span>
+                <span id="placeOrderSpinner"
+                      class="spinner-border spinner-border-sm d-none ms-2"></span>
+            </button>
+        </div>
+    `;
+    checkoutEl.appendChild(panel);
+
+    panel.querySelectorAll('.checkout-edit').forEach(btn => {
+        btn.addEventListener('click', () => goToCheckoutStep(user, btn.dataset.step));
+    });
+    panel.querySelector('.checkout-back').addEventListener('click', () => {
+        goToCheckoutStep(user, moveStep('review', -1));
+    });
+
+    document.getElementById('place-order-btn')?.addEventListener('click', async () => {
+        // Re-check every step in case the cart or saved data changed
+        const invalidStep = CHECKOUT_STEPS
+            .map(step => step.id)
+            .find(step => Object.keys(validateStep(step, state, getCart())).length > 0);
+        if (invalidStep) return goToCheckoutStep(user, invalidStep);
+
+        const button = document.getElementById('place-order-btn');
+        const text = document.getElementById('placeOrderText');
+        const spinner = document.getElementById('placeOrderSpinner');
+        const msgEl = document.getElementById('payment-msg');
+
+        const setBusy = (busy, label) => {
+            button.disabled = busy;
+            text.textContent = label;
+            spinner.classList.toggle('d-none', !busy);
+        };
+
+        msgEl.innerHTML = '';
+
+        // Prices and stock may have changed since the items were added.
+        // Offline cash orders are queued without the check.
+        if (isOnline()) {
+            setBusy(true, 'Checking prices...');
+            const check = await checkCurrentPrices(cart);
+            setBusy(false, 'Place Order');
+
+            if (!check.ok) return showMessage(msgEl, 'danger', check.error);
+            if (check.changes.length) {
+                button.disabled = true;
+                return renderPriceChanges(document.getElementById('price-changes'), check);
+            }
+        }
+
+        let payment = { method: 'cod' };
+
+        if (state.payment.method === 'card') {
+            if (!isOnline()) {
+                return showMessage(msgEl, 'danger',
+                    'Card payments need an internet connection. Reconnect or choose Cash on Delivery.');
+            }
+
+            setBusy(true, 'Processing payment...');
+            const result = await processCardPayment(state.payment, total, msgEl);
+
+            if (result.status !== PAYMENT_STATUS.SUCCEEDED) {
+                setBusy(false, 'Place Order');
+                return showMessage(msgEl, 'danger',
+                    `Payment failed: ${result.message} Your cart has not been changed.`);
+            }
+
+            payment = {
+                method: 'card',
+                brand: detectCardBrand(cardDigits),
+                last4: cardDigits.slice(-4),
+                transactionId: result.id
+            };
+            showMessage(msgEl, 'success', 'Payment approved.');
+        }
+
+        setBusy(true, 'Placing...');
+
+        // The cart this step was rendered with is the one that was charged
+        const order = saveOrder(createOrder({
+            email: user.email,
+            items: cart,
+            shippingAddress: { ...state.shipping },
+            delivery,
+            payment,
+            coupon,
+            status: ORDER_STATUS.PENDING
+        }));
+
+        if (isOnline()) {
+            await submitOrder(order);
+            showFloatingMessage('Order placed successfully!');
+        } else {
+            enqueueAction('place-order', order);
+            showFloatingMessage('You are offline. Your order will be placed when you reconnect.', 'info', 3000);
+        }
+
+        clearCheckoutState(user.email);
+        checkout = null;
+        removeCartItems(user.email, cart);
+        updateCartUI();
+        renderCheckout();
+        setTimeout(() => navigateTo('store.html'), 1500);
+    });
+}
+
+/**
+ * Renderers for each checkout step, keyed by step id
+ * @constant {Object<string, Function>}
+ */
+const CHECKOUT_STEP_RENDERERS = {
+    cart: renderCartStep,
+    shipping: renderShippingStep,
+    delivery: renderDeliveryStep,
+    payment: renderPaymentStep,
+    review: renderReviewStep
+};
+
+/**
+ * Render checkout UI for the current step and bind interactions
+ */
+function renderCheckout() {
+    const checkoutEl = document.getElementById('checkout-container');
+    if (!checkoutEl) return;
+
+    const user = getCurrentUser();
+    if (!user) return navigateTo('login.html');
+
+    const cart = getCart();
+    if (cart.length === 0) {
+        checkoutEl.innerHTML = `<div class="fs-4 text-center">Your cart is empty.</div>`;
+        renderSavedItems(checkoutEl, user);
+        return;
+    }
+
+    const state = getCheckoutState(user);
+
+    checkoutEl.innerHTML = '';
+    checkoutEl.appendChild(renderCheckoutStepper(state.step));
+    (CHECKOUT_STEP_RENDERERS[state.step] || renderCartStep)(checkoutEl, user, cart);
+}
+
+/* =====================================================================
+   ORDER HISTORY (PROFILE PAGE)
+===================================================================== */
+
+/**
+ * Format an ISO date for display
+ * @param {string} iso
+ * @returns {string}
+ */
+function formatDate(iso) {
+    return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Put an order's items back into the cart, adding to existing quantities
+ * (capped by each product's limits)
+ * @param {Object} order
+ */
+function reorder(order) {
+    saveCart(mergeCartItems(getCart(), order.items, { limit: item => getQuantityLimit(item).max }));
+    showFloatingMessage('Items added to your cart!', 'success');
+}
+
+/**
+ * Render a single order's details. Orders can come from an imported file,
+ * so every text field is escaped.
+ * @param {HTMLElement} detailEl
+ * @param {Object} order
+ */
+function renderOrderDetail(detailEl, order) {
+    const rows = order.items.map(item => `
+        <tr>
+            <td><a href="product.html?id=${escapeHtml(item.id)}" class="product-link">${escapeHtml(item.title)}</a></td>
+            <td class="text-center">${item.qty}</td>
+            <td class="text-end">$${item.price.toFixed(2)}</td>
+            <td class="text-end">$${(item.price * item.qty).toFixed(2)}</td>
+        </tr>
+    `).join('');
+
+    detailEl.innerHTML = `
+        <div class="d-flex justify-content-between align-items-center mb-2">
+            <h6 class="fw-bold mb-0">Order ${escapeHtml(order.id)}</h6>
+            <span class="badge order-status order-status-${escapeHtml(order.status)}">${escapeHtml(order.status)}</span>
+        </div>
+        <p class="small text-muted mb-2">Placed ${formatDate(order.createdAt)}</p>
+        <p class="small mb-2">
+            <strong>Ship to:</strong>
+            ${escapeHtml([order.shippingAddress?.fullName, formatAddress(order.shippingAddress)].filter(Boolean).join(', ')) || '—'}
+        </p>
+        ${order.delivery ? `<p class="small mb-2"><strong>Delivery:</strong> ${escapeHtml(order.delivery.label)}</p>` : ''}
+        ${order.payment ? `
+            <p class="small mb-2"><strong>Payment:</strong>
+                ${order.payment.method === 'card'
+                    ? `${escapeHtml((order.payment.brand || 'card').toUpperCase())} ending in ${escapeHtml(order.payment.last4)}`
+                    : 'Cash on Delivery'}
+            </p>` : ''}
+
+        <div class="table-responsive">
+            <table class="table table-sm align-middle mb-2">
+                <thead>
+                    <tr><th>Item</th><th class="text-center">Qty</th><th class="text-end">Price</th><th class="text-end">Total</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+
+        <p class="text-end mb-1"><strong>Subtotal:</strong> $${order.totals.subtotal.toFixed(2)}</p>
+        ${order.totals.discount ? `
+            <p class="text-end mb-1 text-success"><strong>Discount${order.coupon ? ` (${escapeHtml(order.coupon)})` : ''}:</strong> −$${order.totals.discount.toFixed(2)}</p>
+        ` : ''}
+        <p class="text-end mb-1"><strong>Delivery:</strong> $${(order.totals.shipping || 0).toFixed(2)}</p>
+        ${order.totals.tax ? `<p class="text-end mb-1"><strong>Tax:</strong> $${order.totals.tax.toFixed(2)}</p>` : ''}
+        <p class="text-end fw-bold"><strong>Total:</strong> $${order.totals.total.toFixed(2)}</p>
+
+        <div class="d-flex justify-content-between">
+            <button type="button" class="btn btn-outline-secondary btn-sm order-back">Back to Orders</button>
+            <button type="button" class="btn btn-primary btn-sm order-reorder">Reorder</button>
+        </div>
+    `;
+
+    detailEl.querySelector('.order-reorder').addEventListener('click', () => reorder(order));
+}
+
+/**
+ * Render the "My Orders" list and bind view / reorder actions (text escaped
+ * as in renderOrderDetail)
+ */
+function renderOrderHistory() {
+    const historyEl = document.getElementById('order-history');
+    const detailEl = document.getElementById('order-detail');
+    if (!historyEl) return;
+
+    const user = getCurrentUser();
+    if (!user) return;
+
+    const orders = getOrders(user.email);
+    if (orders.length === 0) {
+        historyEl.innerHTML = `<p class="text-muted mb-0">You have no orders yet.</p>`;
+        return;
+    }
+
+    historyEl.innerHTML = `
+        <ul class="list-group">
+            ${orders.map(order => `
+                <li class="list-group-item d-flex flex-wrap justify-content-between align-items-center gap-2">
+                    <div>
+                        <div class="fw-semibold">${escapeHtml(order.id)}</div>
+                        <div class="small text-muted">
+                            ${formatDate(order.createdAt)} ·
+                            ${order.items.reduce((sum, item) => sum + item.qty, 0)} items ·
+                            $${order.totals.total.toFixed(2)}
+                        </div>
+                    </div>
+                    <div class="d-flex align-items-center gap-2">
+                        <span class="badge order-status order-status-${escapeHtml(order.status)}">${escapeHtml(order.status)}</span>
+                        <button type="button" class="btn btn-outline-primary btn-sm order-view"
+                                data-id="${escapeHtml(order.id)}">View</button>
+                        <button type="button" class="btn btn-primary btn-sm order-reorder"
+                                data-id="${escapeHtml(order.id)}">Reorder</button>
+                    </div>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+
+    const showList = () => {
+        detailEl?.classList.add('d-none');
+        historyEl.classList.remove('d-none');
+    };
+
+    historyEl.querySelectorAll('.order-view, .order-reorder').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const order = getOrder(user.email, btn.dataset.id);
+            if (!order) return;
+
+            if (btn.classList.contains('order-reorder')) return reorder(order);
+            if (!detailEl) return;
+
+            renderOrderDetail(detailEl, order);
+            detailEl.querySelector('.order-back').addEventListener('click', showList);
+            historyEl.classList.add('d-none');
+            detailEl.classList.remove('d-none');
+        });
+    });
+}
+
+/* =====================================================================
+   OFFLINE SUPPORT
+===================================================================== */
+
+/**
+ * Register the service worker that precaches pages and assets
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('sw.js').catch(error => console.error(error));
+}
+
+/**
+ * Replay actions queued while offline and report placed orders
+ */
+async function replayOfflineActions() {
+    if (!isOnline()) return;
+
+    const { replayed } = await flushQueue();
+    if (replayed > 0) {
+        renderOrderHistory();
+        showFloatingMessage(`${replayed} queued order${replayed > 1 ? 's' : ''} placed.`, 'success', 3000);
+    }
+}
+
+registerActionHandler('place-order', submitOrder);
+
+/* =====================================================================
+   GLOBAL EVENT LISTENERS
+===================================================================== */
+document.getElementById('btn-login-state')
+    ?.addEventListener('click', () => navigateTo('login.html'));
+
+document.getElementById('btn-logout')
+    ?.addEventListener('click', authLogout);
+
+document.getElementById('cart-btn')
+    ?.addEventListener('click', () => navigateTo('checkout.html'));
+
+window.addEventListener('online', replayOfflineActions);
+
+/* =====================================================================
+   CROSS-TAB SYNC
+===================================================================== */
+
+/**
+ * Checkout steps that show cart lines and are re-rendered when the cart
+ * changes in another tab (form steps are left alone so typing is not lost)
+ * @constant {Array<string>}
+ */
+const LIVE_CHECKOUT_STEPS = ['cart', 'review'];
+
+/**
+ * Refresh the badge and checkout after another tab changed the cart
+ * @param {Array<Object>} cart
+ */
+function onCartChangedElsewhere(cart) {
+    updateCartUI();
+
+    const user = getCurrentUser();
+    if (!user) return;
+    if (cart.length === 0 || LIVE_CHECKOUT_STEPS.includes(getCheckoutState(user).step)) {
+        renderCheckout();
+    }
+}
+
+/**
+ * Follow a login or logout that happened in another tab
+ */
+function onSessionChangedElsewhere() {
+    setupNavbarLogic();
+    updateNav();
+}
+
+watchCart(() => getCurrentUser()?.email, onCartChangedElsewhere);
+watchSession(onSessionChangedElsewhere);
 
 /* =====================================================================
    PAGE LOAD
@@ -374,7 +2004,13 @@ document.getElementById('cart-btn')
 window.addEventListener('DOMContentLoaded', () => {
     updateNav();
     loadStoreProducts();
+    loadProductDetail();
     renderCheckout();
+    recheckCartStock();
+    renderOrderHistory();
+    renderWishlist();
+    registerServiceWorker();
+    replayOfflineActions();
 });
 
 /* =====================================================================
@@ -386,6 +2022,7 @@ export {
     getCart,
     saveCart,
     addToCart,
+    setQuantity,
     updateQuantity,
     removeItem,
     cartCount,
@@ -394,5 +2031,9 @@ export {
     updateNav,
     showFloatingMessage,
     loadStoreProducts,
-    renderCheckout
+    loadProductDetail,
+    renderCheckout,
+    renderOrderHistory,
+    renderWishlist,
+    reorder
 };
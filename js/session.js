@@ -0,0 +1,258 @@
+/* ============================================================================
+   SESSION MODULE
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Creating a session at login (token, expiry, optional idle timeout)
+   - Reading the active session from sessionStorage (this tab only) or
+     localStorage ("Remember Me", shared by every tab). A tab's own session
+     wins, and never removes another user's remembered session
+   - Expiring sessions that are too old, have been idle too long, were
+     started before the user's password last changed, or belong to a
+     deleted account
+   - Ending the session on logout, optionally in every open tab
+   - Telling a tab when another tab logs in or out
+
+   Session shape:
+   { token, user, remember, createdAt, expiresAt, lastActiveAt, idleTimeout }
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { getConfig } from './config.js';
+import { toPublicUser, getPasswordChangedAt, isUserDeleted } from './credentials.js';
+
+/* ============================================================================
+   CONSTANTS
+============================================================================ */
+
+/**
+ * Storage key for the session, in either localStorage or sessionStorage.
+ * @constant {string}
+ */
+export const SESSION_KEY = 'fs_session';
+
+/**
+ * localStorage key written on logout so other tabs end their session too.
+ * sessionStorage sessions are per tab and raise no storage events themselves.
+ * @constant {string}
+ */
+export const LOGOUT_SIGNAL_KEY = 'fs_logout';
+
+/** Key used before sessions existed (a bare user object) */
+const LEGACY_USER_KEY = 'activeUser';
+
+/** Minimum time between `lastActiveAt` writes, in ms */
+const TOUCH_INTERVAL = 60 * 1000;
+
+/* ============================================================================
+   INTERNAL UTILITIES
+============================================================================ */
+
+/**
+ * Generates a random session token.
+ *
+ * @returns {string} 32 hex characters
+ */
+function generateToken() {
+    const bytes = globalThis.crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Returns the storage a session belongs in.
+ *
+ * @param {boolean} remember
+ * @returns {Storage}
+ */
+function storageFor(remember) {
+    return remember ? localStorage : sessionStorage;
+}
+
+/**
+ * Reads the session kept in one storage.
+ *
+ * @param {Storage} storage
+ * @returns {Object|null}
+ */
+function readStoredSession(storage) {
+    const saved = storage.getItem(SESSION_KEY);
+    return saved ? JSON.parse(saved) : null;
+}
+
+/**
+ * Checks whether the remembered session belongs to the user of a tab session.
+ * Without a tab session, the remembered one is this tab's own.
+ *
+ * @param {Object|null} tabSession
+ * @returns {boolean}
+ */
+function ownsRememberedSession(tabSession) {
+    return !tabSession || readStoredSession(localStorage)?.user.email === tabSession.user.email;
+}
+
+/**
+ * Writes a session to its storage and clears the user's copy from the other
+ * one. A remembered session of another user is left for the other tabs.
+ *
+ * @param {Object} session
+ */
+function writeSession(session) {
+    storageFor(session.remember).setItem(SESSION_KEY, JSON.stringify(session));
+
+    if (session.remember) {
+        sessionStorage.removeItem(SESSION_KEY);
+    } else if (ownsRememberedSession(session)) {
+        localStorage.removeItem(SESSION_KEY);
+    }
+}
+
+/**
+ * Reads the stored session without checking expiry.
+ * A bare `activeUser` from older versions is converted into a session.
+ *
+ * @returns {Object|null}
+ */
+function readSession() {
+    const saved = readStoredSession(sessionStorage) || readStoredSession(localStorage);
+    if (saved) return saved;
+
+    const legacyLocal = localStorage.getItem(LEGACY_USER_KEY);
+    const legacy = legacyLocal || sessionStorage.getItem(LEGACY_USER_KEY);
+    if (!legacy) return null;
+
+    localStorage.removeItem(LEGACY_USER_KEY);
+    sessionStorage.removeItem(LEGACY_USER_KEY);
+    return createSession(JSON.parse(legacy), { remember: Boolean(legacyLocal) });
+}
+
+/* ============================================================================
+   PUBLIC API
+============================================================================ */
+
+/**
+ * Starts a new session for a user, replacing any existing one.
+ *
+ * @param {Object} user - Authenticated user (secrets are stripped)
+ * @param {Object} [options]
+ * @param {boolean} [options.remember=false] - Keep the session after the browser closes
+ * @param {number} [options.ttl] - Lifetime in ms (defaults from config)
+ * @param {number} [options.idleTimeout] - Idle limit in ms, 0 to disable (defaults from config)
+ * @returns {Object} Session
+ */
+export function createSession(user, { remember = false, ttl, idleTimeout } = {}) {
+    const config = getConfig();
+    const now = Date.now();
+
+    const session = {
+        token: generateToken(),
+        user: toPublicUser(user),
+        remember,
+        createdAt: now,
+        expiresAt: now + (ttl ?? (remember ? config.rememberedSessionTtl : config.sessionTtl)),
+        lastActiveAt: now,
+        idleTimeout: idleTimeout ?? (remember ? 0 : config.sessionIdleTimeout)
+    };
+
+    writeSession(session);
+    return session;
+}
+
+/**
+ * Returns the active session, or null if there is none or it has expired.
+ * Reading the session counts as activity for the idle timeout.
+ *
+ * @returns {Object|null}
+ */
+export function getSession() {
+    const session = readSession();
+    if (!session) return null;
+
+    const now = Date.now();
+    const idle = session.idleTimeout > 0 && now - session.lastActiveAt > session.idleTimeout;
+    const passwordChanged = getPasswordChangedAt(session.user.email) > session.createdAt;
+
+    if (now >= session.expiresAt || idle || passwordChanged || isUserDeleted(session.user.email)) {
+        endSession();
+        return null;
+    }
+
+    if (now - session.lastActiveAt > TOUCH_INTERVAL) {
+        session.lastActiveAt = now;
+        writeSession(session);
+    }
+
+    return session;
+}
+
+/**
+ * Returns the user of the active session.
+ *
+ * @returns {Object|null}
+ */
+export function getSessionUser() {
+    return getSession()?.user || null;
+}
+
+/**
+ * Replaces the user stored in the active session (e.g. after a profile edit).
+ *
+ * @param {Object} user
+ * @returns {boolean} false if there is no active session
+ */
+export function updateSessionUser(user) {
+    const session = getSession();
+    if (!session) return false;
+
+    session.user = toPublicUser(user);
+    writeSession(session);
+    return true;
+}
+
+/**
+ * Ends the active session (and any legacy `activeUser`). A remembered
+ * session of another user than this tab's stays signed in.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.everywhere=false] - Also end this user's session in other tabs
+ */
+export function endSession({ everywhere = false } = {}) {
+    const email = everywhere ? readSession()?.user.email : null;
+
+    if (ownsRememberedSession(readStoredSession(sessionStorage))) {
+        localStorage.removeItem(SESSION_KEY);
+    }
+    sessionStorage.removeItem(SESSION_KEY);
+
+    [localStorage, sessionStorage].forEach(storage => storage.removeItem(LEGACY_USER_KEY));
+
+    if (email) {
+        localStorage.setItem(LOGOUT_SIGNAL_KEY, JSON.stringify({ email, at: Date.now() }));
+    }
+}
+
+/**
+ * Calls `handler` when another tab logs in, logs out or refreshes the session.
+ * A logout elsewhere ends this tab's session for the same user first.
+ *
+ * @param {Function} handler - Receives `{ loggedOut: boolean }`
+ * @returns {Function} Stops watching
+ */
+export function watchSession(handler) {
+    const listener = (event) => {
+        if (event.key === LOGOUT_SIGNAL_KEY && event.newValue) {
+            const { email } = JSON.parse(event.newValue);
+            if (readSession()?.user.email !== email) return;
+
+            endSession();
+            return handler({ loggedOut: true });
+        }
+
+        if (event.key === SESSION_KEY || event.key === null) {
+            handler({ loggedOut: !readSession() });
+        }
+    };
+
+    window.addEventListener('storage', listener);
+    return () => window.removeEventListener('storage', listener);
+}
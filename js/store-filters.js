@@ -0,0 +1,182 @@
+/* ============================================================================
+   STORE FILTERS MODULE
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Catalog filter state (search, category, price, rating, sort, page)
+   - Reading / writing filter state to the URL query string
+   - Filtering, sorting and paginating product lists
+============================================================================ */
+
+/* ============================================================================
+   CONSTANTS
+============================================================================ */
+
+/**
+ * Number of product cards shown per store page.
+ * @constant {number}
+ */
+export const PAGE_SIZE = 8;
+
+/**
+ * Supported sort options, keyed by the value stored in the URL.
+ * @constant {Object<string, {label: string, compare: Function}>}
+ */
+export const SORT_OPTIONS = {
+    'price-asc': {
+        label: 'Price: Low to High',
+        compare: (a, b) => a.price - b.price
+    },
+    'price-desc': {
+        label: 'Price: High to Low',
+        compare: (a, b) => b.price - a.price
+    },
+    'rating-desc': {
+        label: 'Top Rated',
+        compare: (a, b) => (b.rating?.rate || 0) - (a.rating?.rate || 0)
+    },
+    'name-asc': {
+        label: 'Name: A to Z',
+        compare: (a, b) => a.title.localeCompare(b.title)
+    },
+    'name-desc': {
+        label: 'Name: Z to A',
+        compare: (a, b) => b.title.localeCompare(a.title)
+    }
+};
+
+/**
+ * Filter state used when the query string is empty.
+ * @constant {Object}
+ */
+export const DEFAULT_FILTERS = Object.freeze({
+    q: '',
+    category: '',
+    minPrice: null,
+    maxPrice: null,
+    minRating: null,
+    sort: '',
+    page: 1
+});
+
+/* ============================================================================
+   INTERNAL UTILITIES
+============================================================================ */
+
+/**
+ * Parses a non-negative number from a query value.
+ *
+ * @param {string|null} value
+ * @returns {number|null} Parsed number or null if missing/invalid
+ */
+function parseNumber(value) {
+    if (value === null || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) && num >= 0 ? num : null;
+}
+
+/* ============================================================================
+   URL STATE
+============================================================================ */
+
+/**
+ * Builds filter state from a URL query string.
+ * Unknown or invalid values fall back to their defaults.
+ *
+ * @param {string} search - Query string (e.g. `window.location.search`)
+ * @returns {Object} Filter state
+ */
+export function readFiltersFromQuery(search = '') {
+    const params = new URLSearchParams(search);
+    const sort = params.get('sort') || '';
+    const page = parseInt(params.get('page'), 10);
+
+    return {
+        q: (params.get('q') || '').trim(),
+        category: params.get('category') || '',
+        minPrice: parseNumber(params.get('minPrice')),
+        maxPrice: parseNumber(params.get('maxPrice')),
+        minRating: parseNumber(params.get('minRating')),
+        sort: SORT_OPTIONS[sort] ? sort : '',
+        page: page > 0 ? page : 1
+    };
+}
+
+/**
+ * Serializes filter state into a query string.
+ * Default values are omitted so the URL stays short and shareable.
+ *
+ * @param {Object} filters - Filter state
+ * @returns {string} Query string including the leading `?`, or '' if empty
+ */
+export function writeFiltersToQuery(filters) {
+    const params = new URLSearchParams();
+
+    Object.keys(DEFAULT_FILTERS).forEach(key => {
+        const value = filters[key];
+        if (value === null || value === undefined || value === '') return;
+        if (value === DEFAULT_FILTERS[key]) return;
+        params.set(key, String(value));
+    });
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+/* ============================================================================
+   FILTERING, SORTING & PAGINATION
+============================================================================ */
+
+/**
+ * Checks whether a product's title or description contains a search term.
+ *
+ * @param {Object} product
+ * @param {string} query - Search term (case-insensitive)
+ * @returns {boolean}
+ */
+export function matchesQuery(product, query) {
+    if (!query) return true;
+    const haystack = `${product.title} ${product.description || ''}`.toLowerCase();
+    return haystack.includes(query.toLowerCase());
+}
+
+/**
+ * Applies search, category, price and rating filters, then sorts.
+ *
+ * @param {Array<Object>} products - Products from the API
+ * @param {Object} filters - Filter state
+ * @returns {Array<Object>} New filtered and sorted array
+ */
+export function applyFilters(products, filters) {
+    const result = products.filter(product => {
+        if (!matchesQuery(product, filters.q)) return false;
+        if (filters.category && product.category !== filters.category) return false;
+        if (filters.minPrice !== null && product.price < filters.minPrice) return false;
+        if (filters.maxPrice !== null && product.price > filters.maxPrice) return false;
+        if (filters.minRating !== null && (product.rating?.rate || 0) < filters.minRating) return false;
+
+        return true;
+    });
+
+    const sorter = SORT_OPTIONS[filters.sort];
+    return sorter ? result.sort(sorter.compare) : result;
+}
+
+/**
+ * Returns one page of items, clamping the page number to the valid range.
+ *
+ * @param {Array} items
+ * @param {number} page - 1-based page number
+ * @param {number} [pageSize=PAGE_SIZE]
+ * @returns {{items: Array, page: number, totalPages: number}}
+ */
+export function paginate(items, page, pageSize = PAGE_SIZE) {
+    const totalPages = Math.max(1, Math.ceil(items.length / pageSize));
+    const current = Math.min(Math.max(1, page), totalPages);
+    const start = (current - 1) * pageSize;
+
+    return {
+        items: items.slice(start, start + pageSize),
+        page: current,
+        totalPages
+    };
+}
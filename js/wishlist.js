@@ -0,0 +1,293 @@
+/* ============================================================================
+   WISHLIST & SAVE FOR LATER
+   ----------------------------------------------------------------------------
+   Responsibilities:
+   - Per-user wishlist (`fs_wishlist_<email>`, `fs_wishlist_guest` when
+     signed out), toggled from store cards and the product page
+   - Moving the guest wishlist into the account at login or registration
+     (an afterLogin hook, see login.js)
+   - "Save for later" at checkout: moving cart lines to `fs_saved_<email>`
+     and back into the cart
+
+   Keys follow the cart's (see cart-store.js).
+   Wishlist item shape: { id, title, price, image, category, addedAt }
+   Saved item shape: a cart line (with `qty` and price snapshot) plus `savedAt`
+============================================================================ */
+
+/* ============================================================================
+   IMPORTS
+============================================================================ */
+import { readCart, writeCart, mergeCartItems } from './cart-store.js';
+import { getQuantityLimit, describeQuantityLimit } from './inventory.js';
+import { onLogin } from './login.js';
+
+/* ============================================================================
+   CONSTANTS
+============================================================================ */
+
+/**
+ * localStorage key for the wishlist of a signed-out visitor.
+ * @constant {string}
+ */
+export const GUEST_WISHLIST_KEY = 'fs_wishlist_guest';
+
+/** Product fields kept on wishlist items */
+const WISHLIST_FIELDS = ['id', 'title', 'price', 'image', 'category'];
+
+/** Detaches the guest wishlist login hook, if installed */
+let detachMergeHook = null;
+
+/* ============================================================================
+   INTERNAL UTILITIES
+============================================================================ */
+
+/**
+ * Reads a stored list.
+ *
+ * @param {string} key
+ * @returns {Array<Object>}
+ */
+function readList(key) {
+    return JSON.parse(localStorage.getItem(key) || '[]');
+}
+
+/**
+ * Writes a stored list, removing the key when the list is empty.
+ *
+ * @param {string} key
+ * @param {Array<Object>} list
+ */
+function writeList(key, list) {
+    if (list.length) {
+        localStorage.setItem(key, JSON.stringify(list));
+    } else {
+        localStorage.removeItem(key);
+    }
+}
+
+/**
+ * Builds a wishlist item from a product.
+ *
+ * @param {Object} product
+ * @returns {Object}
+ */
+function toWishlistItem(product) {
+    const item = Object.fromEntries(WISHLIST_FIELDS.filter(field => field in product).map(field => [field, product[field]]));
+    return { ...item, addedAt: product.addedAt || new Date().toISOString() };
+}
+
+/* ============================================================================
+   WISHLIST
+============================================================================ */
+
+/**
+ * Returns the storage key for a user's wishlist.
+ *
+ * @param {string|null} email - null for the guest wishlist
+ * @returns {string}
+ */
+export function getWishlistKeyFor(email) {
+    return email ? `fs_wishlist_${email}` : GUEST_WISHLIST_KEY;
+}
+
+/**
+ * Reads a user's wishlist, most recently added first.
+ *
+ * @param {string|null} email
+ * @returns {Array<Object>}
+ */
+export function readWishlist(email) {
+    return readList(getWishlistKeyFor(email));
+}
+
+/**
+ * Checks whether a product is in a user's wishlist.
+ *
+ * @param {string|null} email
+ * @param {number} id
+ * @returns {boolean}
+ */
+export function isInWishlist(email, id) {
+    return readWishlist(email).some(item => item.id === id);
+}
+
+/**
+ * Adds a product to the wishlist, or removes it if it is already there.
+ *
+ * @param {string|null} email
+ * @param {Object} product
+ * @returns {boolean} true if the product is now in the wishlist
+ */
+export function toggleWishlist(email, product) {
+    const wishlist = readWishlist(email);
+    const inList = wishlist.some(item => item.id === product.id);
+
+    writeList(getWishlistKeyFor(email), inList
+        ? wishlist.filter(item => item.id !== product.id)
+        : [toWishlistItem(product), ...wishlist]);
+
+    return !inList;
+}
+
+/**
+ * Removes a product from the wishlist.
+ *
+ * @param {string|null} email
+ * @param {number} id
+ */
+export function removeFromWishlist(email, id) {
+    writeList(getWishlistKeyFor(email), readWishlist(email).filter(item => item.id !== id));
+}
+
+/**
+ * Adds wishlist items that are not in a user's wishlist yet.
+ *
+ * @param {string} email
+ * @param {Array<Object>} items
+ * @returns {number} Number of items added
+ */
+export function mergeWishlistItems(email, items) {
+    const wishlist = readWishlist(email);
+    const added = items
+        .filter(item => !wishlist.some(i => i.id === item.id))
+        .map(toWishlistItem);
+
+    if (added.length) {
+        const merged = [...wishlist, ...added]
+            .sort((a, b) => Date.parse(b.addedAt) - Date.parse(a.addedAt));
+        writeList(getWishlistKeyFor(email), merged);
+    }
+    return added.length;
+}
+
+/**
+ * Moves the guest wishlist into a user's wishlist and empties it.
+ *
+ * @param {string} email
+ * @returns {number} Number of items added
+ */
+export function mergeGuestWishlist(email) {
+    const added = mergeWishlistItems(email, readWishlist(null));
+    localStorage.removeItem(GUEST_WISHLIST_KEY);
+    return added;
+}
+
+/**
+ * Merges the guest wishlist into the account after every login or
+ * registration. Calling it again replaces the earlier hook.
+ *
+ * @returns {Function} Call to detach it again
+ */
+export function installGuestWishlistMerge() {
+    detachMergeHook?.();
+
+    const detach = onLogin('afterLogin', ({ user }) => mergeGuestWishlist(user.email));
+
+    detachMergeHook = () => {
+        detach();
+        detachMergeHook = null;
+    };
+    return detachMergeHook;
+}
+
+/* ============================================================================
+   SAVE FOR LATER
+============================================================================ */
+
+/**
+ * Returns the storage key for a user's saved-for-later items.
+ *
+ * @param {string|null} email
+ * @returns {string}
+ */
+export function getSavedKeyFor(email) {
+    return email ? `fs_saved_${email}` : 'fs_saved_guest';
+}
+
+/**
+ * Reads a user's saved-for-later items.
+ *
+ * @param {string|null} email
+ * @returns {Array<Object>}
+ */
+export function readSavedItems(email) {
+    return readList(getSavedKeyFor(email));
+}
+
+/**
+ * Adds items to the saved-for-later list. Products already saved have their
+ * quantities summed.
+ *
+ * @param {string|null} email
+ * @param {Array<Object>} items - Cart lines
+ */
+export function mergeSavedItems(email, items) {
+    const savedAt = new Date().toISOString();
+    const stamped = items.map(item => ({ ...item, savedAt: item.savedAt || savedAt }));
+    writeList(getSavedKeyFor(email), mergeCartItems(readSavedItems(email), stamped));
+}
+
+/**
+ * Moves a cart line to the saved-for-later list.
+ *
+ * @param {string|null} email
+ * @param {number} id
+ * @returns {boolean} false if the product is not in the cart
+ */
+export function saveForLater(email, id) {
+    const cart = readCart(email);
+    const line = cart.find(item => item.id === id);
+    if (!line) return false;
+
+    mergeSavedItems(email, [line]);
+    writeCart(email, cart.filter(item => item.id !== id));
+    return true;
+}
+
+/**
+ * Moves a saved item back into the cart, as far as its stock and per-order
+ * limits allow. Units that do not fit stay saved; a sold-out item stays
+ * saved entirely.
+ *
+ * @param {string|null} email
+ * @param {number} id
+ * @returns {{ok: boolean, error?: string, moved?: number, message?: string}}
+ *          `message` says which limit applied and how many units stay saved
+ */
+export function moveToCart(email, id) {
+    const saved = readSavedItems(email);
+    const item = saved.find(i => i.id === id);
+    if (!item) return { ok: false, error: 'This item is no longer saved.' };
+
+    const { max } = getQuantityLimit(item);
+    if (max === 0) return { ok: false, error: describeQuantityLimit(item) };
+
+    const cart = readCart(email);
+    const room = max - (cart.find(i => i.id === id)?.qty || 0);
+    if (room <= 0) {
+        return { ok: false, error: `${describeQuantityLimit(item)} Your cart already holds that many.` };
+    }
+
+    const moved = Math.min(item.qty, room);
+    const { savedAt, ...line } = item;
+    writeCart(email, mergeCartItems(cart, [{ ...line, qty: moved }]));
+
+    const left = item.qty - moved;
+    writeList(getSavedKeyFor(email), left
+        ? saved.map(i => (i.id === id ? { ...i, qty: left } : i))
+        : saved.filter(i => i.id !== id));
+
+    return left
+        ? { ok: true, moved, message: `${describeQuantityLimit(item)} Moved ${moved} to your cart; ${left} still saved for later.` }
+        : { ok: true, moved };
+}
+
+/**
+ * Removes an item from the saved-for-later list.
+ *
+ * @param {string|null} email
+ * @param {number} id
+ */
+export function removeSavedItem(email, id) {
+    writeList(getSavedKeyFor(email), readSavedItems(email).filter(item => item.id !== id));
+}
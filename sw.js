@@ -0,0 +1,192 @@
+/* ============================================================================
+   SERVICE WORKER
+   ----------------------------------------------------------------------------
+   Strategies:
+   - Page navigations: network-first, falling back to the precached page
+   - App shell (CSS, JS, local data): precached for offline use, but served
+     network-first so a deploy takes effect on the next load
+   - Catalog API requests: network-first, falling back to the last response
+   - Images (local and remote product images): cache-first
+   - CDN assets (Bootstrap, Axios, fonts): stale-while-revalidate
+
+   Bump CACHE_VERSION whenever APP_SHELL changes (files added or removed) so
+   the precache is rebuilt and old caches are removed. Edits to existing
+   files need no bump.
+============================================================================ */
+
+const CACHE_VERSION = 'v19';
+const SHELL_CACHE = `nystore-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `nystore-runtime-${CACHE_VERSION}`;
+
+/**
+ * Same-origin files needed to run the app offline.
+ * @constant {Array<string>}
+ */
+const APP_SHELL = [
+    './',
+    'index.html',
+    'store.html',
+    'product.html',
+    'checkout.html',
+    'login.html',
+    'register.html',
+    'profile.html',
+    'reset-password.html',
+    'outbox.html',
+    'config.js',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'js/script.js',
+    'js/auth.js',
+    'js/password.js',
+    'js/credentials.js',
+    'js/session.js',
+    'js/login.js',
+    'js/login-throttle.js',
+    'js/account.js',
+    'js/data-export.js',
+    'js/cart-store.js',
+    'js/inventory.js',
+    'js/price-check.js',
+    'js/wishlist.js',
+    'js/review-store.js',
+    'js/reviews.js',
+    'js/password-policy.js',
+    'js/password-meter.js',
+    'js/common-passwords.js',
+    'js/password-reset.js',
+    'js/outbox.js',
+    'js/config.js',
+    'js/store-filters.js',
+    'js/catalog.js',
+    'js/catalog-cache.js',
+    'js/offline-queue.js',
+    'js/orders.js',
+    'js/checkout-flow.js',
+    'js/payments.js',
+    'js/promotions.js',
+    'js/coupon-campaigns.js',
+    'js/pricing.js',
+    'data/products.json',
+    'image/pic.png',
+    'image/pic1.png',
+    'image/placeholder.svg'
+];
+
+/**
+ * Hosts serving the catalog API.
+ * @constant {Array<string>}
+ */
+const API_HOSTS = ['fakestoreapi.com'];
+
+/* ============================================================================
+   LIFECYCLE
+============================================================================ */
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/* ============================================================================
+   STRATEGIES
+============================================================================ */
+
+/**
+ * Serves from cache, fetching and storing on a miss.
+ *
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(RUNTIME_CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Tries the network first and stores the response; falls back to the cache,
+ * preferring the last network response over the precached copy.
+ * Query strings are ignored for pages so `product.html?id=3` matches `product.html`.
+ *
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const options = { ignoreSearch: request.mode === 'navigate' };
+        const cached = await cache.match(request, options) || await caches.match(request, options);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serves the cached copy immediately and refreshes it in the background.
+ *
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached || network;
+}
+
+/* ============================================================================
+   ROUTING
+============================================================================ */
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request));
+    } else if (API_HOSTS.includes(url.hostname)) {
+        event.respondWith(networkFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});